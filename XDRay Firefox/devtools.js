@@ -1,7 +0,0 @@
-﻿chrome.devtools.panels.create("XDRay",
-    "images/icon.svg",
-    "panel.html",
-    function (panel) {
-        // code invoked on panel creation
-    }
-);
@@ -1,9 +1,13 @@
-﻿// Background service worker to intercept requests and capture payloads
-// This uses chrome.webRequest.onBeforeRequest to capture request bodies
+﻿// Background service worker (Chrome) or background page (Firefox) to intercept requests and capture payloads
+// This uses chrome.webRequest.onBeforeRequest to capture request bodies; Firefox maps it via browserShim.js
 
-// Store request bodies temporarily
+// Captured requests keyed by webRequest requestId, so concurrent calls to the same URL
+// (e.g. repeated huntingService queries) keep their own body
 const requestBodies = new Map();
 
+// Requests that started further apart than this from the DevTools entry are not the same call
+const MAX_START_TIME_DIFFERENCE = 2000;
+
 // Clean up old entries (older than 5 minutes)
 setInterval(() => {
     const fiveMinutesAgo = Date.now() - 5 * 60 * 1000;
@@ -14,11 +18,14 @@ setInterval(() => {
     }
 }, 60000);
 
+// XDR API calls of the portal and of the multi-tenant (MTO) portal
+const API_URL_FILTERS = ["https://security.microsoft.com/apiproxy/*", "https://mto.security.microsoft.com/apiproxy/*"];
+
 // Intercept requests BEFORE they are sent to capture the actual payload
 chrome.webRequest.onBeforeRequest.addListener(
     (details) => {
         // Only process XDR API calls
-        if (details.url.includes('https://security.microsoft.com/apiproxy')) {
+        if (/^https:\/\/(mto\.)?security\.microsoft\.com\/apiproxy\//i.test(details.url)) {
             let bodyData = null;
 
             // Extract request body if present
@@ -36,47 +43,135 @@ chrome.webRequest.onBeforeRequest.addListener(
                 }
             }
 
-            // Store the request body with URL as key
-            requestBodies.set(details.url, {
+            requestBodies.set(details.requestId, {
+                url: details.url,
                 body: bodyData,
                 method: details.method,
-                timestamp: Date.now()
+                headers: null,
+                startTime: details.timeStamp,
+                timestamp: Date.now(),
+                claimed: false
             });
         }
     },
-    { urls: ["https://security.microsoft.com/apiproxy/*"] },
+    { urls: API_URL_FILTERS },
     ["requestBody"]
 );
 
+// Record the headers as sent, they tell apart concurrent requests to the same URL
+chrome.webRequest.onSendHeaders.addListener(
+    (details) => {
+        const stored = requestBodies.get(details.requestId);
+        if (stored) {
+            stored.headers = {};
+            (details.requestHeaders || []).forEach(h => {
+                stored.headers[h.name.toLowerCase()] = h.value;
+            });
+        }
+    },
+    { urls: API_URL_FILTERS },
+    ["requestHeaders"]
+);
+
+// Count the headers both sides know that carry the same and different values
+function compareHeaders(storedHeaders, entryHeaders) {
+    const result = { matches: 0, mismatches: 0 };
+    if (!storedHeaders || !entryHeaders) return result;
+
+    for (const name of Object.keys(storedHeaders)) {
+        if (!(name in entryHeaders)) continue;
+        if (entryHeaders[name] === storedHeaders[name]) {
+            result.matches++;
+        } else {
+            result.mismatches++;
+        }
+    }
+    return result;
+}
+
+// Find the captured request for a DevTools HAR entry.
+// Candidates are unclaimed requests with the same URL and method that started close to the entry; a stale body
+// is never handed out, the panel then falls back to the HAR postData. Among several candidates, differing headers
+// rule candidates out, then matching headers and the closest start time win. When headers and timing cannot tell
+// them apart, the oldest candidate is used (per-URL FIFO). Without a start time nothing is certain, so 'fifo' as well.
+// Returns { stored, match } with match 'unique', 'correlated' or 'fifo', or null.
+function findRequestBody(message) {
+    const candidates = Array.from(requestBodies.values())
+        .filter(stored => !stored.claimed && stored.url === message.url && (!message.method || stored.method === message.method))
+        .sort((a, b) => a.startTime - b.startTime);
+
+    const startTime = message.startedDateTime ? Date.parse(message.startedDateTime) : NaN;
+    const scored = candidates.map(stored => Object.assign({
+        stored: stored,
+        timeDifference: Number.isNaN(startTime) ? null : Math.abs(stored.startTime - startTime)
+    }, compareHeaders(stored.headers, message.headers)));
+
+    const plausible = scored.filter(c => c.timeDifference === null || c.timeDifference <= MAX_START_TIME_DIFFERENCE);
+    if (plausible.length === 0) return null;
+    if (plausible.length === 1) {
+        return { stored: plausible[0].stored, match: plausible[0].timeDifference === null ? 'fifo' : 'unique' };
+    }
+
+    // Stable sort keeps FIFO order between candidates that score the same
+    plausible.sort((a, b) => a.mismatches - b.mismatches
+        || b.matches - a.matches
+        || (a.timeDifference || 0) - (b.timeDifference || 0));
+    const [best, second] = plausible;
+    const distinct = !second
+        || best.mismatches !== second.mismatches
+        || best.matches !== second.matches
+        || (best.timeDifference !== null && best.timeDifference !== second.timeDifference);
+
+    return { stored: best.stored, match: distinct ? 'correlated' : 'fifo' };
+}
+
 // Listen for messages from panel to retrieve stored request bodies
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'GET_REQUEST_BODY') {
-        const stored = requestBodies.get(message.url);
+        const found = findRequestBody(message);
 
-        if (stored) {
+        if (found) {
+            // A claimed body is never handed out again, so the next request to the same URL gets its own
+            found.stored.claimed = true;
             sendResponse({
                 success: true,
-                body: stored.body,
-                method: stored.method
+                body: found.stored.body,
+                method: found.stored.method,
+                match: found.match
             });
-
-            // Don't delete immediately - allow it to be retrieved multiple times
-            // Mark it as retrieved and delete after a short delay (5 seconds)
-            if (!stored.retrieved) {
-                stored.retrieved = true;
-                setTimeout(() => {
-                    requestBodies.delete(message.url);
-                }, 5000);
-            }
         } else {
             sendResponse({
                 success: false,
-                error: 'No body found for this URL'
+                error: 'No body found for this request'
             });
         }
 
         return true; // Keep message channel open for async response
     }
+
+    if (message.type === 'OPEN_OPTIONS') {
+        chrome.runtime.openOptionsPage();
+        return false;
+    }
+
+    if (message.type === 'GET_COOKIE') {
+        const cookieApi = typeof browser !== 'undefined' ? browser.cookies : chrome.cookies;
+
+        cookieApi.getAll({
+            url: "https://security.microsoft.com",
+            name: message.cookieName
+        }).then(cookies => {
+            const cookie = cookies.find(c => c.name === message.cookieName) || cookies[0];
+            if (cookie) {
+                sendResponse({ success: true, value: cookie.value });
+            } else {
+                sendResponse({ success: false, error: 'Cookie not found' });
+            }
+        }).catch(error => {
+            sendResponse({ success: false, error: error.message });
+        });
+        return true;
+    }
 });
 
-console.log('XDRay background service worker initialized');
+console.log('XDRay background initialized');
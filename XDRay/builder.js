@@ -0,0 +1,206 @@
+﻿// Script builder: turns selected captures into one script in which values returned by an
+// earlier request (incident, device or function IDs) feed later requests as variables
+
+// Marks a value that is emitted as a variable reference instead of a literal
+const PS_VARIABLE = Symbol('psVariable');
+
+// Automatic variables and names used by the generated code itself
+const RESERVED_VARIABLE_NAMES = ['args', 'body', 'error', 'event', 'false', 'home', 'host', 'input', 'matches', 'null', 'pid', 'profile', 'psitem', 'pwd', 'this', 'true', 'uri'];
+
+function psVariable(name) {
+    return { [PS_VARIABLE]: name };
+}
+
+function isPsVariable(value) {
+    return value !== null && typeof value === 'object' && PS_VARIABLE in value;
+}
+
+// Only identifier-like values are chained; short strings, small numbers and flags would match by accident
+function isChainableValue(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) && Math.abs(value) >= 1000;
+    }
+    return typeof value === 'string' && value.length >= 4 && !value.includes(REDACTED_VALUE) && isIdSegment(value);
+}
+
+// Identifier-like values of a response, keyed by their string form, with the path to their first occurrence
+function collectResponseValues(value, path = [], found = new Map()) {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => collectResponseValues(item, path.concat(index), found));
+    } else if (value !== null && typeof value === 'object') {
+        for (const [key, item] of Object.entries(value)) {
+            collectResponseValues(item, path.concat(key), found);
+        }
+    } else if (isChainableValue(value) && !found.has(String(value))) {
+        found.set(String(value), path);
+    }
+    return found;
+}
+
+// Identifier-like values a request sends, with a variable name suggested by where they are used:
+// the cmdlet's path parameter, the path placeholder, the query key or the body key
+function collectRequestValues(data) {
+    const used = new Map();
+    const add = (value, name) => {
+        if (isChainableValue(value) && !used.has(String(value))) {
+            used.set(String(value), toPascalCase(name) || 'Id');
+        }
+    };
+
+    for (const [name, value] of Object.entries(data.pathParameters || {})) {
+        add(fromUrlValue(value), name);
+    }
+
+    const url = new URL(data.url);
+    const templateSegments = normalizePathTemplate(data.url).split('/');
+    url.pathname.replace(/^\/apiproxy/i, '').split('/').forEach((segment, index) => {
+        const placeholder = /^\{(.+)\}$/.exec(templateSegments[index] || '');
+        if (placeholder) {
+            add(fromUrlValue(decodeURIComponent(segment)), placeholder[1]);
+        }
+    });
+
+    url.searchParams.forEach((value, key) => add(fromUrlValue(value), key));
+
+    const walk = (value, key) => {
+        if (Array.isArray(value)) {
+            value.forEach(item => walk(item, singularize(key)));
+        } else if (value !== null && typeof value === 'object') {
+            Object.entries(value).forEach(([childKey, item]) => walk(item, childKey));
+        } else {
+            add(value, key);
+        }
+    };
+    walk(data.body, 'Value');
+
+    return used;
+}
+
+// PowerShell member access for a path into a response: $incident.results[0].IncidentId
+function toPowerShellMemberPath(variable, path) {
+    return path.reduce((expression, key) => {
+        if (typeof key === 'number') return `${expression}[${key}]`;
+        return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? `${expression}.${key}` : `${expression}.${toPowerShellString(key)}`;
+    }, `$${variable}`);
+}
+
+// Name for the output of a step, after the cmdlet noun: Get-XdrEndpointDevice -> $endpointDevice
+function resultVariableName(cmdlet) {
+    const noun = (cmdlet.split('-')[1] || '').replace(/^Xdr/, '');
+    if (!noun || cmdlet === 'Invoke-XdrRestMethod') return 'response';
+    return noun.charAt(0).toLowerCase() + noun.slice(1);
+}
+
+function uniqueVariableName(base, usedNames) {
+    let name = base;
+    for (let i = 2; usedNames.includes(name.toLowerCase()) || RESERVED_VARIABLE_NAMES.includes(name.toLowerCase()); i++) {
+        name = `${base}${i}`;
+    }
+    usedNames.push(name.toLowerCase());
+    return name;
+}
+
+// Work out which values flow between the selected requests.
+// Returns one step per request: { data, resultVariable, assignments: [{ name, expression }], variables }
+// where variables maps the string form of a value to the variable holding it when that step runs.
+function planScriptChain(requests) {
+    const usedNames = [];
+    const known = new Map();
+    const steps = requests.map(data => ({
+        data: data,
+        resultVariable: null,
+        assignments: [],
+        responseValues: collectResponseValues(data.response),
+        variables: null
+    }));
+
+    steps.forEach((step, index) => {
+        for (const [value, suggestedName] of collectRequestValues(step.data)) {
+            if (known.has(value)) continue;
+
+            // The closest earlier response that returned the value is the most likely source
+            for (let i = index - 1; i >= 0; i--) {
+                const source = steps[i];
+                if (!source.responseValues.has(value)) continue;
+
+                if (!source.resultVariable) {
+                    source.resultVariable = uniqueVariableName(resultVariableName(source.data.cmdlet), usedNames);
+                }
+                const name = uniqueVariableName(suggestedName, usedNames);
+                source.assignments.push({ name: name, expression: toPowerShellMemberPath(source.resultVariable, source.responseValues.get(value)) });
+                known.set(value, name);
+                break;
+            }
+        }
+        step.variables = new Map(known);
+    });
+
+    return steps;
+}
+
+// Deep copy of a JSON value with chained values replaced by variable references
+function bindVariables(value, variables) {
+    if (Array.isArray(value)) {
+        return value.map(item => bindVariables(item, variables));
+    }
+    if (value !== null && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = bindVariables(item, variables);
+        }
+        return result;
+    }
+    if (value !== null && value !== undefined && variables.has(String(value))) {
+        return psVariable(variables.get(String(value)));
+    }
+    return value;
+}
+
+// Double-quoted URI with chained path segments and query values replaced by subexpressions
+function toPowerShellExpandableUri(url, variables) {
+    let result = '';
+    let rest = url;
+
+    while (rest.length > 0) {
+        let next = null;
+        for (const [value, name] of variables) {
+            const encoded = encodeURIComponent(value);
+            const match = new RegExp(`(?<=[/=])${encoded.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=[/?&#]|$)`).exec(rest);
+            if (match && (!next || match.index < next.index)) {
+                const reference = encoded === value ? `$($${name})` : `$([System.Uri]::EscapeDataString($${name}))`;
+                next = { index: match.index, length: encoded.length, reference: reference };
+            }
+        }
+        if (!next) {
+            result += escapePowerShellExpandable(rest);
+            break;
+        }
+        result += escapePowerShellExpandable(rest.substring(0, next.index)) + next.reference;
+        rest = rest.substring(next.index + next.length);
+    }
+
+    return `"${result}"`;
+}
+
+// Generate the script for the selected requests in the given order
+function buildChainedScript(requests, tenantNames = new Map()) {
+    let script = '# XDRay Generated Script\n';
+    script += '# The mapping to cmdlets is based on best effort but might not reflect the actual parameters of the parameter in question.\n';
+    script += '# Values taken from earlier responses follow the raw API response; cmdlets that reshape their output may need other property paths.\n';
+    script += '# Do NOT run this code without verifying it yourself.\n';
+
+    const tenants = planTenantSelection(requests, tenantNames);
+    script += tenants.preamble ? `\n${tenants.preamble.trimEnd()}\n` : '';
+
+    planScriptChain(requests).forEach((step, index) => {
+        const path = step.data.url.split('apiproxy')[1] || step.data.url;
+        script += `\n# Step ${index + 1}: ${step.data.method} ${path}\n`;
+        script += tenants.switches[index];
+        script += generatePowerShellCode(step.data, { variables: step.variables, assignTo: step.resultVariable }) + '\n';
+        for (const assignment of step.assignments) {
+            script += `$${assignment.name} = ${assignment.expression}\n`;
+        }
+    });
+
+    return script;
+}
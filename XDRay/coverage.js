@@ -0,0 +1,122 @@
+﻿// Coverage analysis for captured requests
+// Groups portal API calls without a native XDRInternals cmdlet by normalized path template
+
+// Base of the API URIs of a request: security.microsoft.com or the multi-tenant mto.security.microsoft.com
+function apiBaseUrl(url) {
+    return `${new URL(url).origin}/apiproxy`;
+}
+
+const ID_SEGMENT_PATTERNS = [
+    // GUIDs
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    // Numbers
+    /^-?\d+$/,
+    // Hex identifiers such as device IDs (SHA1) and object IDs
+    /^[0-9a-f]{16,}$/i,
+    // Long opaque tokens mixing letters and digits
+    /^(?=.*\d)(?=.*[a-z])[A-Za-z0-9_=-]{24,}$/i,
+    // UPNs and e-mail addresses
+    /@/
+];
+
+function isIdSegment(segment) {
+    // Values masked by the redaction engine were identifiers as well
+    return segment === REDACTED_VALUE || ID_SEGMENT_PATTERNS.some(pattern => pattern.test(segment));
+}
+
+function singularize(word) {
+    return word.replace(/ies$/i, 'y').replace(/(?<!s)s$/i, '');
+}
+
+function toPascalCase(segment) {
+    const joined = segment.replace(/[^A-Za-z0-9]+(.)?/g, (m, c) => (c ? c.toUpperCase() : ''));
+    return joined.charAt(0).toUpperCase() + joined.slice(1);
+}
+
+// Name a placeholder after the segment before it: .../machines/{MachineId}, .../incidents/{IncidentId}
+function placeholderName(previousSegment, usedNames) {
+    let base = 'Id';
+    if (previousSegment && /^[A-Za-z]+$/.test(previousSegment)) {
+        base = toPascalCase(singularize(previousSegment)) + 'Id';
+    }
+
+    let name = base;
+    for (let i = 2; usedNames.includes(name); i++) {
+        name = `${base}${i}`;
+    }
+    usedNames.push(name);
+    return name;
+}
+
+// "/apiproxy/mtp/incidents/123/AssociatedAlerts" -> "/mtp/incidents/{IncidentId}/AssociatedAlerts"
+function normalizePathTemplate(url) {
+    const pathname = new URL(url).pathname.replace(/^\/apiproxy/i, '');
+    const usedNames = [];
+    const segments = pathname.split('/');
+
+    return segments.map((segment, index) => {
+        if (!segment) return segment;
+
+        let decoded = segment;
+        try {
+            decoded = decodeURIComponent(segment);
+        } catch (e) {
+            // keep the raw segment
+        }
+        return isIdSegment(decoded) ? `{${placeholderName(segments[index - 1], usedNames)}}` : segment;
+    }).join('/');
+}
+
+// Suggest a cmdlet name from the method and the last literal path segments (singular, as PowerShell nouns are)
+function suggestCmdletName(method, template) {
+    const verbs = { GET: 'Get', POST: 'Invoke', PUT: 'Set', PATCH: 'Set', DELETE: 'Remove' };
+    const verb = verbs[method.toUpperCase()] || 'Invoke';
+
+    const literals = template.split('/').filter(s => s && !s.startsWith('{'));
+    const noun = literals.slice(-2).map(s => toPascalCase(singularize(s))).join('');
+
+    return `${verb}-Xdr${noun || 'Api'}`;
+}
+
+// Build the coverage report of all requests that fell back to Invoke-XdrRestMethod.
+// Returns one entry per host and path template, most frequent first.
+function buildCoverageReport(requests, maxSamples = 3) {
+    const groups = new Map();
+
+    for (const req of requests) {
+        if (req.cmdlet !== 'Invoke-XdrRestMethod') continue;
+
+        const template = normalizePathTemplate(req.url);
+        const baseUrl = apiBaseUrl(req.url);
+        const key = `${baseUrl}${template}`.toLowerCase();
+        if (!groups.has(key)) {
+            groups.set(key, { baseUrl: baseUrl, template: template, hits: 0, methods: {}, queryKeys: [], samples: [] });
+        }
+
+        const group = groups.get(key);
+        group.hits++;
+        group.methods[req.method] = (group.methods[req.method] || 0) + 1;
+
+        new URL(req.url).searchParams.forEach((value, name) => {
+            if (!group.queryKeys.includes(name)) group.queryKeys.push(name);
+        });
+
+        if (req.body !== null && req.body !== undefined && group.samples.length < maxSamples) {
+            const sample = JSON.stringify(req.body, null, 2);
+            if (!group.samples.some(s => s.body === sample)) {
+                group.samples.push({ method: req.method, body: sample });
+            }
+        }
+    }
+
+    return Array.from(groups.values()).sort((a, b) => b.hits - a.hits || a.template.localeCompare(b.template));
+}
+
+// CmdletApiMapping.json entries for one coverage group, one per method seen
+function createMappingStubs(group) {
+    return Object.keys(group.methods).sort().map(method => ({
+        Cmdlet: suggestCmdletName(method, group.template),
+        ApiUri: group.baseUrl + group.template,
+        Method: method
+    }));
+}
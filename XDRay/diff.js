@@ -0,0 +1,139 @@
+﻿// Structural JSON diff between two captures
+// Used to find which fields a portal switch changes: compare the call before and after flipping it.
+
+// Keys that identify array items, so reordered lists are matched item by item instead of by index
+const DIFF_IDENTITY_KEYS = ['id', 'Id', 'ID', 'name', 'Name'];
+
+const MAX_DIFF_VALUE_LENGTH = 200;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function appendJsonPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    if (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key)) return path ? `${path}.${key}` : key;
+    return `${path}[${JSON.stringify(key)}]`;
+}
+
+// Identity key shared by every item of both arrays with unique values, or null
+function findIdentityKey(before, after) {
+    const items = before.concat(after);
+    if (items.length === 0 || !items.every(isPlainObject)) return null;
+
+    return DIFF_IDENTITY_KEYS.find(key => [before, after].every(list => {
+        const values = list.map(item => item[key]);
+        return values.every(value => typeof value === 'string' || typeof value === 'number') &&
+            new Set(values).size === values.length;
+    })) || null;
+}
+
+// Changes from before to after as { path, type: 'added' | 'removed' | 'changed', before, after }
+function diffJson(before, after, path = '') {
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const changes = [];
+        const keys = Object.keys(before).concat(Object.keys(after).filter(key => !(key in before)));
+        for (const key of keys) {
+            const childPath = appendJsonPath(path, key);
+            if (!(key in after)) {
+                changes.push({ path: childPath, type: 'removed', before: before[key] });
+            } else if (!(key in before)) {
+                changes.push({ path: childPath, type: 'added', after: after[key] });
+            } else {
+                changes.push(...diffJson(before[key], after[key], childPath));
+            }
+        }
+        return changes;
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        return diffArrays(before, after, path);
+    }
+
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+        return [];
+    }
+    return [{ path: path, type: 'changed', before: before, after: after }];
+}
+
+function diffArrays(before, after, path) {
+    const changes = [];
+    const identityKey = findIdentityKey(before, after);
+
+    if (identityKey) {
+        const afterById = new Map(after.map(item => [item[identityKey], item]));
+        const beforeIds = new Set(before.map(item => item[identityKey]));
+        const itemPath = (id) => `${path}[${identityKey}=${JSON.stringify(id)}]`;
+
+        for (const item of before) {
+            const id = item[identityKey];
+            if (afterById.has(id)) {
+                changes.push(...diffJson(item, afterById.get(id), itemPath(id)));
+            } else {
+                changes.push({ path: itemPath(id), type: 'removed', before: item });
+            }
+        }
+        for (const item of after) {
+            if (!beforeIds.has(item[identityKey])) {
+                changes.push({ path: itemPath(item[identityKey]), type: 'added', after: item });
+            }
+        }
+        return changes;
+    }
+
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+        const childPath = appendJsonPath(path, i);
+        if (i >= after.length) {
+            changes.push({ path: childPath, type: 'removed', before: before[i] });
+        } else if (i >= before.length) {
+            changes.push({ path: childPath, type: 'added', after: after[i] });
+        } else {
+            changes.push(...diffJson(before[i], after[i], childPath));
+        }
+    }
+    return changes;
+}
+
+function queryObject(url) {
+    const query = {};
+    new URL(url).searchParams.forEach((value, key) => {
+        query[key] = value;
+    });
+    return query;
+}
+
+// Diff of two captured requests: query string, request body and response
+function compareCaptures(before, after) {
+    const sameEndpoint = before.method === after.method &&
+        before.cmdlet === after.cmdlet &&
+        normalizePathTemplate(before.url) === normalizePathTemplate(after.url);
+
+    return {
+        sameEndpoint: sameEndpoint,
+        sections: [
+            { title: 'Query string', changes: diffJson(queryObject(before.url), queryObject(after.url)) },
+            { title: 'Request body', changes: diffJson(before.body, after.body) },
+            { title: 'Response', changes: diffJson(before.response, after.response) }
+        ]
+    };
+}
+
+function formatDiffValue(value) {
+    const text = value === undefined ? 'undefined' : JSON.stringify(value);
+    return text.length > MAX_DIFF_VALUE_LENGTH ? `${text.slice(0, MAX_DIFF_VALUE_LENGTH)}…` : text;
+}
+
+// One line per change: + added, - removed, ~ changed
+function describeChange(change) {
+    const path = change.path || '(root)';
+    if (change.type === 'added') return `+ ${path}: ${formatDiffValue(change.after)}`;
+    if (change.type === 'removed') return `- ${path}: ${formatDiffValue(change.before)}`;
+    return `~ ${path}: ${formatDiffValue(change.before)} → ${formatDiffValue(change.after)}`;
+}
+
+function formatComparison(comparison) {
+    return comparison.sections.map(section => {
+        const lines = section.changes.length > 0 ? section.changes.map(describeChange) : ['(no differences)'];
+        return `# ${section.title}\n${lines.join('\n')}`;
+    }).join('\n\n');
+}
@@ -0,0 +1,316 @@
+﻿// Drift detection for the private portal APIs behind mapped cmdlets
+// The first responses and requests of each mapped endpoint are learned as a JSON shape (field paths and
+// their types, no values). Later captures of the endpoint are compared with it, so fields the portal
+// added, removed or retyped and new query parameters show up before a cmdlet breaks for its users.
+// A shape node is { types: { <type>: count }, fields: { <key>: node }, items: node }. Keys that look like
+// identifiers (see isIdSegment) share the node '{}', so maps keyed by IDs do not count as new fields.
+
+const DRIFT_BASELINES_KEY = 'driftBaselines';
+
+// Identifies XDRay baseline files; bump the version when the layout of a baseline changes
+const DRIFT_BASELINES_FORMAT = 'XDRay.DriftBaselines';
+const DRIFT_BASELINES_VERSION = 1;
+
+// Captures learned into a new baseline before it is used for comparisons
+const DRIFT_LEARNING_SAMPLES = 3;
+
+// Query keys that change on every call (jQuery cache busting)
+const DRIFT_IGNORED_QUERY_KEYS = ['_'];
+
+// Bounds of a shape: large lists and deeply nested payloads only need a sample
+const MAX_SHAPE_DEPTH = 12;
+const MAX_SHAPE_FIELDS = 200;
+const MAX_SHAPE_ITEMS = 50;
+
+const DRIFT_SECTIONS = { query: 'query', request: 'request', response: 'response' };
+
+function jsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function shapeFieldName(key) {
+    return isIdSegment(key) ? '{}' : key;
+}
+
+function appendShapePath(path, name) {
+    return name === '{}' ? (path ? `${path}.{}` : '{}') : appendJsonPath(path, name);
+}
+
+// Learn one value into a shape node; returns the node (a new one when node is undefined)
+function mergeShape(node, value, depth = 0) {
+    const shape = node || { types: {} };
+    const type = jsonType(value);
+    shape.types[type] = (shape.types[type] || 0) + 1;
+    if (depth >= MAX_SHAPE_DEPTH) return shape;
+
+    if (type === 'object') {
+        shape.fields = shape.fields || {};
+        const seen = new Set();
+        for (const key of Object.keys(value)) {
+            const name = shapeFieldName(key);
+            if (seen.has(name)) continue;
+            if (!(name in shape.fields) && Object.keys(shape.fields).length >= MAX_SHAPE_FIELDS) continue;
+            seen.add(name);
+            shape.fields[name] = mergeShape(shape.fields[name], value[key], depth + 1);
+        }
+    } else if (type === 'array') {
+        for (const item of value.slice(0, MAX_SHAPE_ITEMS)) {
+            shape.items = mergeShape(shape.items, item, depth + 1);
+        }
+    }
+    return shape;
+}
+
+function shapeCount(node) {
+    return Object.values(node.types).reduce((sum, count) => sum + count, 0);
+}
+
+// Type names of a node without null, which any field may turn into
+function shapeTypes(node) {
+    return Object.keys(node.types).filter(type => type !== 'null').sort();
+}
+
+// Changes of a value against a learned shape as { path, type: 'added' | 'removed' | 'retyped', before, after }.
+// A field only counts as removed when every learned object had it.
+function compareShape(node, value, path = '', depth = 0, changes = []) {
+    const type = jsonType(value);
+    const known = shapeTypes(node);
+    if (type !== 'null' && known.length > 0 && !known.includes(type)) {
+        changes.push({ path: path, type: 'retyped', before: known.join(' | '), after: type });
+        return changes;
+    }
+    if (depth >= MAX_SHAPE_DEPTH) return changes;
+
+    if (type === 'object' && node.fields) {
+        const seen = new Set();
+        for (const key of Object.keys(value)) {
+            const name = shapeFieldName(key);
+            if (seen.has(name)) continue;
+            seen.add(name);
+            const childPath = appendShapePath(path, name);
+            if (node.fields[name]) {
+                compareShape(node.fields[name], value[key], childPath, depth + 1, changes);
+            } else if (Object.keys(node.fields).length < MAX_SHAPE_FIELDS) {
+                changes.push({ path: childPath, type: 'added', after: jsonType(value[key]) });
+            }
+        }
+        for (const [name, child] of Object.entries(node.fields)) {
+            if (!seen.has(name) && shapeCount(child) === node.types.object) {
+                changes.push({ path: appendShapePath(path, name), type: 'removed', before: shapeTypes(child).join(' | ') || 'null' });
+            }
+        }
+    } else if (type === 'array' && node.items) {
+        for (const item of value.slice(0, MAX_SHAPE_ITEMS)) {
+            compareShape(node.items, item, `${path}[]`, depth + 1, changes);
+        }
+    }
+    return changes;
+}
+
+// Changes repeat for every item of a list, each is reported once
+function uniqueChanges(changes) {
+    const seen = new Set();
+    return changes.filter(change => {
+        const key = `${change.section} ${change.type} ${change.path}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function driftQueryKeys(url) {
+    return Array.from(new Set(new URL(url).searchParams.keys())).filter(key => !DRIFT_IGNORED_QUERY_KEYS.includes(key));
+}
+
+// Mapped captures with a successful response; error pages have a shape of their own
+function isDriftCandidate(data) {
+    return Boolean(data.mapping) && (!data.status || (data.status >= 200 && data.status < 300));
+}
+
+// Baselines are kept per cmdlet and mapped endpoint, not per URL: IDs in the path do not matter
+function driftKey(data) {
+    return `${data.cmdlet} ${data.method} ${data.mapping.ApiUri}`;
+}
+
+function hasValue(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+// Learn one capture into its baseline record
+function addToBaseline(record, data, now) {
+    record.samples++;
+    for (const key of driftQueryKeys(data.url)) {
+        record.query[key] = (record.query[key] || 0) + 1;
+    }
+    if (hasValue(data.body)) record.request = mergeShape(record.request, data.body);
+    if (hasValue(data.response)) record.response = mergeShape(record.response, data.response);
+    record.updated = now;
+}
+
+function createBaseline(data) {
+    return { cmdlet: data.cmdlet, method: data.method, apiUri: data.mapping.ApiUri, samples: 0, query: {} };
+}
+
+function isBaselineLearned(record) {
+    return Boolean(record) && record.samples >= DRIFT_LEARNING_SAMPLES;
+}
+
+// Learn a capture while the baseline of its endpoint is still incomplete.
+// Returns whether the baselines changed.
+function learnBaseline(baselines, data, now = new Date().toISOString()) {
+    if (!isDriftCandidate(data)) return false;
+
+    const key = driftKey(data);
+    if (isBaselineLearned(baselines[key])) return false;
+    if (!baselines[key]) baselines[key] = createBaseline(data);
+    addToBaseline(baselines[key], data, now);
+    return true;
+}
+
+// Accept the current shape of the given captures: they are learned into their baselines, complete or not
+function acceptDrift(baselines, requests, now = new Date().toISOString()) {
+    let accepted = 0;
+    for (const data of requests) {
+        if (!isDriftCandidate(data)) continue;
+        const key = driftKey(data);
+        if (!baselines[key]) baselines[key] = createBaseline(data);
+        addToBaseline(baselines[key], data, now);
+        accepted++;
+    }
+    return accepted;
+}
+
+// Drift of one capture against a learned baseline, each change tagged with its section
+function compareWithBaseline(record, data) {
+    const changes = [];
+    for (const key of driftQueryKeys(data.url)) {
+        if (!(key in record.query)) changes.push({ section: DRIFT_SECTIONS.query, path: key, type: 'added' });
+    }
+    for (const [key, count] of Object.entries(record.query)) {
+        if (count === record.samples && !driftQueryKeys(data.url).includes(key)) {
+            changes.push({ section: DRIFT_SECTIONS.query, path: key, type: 'removed' });
+        }
+    }
+
+    const bodies = [[DRIFT_SECTIONS.request, record.request, data.body], [DRIFT_SECTIONS.response, record.response, data.response]];
+    for (const [section, shape, value] of bodies) {
+        if (!shape || !hasValue(value)) continue;
+        for (const change of compareShape(shape, value)) {
+            changes.push(Object.assign({ section: section }, change));
+        }
+    }
+    return uniqueChanges(changes);
+}
+
+// Drift report of the captures against the learned baselines, one entry per cmdlet with drift:
+// { cmdlet, endpoints: [{ key, method, apiUri, changes, requests }] }, sorted by cmdlet.
+// learning counts the endpoints still building their baseline.
+function buildDriftReport(baselines, requests) {
+    const endpoints = new Map();
+    const learning = new Set();
+    for (const data of requests) {
+        if (!isDriftCandidate(data)) continue;
+
+        const key = driftKey(data);
+        const record = baselines[key];
+        if (!isBaselineLearned(record)) {
+            learning.add(key);
+            continue;
+        }
+
+        if (!endpoints.has(key)) {
+            endpoints.set(key, { key: key, cmdlet: record.cmdlet, method: record.method, apiUri: record.apiUri, changes: [], requests: [] });
+        }
+        const endpoint = endpoints.get(key);
+        const changes = compareWithBaseline(record, data);
+        if (changes.length > 0) {
+            endpoint.changes = uniqueChanges(endpoint.changes.concat(changes));
+            endpoint.requests.push(data);
+        }
+    }
+
+    const cmdlets = new Map();
+    for (const endpoint of endpoints.values()) {
+        if (endpoint.changes.length === 0) continue;
+        if (!cmdlets.has(endpoint.cmdlet)) cmdlets.set(endpoint.cmdlet, { cmdlet: endpoint.cmdlet, endpoints: [] });
+        cmdlets.get(endpoint.cmdlet).endpoints.push(endpoint);
+    }
+
+    return {
+        cmdlets: Array.from(cmdlets.values()).sort((a, b) => a.cmdlet.localeCompare(b.cmdlet)),
+        checked: endpoints.size,
+        learning: learning.size
+    };
+}
+
+// One line per change, in the style of the compare view: + added, - removed, ~ retyped
+function describeDrift(change) {
+    const path = change.path || '(root)';
+    if (change.section === DRIFT_SECTIONS.query) {
+        return change.type === 'added'
+            ? `+ query: ${path} (new parameter, the cmdlet may have to send it)`
+            : `- query: ${path} (no longer sent)`;
+    }
+    if (change.type === 'added') return `+ ${change.section}: ${path} (${change.after})`;
+    if (change.type === 'removed') return `- ${change.section}: ${path} (${change.before})`;
+    return `~ ${change.section}: ${path}: ${change.before} → ${change.after}`;
+}
+
+// Markdown drift report, for an issue or a fix list
+function formatDriftReport(report) {
+    const lines = ['# XDRay Drift Report', ''];
+    if (report.cmdlets.length === 0) {
+        lines.push('No drift against the recorded baselines.');
+    }
+    for (const group of report.cmdlets) {
+        lines.push(`## ${group.cmdlet}`, '');
+        for (const endpoint of group.endpoints) {
+            lines.push(`${endpoint.method} ${endpoint.apiUri}`, '', '```');
+            lines.push(...endpoint.changes.map(describeDrift));
+            lines.push('```', '');
+        }
+    }
+    return lines.join('\n').replace(/\n+$/, '') + '\n';
+}
+
+// Keep the baselines that have the fields drift detection relies on
+function normalizeDriftBaselines(baselines) {
+    const result = {};
+    if (!isPlainObject(baselines)) return result;
+
+    for (const [key, record] of Object.entries(baselines)) {
+        if (isPlainObject(record) && typeof record.cmdlet === 'string' && typeof record.method === 'string' &&
+            typeof record.apiUri === 'string' && Number.isInteger(record.samples) && isPlainObject(record.query)) {
+            result[key] = record;
+        }
+    }
+    return result;
+}
+
+function exportDriftBaselines(baselines) {
+    return {
+        format: DRIFT_BASELINES_FORMAT,
+        version: DRIFT_BASELINES_VERSION,
+        exportedAt: new Date().toISOString(),
+        baselines: normalizeDriftBaselines(baselines)
+    };
+}
+
+// Merge a baseline file into the current baselines; imported baselines replace those of the same endpoint.
+// Returns { baselines, imported }.
+function importDriftBaselines(current, content) {
+    if (!content || content.format !== DRIFT_BASELINES_FORMAT || !isPlainObject(content.baselines)) {
+        throw new Error('Not an XDRay baseline file');
+    }
+    if (content.version > DRIFT_BASELINES_VERSION) {
+        throw new Error(`Unsupported baseline version ${content.version}, this XDRay supports up to ${DRIFT_BASELINES_VERSION}`);
+    }
+
+    const imported = normalizeDriftBaselines(content.baselines);
+    return {
+        baselines: Object.assign(normalizeDriftBaselines(current), imported),
+        imported: Object.keys(imported).length
+    };
+}
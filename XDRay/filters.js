@@ -0,0 +1,61 @@
+﻿// Filtering and grouping of the request list
+
+function createRequestFilter() {
+    return { method: '', mapping: '', cmdlet: '', tenant: '', text: '', groupBy: '' };
+}
+
+function isFilterActive(filter) {
+    return Boolean(filter.method || filter.mapping || filter.cmdlet || filter.tenant || filter.text);
+}
+
+// Filter a request as it is displayed, so text matches never reveal redacted values
+function matchesRequestFilter(data, filter) {
+    if (filter.method && data.method.toUpperCase() !== filter.method) return false;
+
+    const mapped = data.cmdlet !== 'Invoke-XdrRestMethod';
+    if (filter.mapping === 'mapped' && !mapped) return false;
+    if (filter.mapping === 'unmapped' && mapped) return false;
+
+    if (filter.cmdlet && !data.cmdlet.toLowerCase().includes(filter.cmdlet.toLowerCase())) return false;
+    if (filter.tenant && !requestTenantIds(data).includes(filter.tenant)) return false;
+
+    if (filter.text) {
+        const term = filter.text.toLowerCase();
+        const body = data.body === null || data.body === undefined ? '' : JSON.stringify(data.body);
+        if (!data.url.toLowerCase().includes(term) && !body.toLowerCase().includes(term)) return false;
+    }
+
+    return true;
+}
+
+// Portal service an API belongs to: "mtp/huntingService", "aatp", "radius", "mtoapi", ...
+// Nearly everything lives below /mtp, so that prefix keeps its second segment.
+function serviceName(url) {
+    const segments = new URL(url).pathname.replace(/^\/apiproxy/i, '').split('/').filter(Boolean);
+    if (segments.length === 0) return '/';
+    if (segments[0].toLowerCase() === 'mtp' && segments.length > 1) {
+        return `${segments[0]}/${segments[1]}`;
+    }
+    return segments[0];
+}
+
+function requestGroupName(data, groupBy) {
+    if (groupBy === 'cmdlet') return data.cmdlet;
+    if (groupBy === 'service') return serviceName(data.url);
+    if (groupBy === 'tenant') return requestTenantIds(data)[0] || '';
+    return '';
+}
+
+// Group requests by cmdlet, service or tenant, keeping capture order within a group.
+// Groups are sorted by name, returns [{ name, requests }].
+function groupRequests(requests, groupBy) {
+    const groups = new Map();
+    for (const data of requests) {
+        const name = requestGroupName(data, groupBy);
+        if (!groups.has(name)) {
+            groups.set(name, { name: name, requests: [] });
+        }
+        groups.get(name).requests.push(data);
+    }
+    return Array.from(groups.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -17,11 +17,20 @@
         const shim = {
             runtime: {
                 sendMessage: (message, callback) => wrapPromise(browser.runtime.sendMessage(message), callback),
-                onMessage: browser.runtime.onMessage
+                onMessage: browser.runtime.onMessage,
+                openOptionsPage: () => browser.runtime.openOptionsPage()
             },
             cookies: {
                 getAll: (details, callback) => wrapPromise(browser.cookies.getAll(details), callback)
             },
+            storage: {
+                local: {
+                    get: (keys, callback) => wrapPromise(browser.storage.local.get(keys), callback),
+                    set: (items, callback) => wrapPromise(browser.storage.local.set(items), callback),
+                    remove: (keys, callback) => wrapPromise(browser.storage.local.remove(keys), callback)
+                },
+                onChanged: browser.storage.onChanged
+            },
             devtools: browser.devtools,
             webRequest: browser.webRequest
         };
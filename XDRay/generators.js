@@ -0,0 +1,224 @@
+﻿// Code generators for the request details and the Save button
+// PowerShell with XDRInternals is the default; the other targets call the portal API directly so
+// pipelines that cannot load the module (Python, shell) can use the same request.
+
+const DEFAULT_CODE_GENERATOR = 'xdrinternals';
+
+// Setup shared by every request of a target. The details pane shows it above each snippet,
+// saved scripts contain it once.
+const SESSION_COMMENT = '# sccauth and XSRF-TOKEN are the cookies of an authenticated security.microsoft.com session';
+
+const CODE_GENERATORS = [
+    {
+        id: 'xdrinternals',
+        label: 'PowerShell (XDRInternals)',
+        extension: 'ps1',
+        preamble: '',
+        selectsTenant: true,
+        generate: (data) => generatePowerShellCode(data)
+    },
+    {
+        id: 'rest',
+        label: 'PowerShell (Invoke-XdrRestMethod)',
+        extension: 'ps1',
+        preamble: '',
+        selectsTenant: true,
+        generate: (data) => cmdletComment(data) + generateRestMethodCode(data)
+    },
+    {
+        id: 'curl',
+        label: 'curl',
+        extension: 'sh',
+        preamble: [
+            SESSION_COMMENT,
+            'SCCAUTH=\'<sccauth>\'',
+            'XSRF_TOKEN=\'<XSRF-TOKEN>\'',
+            '# The header carries the URL-decoded cookie value',
+            'XSRF_HEADER=$(printf \'%b\' "${XSRF_TOKEN//%/\\\\x}")',
+            ''
+        ].join('\n'),
+        generate: generateCurlCode
+    },
+    {
+        id: 'python',
+        label: 'Python (requests)',
+        extension: 'py',
+        preamble: [
+            'import requests',
+            'from urllib.parse import unquote',
+            '',
+            SESSION_COMMENT,
+            'SCCAUTH = "<sccauth>"',
+            'XSRF_TOKEN = "<XSRF-TOKEN>"',
+            '',
+            'session = requests.Session()',
+            '# The session cookies hold for the portal and the multi-tenant portal (mto.security.microsoft.com)',
+            'for host in ("security.microsoft.com", "mto.security.microsoft.com"):',
+            '    session.cookies.set("sccauth", SCCAUTH, domain=host)',
+            '    session.cookies.set("XSRF-TOKEN", XSRF_TOKEN, domain=host)',
+            'session.headers["X-XSRF-TOKEN"] = unquote(XSRF_TOKEN)',
+            ''
+        ].join('\n'),
+        generate: generatePythonCode
+    },
+    {
+        id: 'public',
+        label: 'Public API (Graph / Defender)',
+        extension: 'txt',
+        preamble: '',
+        generate: generatePublicApiHint
+    }
+];
+
+// Documented APIs that return the same data as a portal endpoint. Patterns match the path
+// after /apiproxy; the first match wins.
+const PUBLIC_API_EQUIVALENTS = [
+    {
+        pattern: /^\/mtp\/huntingService\/queryExecutor/i,
+        name: 'Microsoft Graph security API: runHuntingQuery',
+        method: 'POST',
+        endpoint: 'https://graph.microsoft.com/v1.0/security/runHuntingQuery',
+        permission: 'ThreatHunting.Read.All',
+        docs: 'https://learn.microsoft.com/graph/api/security-security-runhuntingquery'
+    },
+    {
+        pattern: /^\/mtp\/huntingService\/rules\/unified/i,
+        name: 'Microsoft Graph security API: detection rules (beta)',
+        method: 'GET',
+        endpoint: 'https://graph.microsoft.com/beta/security/rules/detectionRules',
+        permission: 'CustomDetection.Read.All',
+        docs: 'https://learn.microsoft.com/graph/api/security-detectionrule-list?view=graph-rest-beta'
+    },
+    {
+        pattern: /^\/mtp\/(incidentQueue\/incidents|incidents\/[^/]+\/?$)/i,
+        name: 'Microsoft Graph security API: incidents',
+        method: 'GET',
+        endpoint: 'https://graph.microsoft.com/v1.0/security/incidents',
+        permission: 'SecurityIncident.Read.All',
+        docs: 'https://learn.microsoft.com/graph/api/security-list-incidents'
+    },
+    {
+        pattern: /^\/mtp\/(alertsApiService\/alerts|incidents\/[^/]+\/AssociatedAlerts)/i,
+        name: 'Microsoft Graph security API: alerts_v2',
+        method: 'GET',
+        endpoint: 'https://graph.microsoft.com/v1.0/security/alerts_v2',
+        permission: 'SecurityAlert.Read.All',
+        docs: 'https://learn.microsoft.com/graph/api/security-list-alerts_v2'
+    },
+    {
+        pattern: /^\/mtp\/ndr\/machines\/?(\?|$)/i,
+        name: 'Microsoft Defender for Endpoint API: machines',
+        method: 'GET',
+        endpoint: 'https://api.security.microsoft.com/api/machines',
+        permission: 'Machine.Read.All',
+        docs: 'https://learn.microsoft.com/defender-endpoint/api/get-machines'
+    },
+    {
+        pattern: /^\/mtp\/actionCenter\//i,
+        name: 'Microsoft Defender for Endpoint API: machine actions',
+        method: 'GET',
+        endpoint: 'https://api.security.microsoft.com/api/machineactions',
+        permission: 'Machine.Read.All',
+        docs: 'https://learn.microsoft.com/defender-endpoint/api/get-machineactions-collection'
+    }
+];
+
+function getCodeGenerator(id) {
+    return CODE_GENERATORS.find(generator => generator.id === id) ||
+        CODE_GENERATORS.find(generator => generator.id === DEFAULT_CODE_GENERATOR);
+}
+
+function findPublicApiEquivalent(url) {
+    const path = url.split('/apiproxy')[1];
+    if (path === undefined) return null;
+    return PUBLIC_API_EQUIVALENTS.find(equivalent => equivalent.pattern.test(path)) || null;
+}
+
+// Snippet for the details pane, including the setup it depends on
+function generateCodeSnippet(generator, data) {
+    return generator.preamble + generator.generate(data);
+}
+
+// Script for Save: header and setup once, then every request.
+// PowerShell scripts also select the tenant the requests were captured in.
+function generateCodeScript(generator, requests, tenantNames = new Map()) {
+    let script = '# XDRay Generated Script\n';
+    script += '# The mapping to cmdlets is based on best effort but might not reflect the actual parameters of the parameter in question.\n';
+    script += '# Do NOT run this code without verifying it yourself.\n\n';
+    script += generator.preamble ? generator.preamble + '\n' : '';
+
+    const tenants = generator.selectsTenant ? planTenantSelection(requests, tenantNames) : null;
+    script += tenants ? tenants.preamble : '';
+
+    requests.forEach((data, index) => {
+        script += tenants ? tenants.switches[index] : '';
+        script += generator.generate(data) + '\n\n';
+    });
+    return script;
+}
+
+// The other targets name the cmdlet that covers the request, if there is one
+function cmdletComment(data) {
+    return data.cmdlet !== 'Invoke-XdrRestMethod' ? `# ${data.cmdlet}\n` : '';
+}
+
+function toShellString(value) {
+    return `'${value.replace(/'/g, '\'\\\'\'')}'`;
+}
+
+function generateCurlCode(data) {
+    const lines = [
+        `curl -X ${data.method} ${toShellString(data.url)}`,
+        '-b "sccauth=$SCCAUTH; XSRF-TOKEN=$XSRF_TOKEN"',
+        '-H "X-XSRF-TOKEN: $XSRF_HEADER"'
+    ];
+    if (data.body !== null && data.body !== undefined) {
+        const body = typeof data.body === 'object' ? JSON.stringify(data.body) : String(data.body);
+        lines.push('-H \'Content-Type: application/json\'');
+        lines.push(`--data-raw ${toShellString(body)}`);
+    }
+    return cmdletComment(data) + lines.join(' \\\n    ');
+}
+
+// JSON is valid Python once the literals true, false and null are translated
+function toPythonLiteral(value) {
+    return JSON.stringify(value, null, 4).replace(/"(?:[^"\\]|\\.)*"|\b(true|false|null)\b/g, (match, literal) => {
+        if (!literal) return match;
+        return { true: 'True', false: 'False', null: 'None' }[literal];
+    });
+}
+
+function generatePythonCode(data) {
+    const method = data.method.toLowerCase();
+    const call = ['get', 'post', 'put', 'patch', 'delete'].includes(method)
+        ? `session.${method}(${JSON.stringify(data.url)}`
+        : `session.request(${JSON.stringify(data.method)}, ${JSON.stringify(data.url)}`;
+
+    let args = '';
+    if (data.body !== null && data.body !== undefined) {
+        args = typeof data.body === 'object'
+            ? `, json=${toPythonLiteral(data.body)}`
+            : `, data=${JSON.stringify(String(data.body))}, headers={"Content-Type": "application/json"}`;
+    }
+
+    let code = cmdletComment(data);
+    code += `response = ${call}${args})\n`;
+    code += 'response.raise_for_status()\n';
+    code += 'result = response.json() if response.content else None';
+    return code;
+}
+
+function generatePublicApiHint(data) {
+    const equivalent = findPublicApiEquivalent(data.url);
+    let hint = `${cmdletComment(data)}# ${data.method} ${data.url}\n`;
+    if (!equivalent) {
+        return hint + '# No documented public API is known for this portal endpoint.';
+    }
+
+    hint += `# Public API: ${equivalent.name}\n`;
+    hint += `# ${equivalent.method} ${equivalent.endpoint}\n`;
+    hint += `# Permission: ${equivalent.permission} (application or delegated)\n`;
+    hint += `# Documentation: ${equivalent.docs}\n`;
+    hint += '# The public API has its own schema, filters and paging. Parameters of the portal request do not carry over one to one.';
+    return hint;
+}
@@ -0,0 +1,175 @@
+﻿// Advanced hunting queries: extraction from captured requests, KQL formatting and export
+// Covers the huntingService endpoints (query executor, validation, saved functions, ...) and the
+// exposure management (xspmatlas) query endpoint.
+
+const HUNTING_PATH_PATTERN = /\/apiproxy\/(mtoapi\/)?mtp\/(huntingService\/|xspmatlas\/attacksurface\/query)/i;
+
+// Body fields that carry the KQL; saved functions keep it in Body
+const HUNTING_QUERY_FIELDS = ['querytext', 'query', 'kqlquery'];
+const SAVED_FUNCTION_PATH_PATTERN = /\/huntingService\/savedFunctions/i;
+
+// Headers that tell which portal page or scenario built the query
+const HUNTING_CONTEXT_HEADER_PATTERN = /^x-ms-.*(scenario|page)/i;
+
+const DEFAULT_HUNTING_FUNCTION_NAME = 'XDRayHuntingQuery';
+
+function isHuntingRequest(data) {
+    return HUNTING_PATH_PATTERN.test(data.url) && extractHuntingQuery(data) !== null;
+}
+
+// Case-insensitive lookup of a top-level body field
+function findBodyField(body, names) {
+    const key = Object.keys(body).find(k => names.includes(k.toLowerCase()));
+    return key === undefined ? undefined : body[key];
+}
+
+// Query text, time range and scenario headers of a hunting request, or null when it carries no query
+function extractHuntingQuery(data) {
+    if (!HUNTING_PATH_PATTERN.test(data.url) || !data.body || typeof data.body !== 'object' || Array.isArray(data.body)) {
+        return null;
+    }
+
+    const fields = SAVED_FUNCTION_PATH_PATTERN.test(data.url) ? HUNTING_QUERY_FIELDS.concat('body') : HUNTING_QUERY_FIELDS;
+    const query = findBodyField(data.body, fields);
+    if (typeof query !== 'string' || query.trim() === '') {
+        return null;
+    }
+
+    const context = {};
+    for (const [name, value] of Object.entries(data.headers || {})) {
+        if (HUNTING_CONTEXT_HEADER_PATTERN.test(name)) {
+            context[name] = value;
+        }
+    }
+
+    const startTime = findBodyField(data.body, ['starttime']);
+    const endTime = findBodyField(data.body, ['endtime']);
+    return {
+        query: query,
+        startTime: typeof startTime === 'string' ? startTime : null,
+        endTime: typeof endTime === 'string' ? endTime : null,
+        context: context
+    };
+}
+
+// Split KQL at top-level separators, skipping string literals and brackets.
+// Returns the statements (split at ;) as arrays of pipeline stages (split at |).
+function splitKql(text) {
+    const statements = [];
+    let stages = [];
+    let start = 0;
+    let depth = 0;
+    let quote = null;
+    let verbatim = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && !verbatim) {
+                i++;
+            } else if (char === quote) {
+                quote = null;
+            }
+            continue;
+        }
+
+        if (char === '"' || char === '\'') {
+            quote = char;
+            verbatim = text[i - 1] === '@';
+        } else if ('([{'.includes(char)) {
+            depth++;
+        } else if (')]}'.includes(char)) {
+            depth = Math.max(0, depth - 1);
+        } else if (depth === 0 && (char === '|' || char === ';')) {
+            stages.push(text.slice(start, i).trim());
+            start = i + 1;
+            if (char === ';') {
+                statements.push(stages);
+                stages = [];
+            }
+        }
+    }
+
+    const rest = text.slice(start).trim();
+    if (rest !== '' || stages.length > 0) {
+        stages.push(rest);
+        statements.push(stages);
+    }
+    return statements;
+}
+
+// Pretty-print KQL. Queries the portal already sends on several lines keep their layout,
+// single-line queries get one pipeline stage per line and one let statement per line.
+function formatKql(query) {
+    const text = query.replace(/\r\n?/g, '\n').trim();
+    if (text.includes('\n')) {
+        return text.split('\n').map(line => line.replace(/\s+$/, '')).join('\n');
+    }
+
+    const formatted = splitKql(text).map(stages => stages.join('\n| ')).join(';\n');
+    return text.endsWith(';') ? formatted + ';' : formatted;
+}
+
+// Comment block that records where a query came from
+function describeHuntingQuery(data, hunting) {
+    const lines = [`// ${data.method} ${data.url.split('?')[0]}`];
+    if (data.cmdlet !== 'Invoke-XdrRestMethod') {
+        lines.push(`// Cmdlet: ${data.cmdlet}`);
+    }
+    if (hunting.startTime || hunting.endTime) {
+        lines.push(`// Time range: ${hunting.startTime || '?'} - ${hunting.endTime || 'now'}`);
+    }
+    for (const [name, value] of Object.entries(hunting.context)) {
+        lines.push(`// ${name}: ${value}`);
+    }
+    return lines.join('\n');
+}
+
+// .kql file with one block per request; blank lines separate the queries
+function createKqlFile(requests) {
+    const blocks = [];
+    for (const data of requests) {
+        const hunting = extractHuntingQuery(data);
+        if (hunting) {
+            blocks.push(`${describeHuntingQuery(data, hunting)}\n${formatKql(hunting.query)}`);
+        }
+    }
+    return blocks.join('\n\n') + '\n';
+}
+
+// Function names are KQL identifiers; the scenario header gives a readable default
+function huntingFunctionName(hunting) {
+    const scenario = Object.values(hunting.context)[0];
+    const name = scenario ? toPascalCase(String(scenario)) : '';
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : DEFAULT_HUNTING_FUNCTION_NAME;
+}
+
+function createHuntingFunctionCode(data, hunting, name) {
+    const functionName = name.replace(/[^A-Za-z0-9_]/g, '') || DEFAULT_HUNTING_FUNCTION_NAME;
+    const source = Object.values(hunting.context)[0] || data.url.split('apiproxy')[1].split('?')[0];
+
+    let code = `$query = ${toPowerShellString(formatKql(hunting.query))}\n`;
+    code += `New-XdrAdvancedHuntingFunction -Name ${toPowerShellString(functionName)} -KQLQuery $query`;
+    code += ` -Description ${toPowerShellString(`Captured by XDRay from ${source}`)}`;
+    return code;
+}
+
+// Distinct queries across the captured requests, in order of first appearance
+function buildHuntingReport(requests) {
+    const groups = new Map();
+    for (const data of requests) {
+        const hunting = extractHuntingQuery(data);
+        if (!hunting) continue;
+
+        const query = formatKql(hunting.query);
+        if (!groups.has(query)) {
+            groups.set(query, { query: query, hunting: hunting, requests: [], scenarios: [] });
+        }
+        const group = groups.get(query);
+        group.requests.push(data);
+        for (const value of Object.values(hunting.context)) {
+            if (!group.scenarios.includes(value)) group.scenarios.push(value);
+        }
+    }
+    return Array.from(groups.values());
+}
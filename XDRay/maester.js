@@ -0,0 +1,141 @@
+﻿// Maester checks from captured settings pages, for MaesterTests/Test-DefenderForEndpoint.Tests.ps1
+// Fields picked from a captured GET response become an It block that reads the same endpoint again
+// (through its cmdlet when the request is mapped) and compares each field with its desired value,
+// plus the matching maester-config.json entry.
+
+const MAESTER_ID_PREFIX = 'XDRInternal.';
+// XDRInternal.101 to .104 are taken by the hand-written checks
+const MAESTER_FIRST_CHECK_NUMBER = 105;
+const MAESTER_SEVERITIES = ['Critical', 'High', 'Medium', 'Low', 'Info'];
+const DEFAULT_MAESTER_SEVERITY = 'Medium';
+
+// Large lists (devices, alerts) are no settings page; only their first fields are offered
+const MAESTER_MAX_FIELDS = 200;
+
+function isMaesterCandidate(data) {
+    return data.method.toUpperCase() === 'GET' && listMaesterFields(data.response).length > 0;
+}
+
+// Redacted values are no settings: a check would expect the placeholder
+function isRedactedMaesterValue(value) {
+    return typeof value === 'string' && (value.includes(REDACTED_VALUE) || isTenantAlias(value));
+}
+
+function appendPowerShellMember(expression, key) {
+    const name = /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : `'${key.replace(/'/g, '\'\'')}'`;
+    return `${expression}.${name}`;
+}
+
+// Scalar fields of a response as { path, expression, value }: the path as shown by Compare,
+// the expression reading the field from $Settings in PowerShell. Array items are found by
+// their Name or Id when every item has one, by position otherwise. Redacted values are left out.
+function listMaesterFields(response) {
+    const fields = [];
+    const visit = (value, path, expression) => {
+        if (fields.length >= MAESTER_MAX_FIELDS) return;
+
+        if (Array.isArray(value)) {
+            const identityKey = findIdentityKey(value, []);
+            value.forEach((item, index) => {
+                if (identityKey) {
+                    // The identity key itself is no setting
+                    const { [identityKey]: id, ...rest } = item;
+                    visit(rest, `${path}[${identityKey}=${JSON.stringify(id)}]`,
+                        `(${expression} | Where-Object ${identityKey} -EQ ${toPowerShellLiteral(id)})`);
+                } else {
+                    visit(item, appendJsonPath(path, index), `${expression}[${index}]`);
+                }
+            });
+        } else if (isPlainObject(value)) {
+            for (const [key, item] of Object.entries(value)) {
+                visit(item, appendJsonPath(path, key), appendPowerShellMember(expression, key));
+            }
+        } else if (path && !isRedactedMaesterValue(value)) {
+            fields.push({ path: path, expression: expression, value: value });
+        }
+    };
+
+    if (response !== null && typeof response === 'object') {
+        visit(response, '', '$Settings');
+    }
+    return fields;
+}
+
+function maesterCheckId(number) {
+    return `${MAESTER_ID_PREFIX}${number}`;
+}
+
+// Default title from the cmdlet noun, e.g. Get-XdrConfigurationAlertServiceSetting -> Configuration Alert Service Setting
+function maesterCheckTitle(data) {
+    const noun = data.cmdlet !== 'Invoke-XdrRestMethod'
+        ? data.cmdlet.replace(/^[A-Za-z]+-Xdr/, '')
+        : toPascalCase(data.url.split('?')[0].split('/').filter(Boolean).pop() || 'Settings');
+    return noun.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2');
+}
+
+// It block and maester-config.json entry for the picked fields
+// options: { id, title, severity, checks: [{ path, expression, expected }] }
+function createMaesterCheck(data, options) {
+    const source = data.cmdlet !== 'Invoke-XdrRestMethod' ? `${data.cmdlet} (${data.method} ${data.url.split('?')[0]})` : `${data.method} ${data.url.split('?')[0]}`;
+    const checks = options.checks.map(check => [
+        '    [PSCustomObject]@{',
+        `        Name     = ${toPowerShellString(check.path)}`,
+        `        Actual   = ${check.expression}`,
+        `        Expected = ${toPowerShellLiteral(check.expected, 2)}`,
+        '    }'
+    ].join('\n'));
+
+    // Mapped requests go through their cmdlet, which handles the connection and the tenant;
+    // only requests without one read the endpoint directly. The check only passes the parameters the
+    // mapping declares: guessed ones may not exist on the cmdlet and would make every run fail.
+    const read = data.cmdlet !== 'Invoke-XdrRestMethod'
+        ? [
+            `# The field paths are those of the captured response; adjust them if ${data.cmdlet} reshapes it`,
+            generatePowerShellCode(Object.assign({}, data, { parameters: data.parameters || {} }), { assignTo: 'Settings' }).replace(/^# .*\n/, '')
+        ]
+        : [
+            '# The endpoint is read directly, so the field paths are those of the captured response',
+            `$Settings = Invoke-XdrRestMethod -Uri ${toPowerShellString(data.url)} -Method ${toPowerShellString(data.method.toUpperCase())}`
+        ];
+
+    const body = [
+        `# Captured by XDRay from ${source}`,
+        ...read,
+        `$Checks = @(\n${checks.join('\n')}\n)`,
+        '',
+        '$CheckList = "| Result | Setting | Expected value | Current value |`n"',
+        '$CheckList += "| --- | --- | --- | --- |`n"',
+        'foreach ($Check in $Checks) {',
+        '    if ($Check.Actual -ne $Check.Expected) {',
+        '        $CheckResult = "❌ Fail"',
+        '    } else {',
+        '        $CheckResult = "✅ Pass"',
+        '    }',
+        '    $CheckList += "| $($CheckResult) | $($Check.Name) | $($Check.Expected) | $($Check.Actual) |`n"',
+        '}',
+        `Add-MtTestResultDetail -Description ${toPowerShellString(options.title)} -Result $CheckList`,
+        '',
+        'foreach ($Check in $Checks) {',
+        '    $Check.Actual | Should -Be $Check.Expected -Because "$($Check.Name) should be $($Check.Expected)."',
+        '}'
+    ].join('\n');
+
+    const code = `It ${toPowerShellString(`${options.id}: ${options.title}`)} -Tag ${toPowerShellString(options.id)} {\n` +
+        `${indentPowerShell(body, '    ')}\n}`;
+
+    return {
+        code: indentPowerShell(code, '    '),
+        config: { Id: options.id, Severity: options.severity, Title: options.title }
+    };
+}
+
+// Desired value typed in the panel: JSON literals (true, 5, null, "text") as such, anything else as text
+function parseMaesterValue(text) {
+    try {
+        const value = JSON.parse(text);
+        if (value === null || typeof value !== 'object') return value;
+    } catch (e) {
+        // Not JSON, taken as text
+    }
+    return text;
+}
@@ -0,0 +1,101 @@
+﻿// Matching of requests against CmdletApiMapping.json entries
+// A plain script without DOM or extension APIs: the panel loads it from panel.html, the build scripts require it
+
+// Select the most specific entry of mapping for a request.
+// An entry only applies when its path pattern matches, its optional Method equals the request method
+// and all of its optional Query / Body discriminators are satisfied. Among the applicable entries,
+// a declared Method outweighs discriminators, discriminators outweigh literal path segments.
+// File order only decides between entries that are equally specific.
+// Returns { mapping, pathParameters } where pathParameters holds the values captured by the
+// {Placeholder} segments of the ApiUri, or null when no entry applies.
+function findCmdletMapping(mapping, method, url, body) {
+    let bestMatch = null;
+    let bestScore = -1;
+
+    for (const map of mapping) {
+        // URL() percent-encodes the braces of {Placeholder} segments, decode them back
+        const mappingPath = decodeURI(new URL(map.ApiUri).pathname);
+        const regexStr = '^' + mappingPath.replace(/\/+$/, '').replace(/\{[^}]+\}/g, '([^/]+)') + '/?$';
+        const regex = new RegExp(regexStr, 'i');
+        const pathMatch = regex.exec(url.pathname);
+
+        if (!pathMatch) {
+            continue;
+        }
+
+        if (map.Method && map.Method.toUpperCase() !== method.toUpperCase()) {
+            continue;
+        }
+
+        if (!matchesQueryDiscriminators(map.Query, url.searchParams)) {
+            continue;
+        }
+
+        if (!matchesBodyDiscriminators(map.Body, body)) {
+            continue;
+        }
+
+        const score = mappingSpecificity(map);
+
+        if (score > bestScore) {
+            const placeholders = (mappingPath.match(/\{[^}]+\}/g) || []).map(p => p.slice(1, -1));
+            const pathParameters = {};
+            placeholders.forEach((name, index) => {
+                pathParameters[name] = decodeURIComponent(pathMatch[index + 1]);
+            });
+
+            bestMatch = { mapping: map, pathParameters: pathParameters };
+            bestScore = score;
+        }
+    }
+
+    return bestMatch;
+}
+
+// Specificity of a mapping entry: a method beats any number of discriminators,
+// which beat any number of literal (non-placeholder) path segments
+function mappingSpecificity(map) {
+    const mappingPath = decodeURI(new URL(map.ApiUri).pathname);
+    const literalSegments = mappingPath.split('/').filter(s => s && !/^\{[^}]+\}$/.test(s)).length;
+    const discriminators = Object.keys(map.Query || {}).length + Object.keys(map.Body || {}).length;
+    return (map.Method ? 10000 : 0) + discriminators * 100 + literalSegments;
+}
+
+// Query discriminators: { "name": "value" } requires an exact (case-insensitive) value,
+// { "name": null } only requires the query parameter to be present.
+function matchesQueryDiscriminators(query, searchParams) {
+    if (!query) return true;
+
+    const params = {};
+    searchParams.forEach((value, key) => {
+        params[key.toLowerCase()] = value;
+    });
+
+    return Object.entries(query).every(([key, expected]) => {
+        const actual = params[key.toLowerCase()];
+        if (actual === undefined) return false;
+        if (expected === null) return true;
+        return actual.toLowerCase() === String(expected).toLowerCase();
+    });
+}
+
+// Body discriminators: { "dot.path": value } requires the JSON body to hold that value at the path,
+// { "dot.path": null } only requires the path to exist.
+function matchesBodyDiscriminators(discriminators, body) {
+    if (!discriminators) return true;
+    if (!body || typeof body !== 'object') return false;
+
+    return Object.entries(discriminators).every(([path, expected]) => {
+        let current = body;
+        for (const part of path.split('.')) {
+            if (current === null || typeof current !== 'object' || !(part in current)) return false;
+            current = current[part];
+        }
+        if (expected === null) return true;
+        return JSON.stringify(current) === JSON.stringify(expected);
+    });
+}
+
+if (typeof module !== 'undefined') {
+    module.exports = { findCmdletMapping, mappingSpecificity, matchesQueryDiscriminators, matchesBodyDiscriminators };
+}
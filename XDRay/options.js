@@ -0,0 +1,230 @@
+﻿// Options page: add, edit and disable cmdlet mappings on top of the bundled CmdletApiMapping.json
+
+let bundledMapping = [];
+let mappingOverrides = [];
+
+// Entry in the editor: the bundled entry it edits (target) and the override it replaces, if any
+let editorState = null;
+
+fetch('CmdletApiMapping.json')
+    .then(response => response.json())
+    .then(data => {
+        bundledMapping = data;
+    })
+    .catch(err => console.error('Failed to load mapping', err))
+    .then(() => chrome.storage.local.get(MAPPING_OVERRIDES_KEY, (result) => {
+        mappingOverrides = normalizeMappingOverrides(result && result[MAPPING_OVERRIDES_KEY]);
+        renderMappingList();
+    }));
+
+function saveOverrides(overrides, status) {
+    mappingOverrides = overrides;
+    chrome.storage.local.set({ [MAPPING_OVERRIDES_KEY]: overrides }, () => {
+        showStatus(chrome.runtime.lastError ? `Not saved: ${chrome.runtime.lastError.message}` : status);
+    });
+    renderMappingList();
+}
+
+function showStatus(text) {
+    const status = document.getElementById('status');
+    status.textContent = text;
+    setTimeout(() => {
+        if (status.textContent === text) status.textContent = '';
+    }, 3000);
+}
+
+// Rows of the list: the user's own entries first, then every bundled entry with its override
+function mappingRows() {
+    const byTarget = new Map(mappingOverrides.filter(override => override.target).map(override => [override.target, override]));
+    const custom = mappingOverrides
+        .filter(override => !override.target)
+        .map(override => ({ origin: 'custom', entry: override.entry, target: null, override: override }));
+    const bundled = bundledMapping.map(entry => {
+        const target = mappingKey(entry);
+        const override = byTarget.get(target) || null;
+        return {
+            origin: override && override.entry ? 'edited' : 'bundled',
+            entry: override && override.entry ? override.entry : entry,
+            target: target,
+            override: override
+        };
+    });
+    return custom.concat(bundled);
+}
+
+function renderMappingList() {
+    const list = document.getElementById('mapping-list');
+    const filter = document.getElementById('filter-text').value.trim().toLowerCase();
+    const rows = mappingRows();
+    const visible = rows.filter(row => !filter ||
+        row.entry.Cmdlet.toLowerCase().includes(filter) ||
+        row.entry.ApiUri.toLowerCase().includes(filter));
+
+    list.innerHTML = '';
+    for (const row of visible) {
+        list.appendChild(createMappingItem(row));
+    }
+
+    const changed = mappingOverrides.length;
+    document.getElementById('filter-count').textContent =
+        `${visible.length} of ${rows.length} mappings, ${changed} override${changed === 1 ? '' : 's'}`;
+}
+
+function createMappingItem(row) {
+    const disabled = Boolean(row.override && row.override.disabled);
+    const item = document.createElement('div');
+    item.className = disabled ? 'mapping-item disabled' : 'mapping-item';
+
+    const origin = document.createElement('span');
+    origin.className = `origin ${row.origin}`;
+    origin.textContent = disabled ? 'disabled' : row.origin;
+    item.appendChild(origin);
+
+    const method = document.createElement('span');
+    method.className = 'method';
+    method.textContent = row.entry.Method || 'any';
+    item.appendChild(method);
+
+    const cmdlet = document.createElement('span');
+    cmdlet.className = 'cmdlet';
+    cmdlet.textContent = row.entry.Cmdlet;
+    item.appendChild(cmdlet);
+
+    const url = document.createElement('span');
+    url.className = 'url';
+    url.textContent = row.entry.ApiUri.split('apiproxy')[1] || row.entry.ApiUri;
+    url.title = row.entry.ApiUri;
+    item.appendChild(url);
+
+    const addButton = (text, action) => {
+        const button = document.createElement('button');
+        button.className = 'secondary';
+        button.textContent = text;
+        button.addEventListener('click', action);
+        item.appendChild(button);
+    };
+
+    addButton('Edit', () => openEditor(row));
+    addButton(disabled ? 'Enable' : 'Disable', () => toggleMapping(row, !disabled));
+    if (row.origin === 'custom') {
+        addButton('Delete', () => saveOverrides(mappingOverrides.filter(o => o !== row.override), `Deleted ${row.entry.Cmdlet}`));
+    } else if (row.override) {
+        addButton('Reset', () => saveOverrides(mappingOverrides.filter(o => o !== row.override), `Reset ${row.entry.Cmdlet}`));
+    }
+    return item;
+}
+
+// Disabling keeps an edit, so enabling the entry again restores it
+function toggleMapping(row, disable) {
+    const rest = mappingOverrides.filter(override => override !== row.override);
+    const entry = row.override ? row.override.entry : null;
+    const status = `${disable ? 'Disabled' : 'Enabled'} ${row.entry.Cmdlet}`;
+
+    if (!disable && row.target && entry === null) {
+        saveOverrides(rest, status);
+        return;
+    }
+    saveOverrides(putMappingOverride(rest, { target: row.target, disabled: disable, entry: entry }, bundledMapping), status);
+}
+
+function formatJsonField(value) {
+    return value === undefined ? '' : JSON.stringify(value, null, 2);
+}
+
+function openEditor(row) {
+    editorState = row ? { target: row.target, override: row.override } : { target: null, override: null };
+    const entry = row ? row.entry : {};
+
+    document.getElementById('editor-cmdlet').value = entry.Cmdlet || '';
+    document.getElementById('editor-method').value = entry.Method || '';
+    document.getElementById('editor-uri').value = entry.ApiUri || 'https://security.microsoft.com/apiproxy/';
+    document.getElementById('editor-parameters').value = formatJsonField(entry.Parameters);
+    document.getElementById('editor-query').value = formatJsonField(entry.Query);
+    document.getElementById('editor-body').value = formatJsonField(entry.Body);
+    document.getElementById('editor-errors').textContent = '';
+    document.getElementById('editor').style.display = 'flex';
+    document.getElementById('editor-cmdlet').focus();
+}
+
+function closeEditor() {
+    editorState = null;
+    document.getElementById('editor').style.display = 'none';
+}
+
+// Mapping entry from the editor fields, keys in the order of the mapping file; empty fields are left out
+function readEditor() {
+    const errors = [];
+    const entry = {
+        Cmdlet: document.getElementById('editor-cmdlet').value.trim(),
+        ApiUri: document.getElementById('editor-uri').value.trim()
+    };
+
+    const method = document.getElementById('editor-method').value;
+    if (method) entry.Method = method;
+
+    for (const [key, id] of [['Query', 'editor-query'], ['Body', 'editor-body'], ['Parameters', 'editor-parameters']]) {
+        const text = document.getElementById(id).value.trim();
+        if (!text) continue;
+        try {
+            entry[key] = JSON.parse(text);
+        } catch (e) {
+            errors.push(`${key} is not valid JSON: ${e.message}`);
+        }
+    }
+
+    return { entry: entry, errors: errors.concat(validateMappingEntry(entry)) };
+}
+
+document.getElementById('editor-save-btn').addEventListener('click', () => {
+    const { entry, errors } = readEditor();
+    if (errors.length > 0) {
+        document.getElementById('editor-errors').textContent = errors.join('\n');
+        return;
+    }
+
+    const existing = editorState.override;
+    const override = { target: editorState.target, disabled: Boolean(existing && existing.disabled), entry: entry };
+    const rest = mappingOverrides.filter(o => o !== existing);
+    saveOverrides(putMappingOverride(rest, override, bundledMapping), `Saved ${entry.Cmdlet}`);
+    closeEditor();
+});
+
+document.getElementById('editor-cancel-btn').addEventListener('click', closeEditor);
+document.getElementById('add-btn').addEventListener('click', () => openEditor(null));
+document.getElementById('filter-text').addEventListener('input', renderMappingList);
+
+document.getElementById('export-btn').addEventListener('click', () => {
+    const blob = new Blob([JSON.stringify(exportMappingOverrides(mappingOverrides), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'XDRay-MappingOverrides.json';
+    a.click();
+    URL.revokeObjectURL(url);
+});
+
+document.getElementById('import-btn').addEventListener('click', () => {
+    document.getElementById('import-file').click();
+});
+
+document.getElementById('import-file').addEventListener('change', (e) => {
+    const file = e.currentTarget.files[0];
+    e.currentTarget.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        let result;
+        try {
+            result = importMappingOverrides(mappingOverrides, JSON.parse(reader.result), bundledMapping);
+        } catch (err) {
+            console.error('Failed to import mapping overrides', err);
+            showStatus(`Import failed: ${err.message}`);
+            return;
+        }
+        const skipped = result.skipped > 0 ? `, skipped ${result.skipped} invalid` : '';
+        saveOverrides(result.overrides, `Imported ${result.imported}${skipped}`);
+    };
+    reader.onerror = () => showStatus('Import failed: the file could not be read');
+    reader.readAsText(file);
+});
@@ -0,0 +1,148 @@
+﻿// User mapping overrides, edited on the options page (options.html)
+// Stored in chrome.storage.local and merged over the bundled CmdletApiMapping.json wherever the mapping is loaded.
+// An override is { target, disabled, entry }:
+// - target null: a mapping entry of the user's own, e.g. for a private wrapper cmdlet
+// - target set: the key of the bundled entry it replaces (entry) or turns off (disabled)
+
+const MAPPING_OVERRIDES_KEY = 'mappingOverrides';
+
+// Identifies XDRay mapping override files; bump the version when the layout of an override changes
+const MAPPING_OVERRIDES_FORMAT = 'XDRay.MappingOverrides';
+const MAPPING_OVERRIDES_VERSION = 1;
+
+const MAPPING_ENTRY_KEYS = ['Cmdlet', 'ApiUri', 'Method', 'Query', 'Body', 'Parameters'];
+const MAPPING_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const MAPPING_SOURCE_PATTERN = /^(body\.[^.]+(\.[^.]+)*|header:.+|path:.+|query:.+|fixed:.*)$/;
+const CMDLET_NAME_PATTERN = /^[A-Za-z]+-[A-Za-z0-9]+$/;
+const PARAMETER_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9]*$/;
+
+const isMappingObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Key of a mapping entry: method, URI and discriminators, which is what tells two bundled entries apart
+function mappingKey(entry) {
+    let key = `${(entry.Method || '*').toUpperCase()} ${entry.ApiUri}`;
+    if (entry.Query) key += ` query:${JSON.stringify(entry.Query)}`;
+    if (entry.Body) key += ` body:${JSON.stringify(entry.Body)}`;
+    return key;
+}
+
+// Problems of a mapping entry, empty when it can be merged into the mapping.
+// Cmdlets are not checked against XDRInternals: overrides may name cmdlets of other modules.
+function validateMappingEntry(entry) {
+    if (!isMappingObject(entry)) return ['The entry must be an object'];
+
+    const errors = [];
+    for (const key of Object.keys(entry)) {
+        if (!MAPPING_ENTRY_KEYS.includes(key)) errors.push(`Unknown key '${key}'`);
+    }
+    if (typeof entry.Cmdlet !== 'string' || !CMDLET_NAME_PATTERN.test(entry.Cmdlet)) {
+        errors.push('Cmdlet must be a Verb-Noun name');
+    }
+
+    let url = null;
+    try {
+        url = new URL(entry.ApiUri);
+    } catch (e) {
+        // Reported below
+    }
+    if (!url || !isPortalApiUrl(entry.ApiUri)) {
+        errors.push('ApiUri must start with https://security.microsoft.com/apiproxy/ or https://mto.security.microsoft.com/apiproxy/');
+    } else if (/\{(?![A-Za-z][A-Za-z0-9]*\})/.test(decodeURI(url.pathname))) {
+        errors.push('Placeholders must look like {Name}');
+    }
+
+    if (entry.Method !== undefined && !MAPPING_METHODS.includes(entry.Method)) {
+        errors.push(`Method must be one of ${MAPPING_METHODS.join(', ')} or left out`);
+    }
+    for (const key of ['Query', 'Body', 'Parameters']) {
+        if (entry[key] !== undefined && !isMappingObject(entry[key])) errors.push(`${key} must be an object`);
+    }
+    if (isMappingObject(entry.Parameters)) {
+        for (const [name, source] of Object.entries(entry.Parameters)) {
+            if (!PARAMETER_NAME_PATTERN.test(name)) errors.push(`'${name}' is not a parameter name`);
+            if (typeof source !== 'string' || !MAPPING_SOURCE_PATTERN.test(source)) {
+                errors.push(`Parameter ${name}: source must be body.<path>, header:<name>, path:<Placeholder>, query:<name> or fixed:<value>`);
+            }
+        }
+    }
+    return errors;
+}
+
+// Keep the well-formed overrides; a broken one would make every request fail to match
+function normalizeMappingOverrides(overrides) {
+    if (!Array.isArray(overrides)) return [];
+
+    return overrides
+        .filter(override => isMappingObject(override))
+        .map(override => ({
+            target: typeof override.target === 'string' && override.target ? override.target : null,
+            disabled: override.disabled === true,
+            entry: override.entry === undefined ? null : override.entry
+        }))
+        .filter(override => (override.entry === null
+            ? override.target !== null && override.disabled
+            : validateMappingEntry(override.entry).length === 0));
+}
+
+// Override that stands for the same thing as another: the bundled entry it targets, or its own entry
+function overrideKey(override) {
+    return override.target ? `target ${override.target}` : `user ${mappingKey(override.entry)}`;
+}
+
+// Bundled mapping with the overrides applied. User entries go first, so they win ties of
+// specificity against bundled entries; edited entries keep the place of the entry they replace.
+function mergeMappingOverrides(bundled, overrides) {
+    const valid = normalizeMappingOverrides(overrides);
+    const byTarget = new Map(valid.filter(override => override.target).map(override => [override.target, override]));
+    const added = valid.filter(override => !override.target && !override.disabled).map(override => override.entry);
+
+    const merged = [];
+    for (const entry of bundled) {
+        const override = byTarget.get(mappingKey(entry));
+        if (!override) {
+            merged.push(entry);
+        } else if (!override.disabled) {
+            merged.push(override.entry);
+        }
+    }
+    return added.concat(merged);
+}
+
+// Add or replace one override; an override equal to the bundled entry it targets is dropped again
+function putMappingOverride(overrides, override, bundled = []) {
+    const key = overrideKey(override);
+    const rest = overrides.filter(existing => overrideKey(existing) !== key);
+    const original = override.target ? bundled.find(entry => mappingKey(entry) === override.target) : null;
+    if (original && !override.disabled && JSON.stringify(override.entry) === JSON.stringify(original)) {
+        return rest;
+    }
+    return rest.concat(override);
+}
+
+function exportMappingOverrides(overrides) {
+    return {
+        format: MAPPING_OVERRIDES_FORMAT,
+        version: MAPPING_OVERRIDES_VERSION,
+        exportedAt: new Date().toISOString(),
+        overrides: normalizeMappingOverrides(overrides)
+    };
+}
+
+// Merge an override file into the current set; imported overrides replace those for the same entry.
+// Like edits in the options page, an imported edit equal to its bundled entry removes the override.
+// Returns { overrides, imported, skipped }.
+function importMappingOverrides(current, content, bundled = []) {
+    if (!content || content.format !== MAPPING_OVERRIDES_FORMAT || !Array.isArray(content.overrides)) {
+        throw new Error('Not an XDRay mapping override file');
+    }
+    if (content.version > MAPPING_OVERRIDES_VERSION) {
+        throw new Error(`Unsupported override version ${content.version}, this XDRay supports up to ${MAPPING_OVERRIDES_VERSION}`);
+    }
+
+    const valid = normalizeMappingOverrides(content.overrides);
+    let overrides = normalizeMappingOverrides(current);
+    for (const override of valid) {
+        overrides = putMappingOverride(overrides, override, bundled);
+    }
+    return { overrides: overrides, imported: valid.length, skipped: content.overrides.length - valid.length };
+}
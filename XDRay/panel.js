@@ -1,13 +1,98 @@
 ﻿let cmdletMapping = [];
 let capturedRequests = [];
 
-// Load mapping
+// The bundled mapping file and the user's overrides from the options page; cmdletMapping merges both
+let bundledMapping = [];
+let mappingOverrides = [];
+
+// Identifies XDRay session files; bump the version when the layout of an entry changes
+const SESSION_FORMAT = 'XDRay.Session';
+const SESSION_VERSION = 1;
+
+// Redaction state: user rules are persisted, revealing values only lasts for this panel session
+let redactionRules = { headers: [], paths: [], patterns: [] };
+let redactor = createRedactor(redactionRules);
+let revealSensitiveValues = false;
+
+// List element of every captured request, used to re-render them when redaction changes
+const requestElements = new Map();
+
+// Toolbar filter and grouping of the request list
+let requestFilter = createRequestFilter();
+
+// Requests picked for the script builder, in script order
+let builderSelection = [];
+
+// Persistence of captures across DevTools sessions; writes are batched
+let persistenceSettings = normalizePersistenceSettings();
+let persistTimer = null;
+let capturesRestored = false;
+
+// The two captures being compared, in order (before, after)
+let compareSelection = [];
+
+// Tenant names from captured tenant picker responses, and whether the captures span several tenants
+const tenantNames = new Map();
+let multiTenantCapture = false;
+
+// Number suggested for the next Maester check; each check created in this panel session takes one.
+// maester-config.json is not read, so the suggestion may already be taken there.
+let nextMaesterCheckNumber = MAESTER_FIRST_CHECK_NUMBER;
+
+// Learned shapes of the mapped endpoints (see drift.js); nothing is learned before the stored ones are loaded
+let driftBaselines = {};
+let driftBaselinesLoaded = false;
+let driftSaveTimer = null;
+
+// Target of the code in the details pane and of Save
+let codeGenerator = getCodeGenerator(DEFAULT_CODE_GENERATOR);
+
+// Load mapping and the user's overrides, then restore the captures of earlier sessions
+// (they are matched against the mapping again)
 fetch('CmdletApiMapping.json')
     .then(response => response.json())
     .then(data => {
-        cmdletMapping = data;
+        bundledMapping = data;
+    })
+    .catch(err => console.error('Failed to load mapping', err))
+    .then(() => new Promise(resolve => chrome.storage.local.get(MAPPING_OVERRIDES_KEY, resolve)))
+    .then(result => {
+        mappingOverrides = normalizeMappingOverrides(result && result[MAPPING_OVERRIDES_KEY]);
+        cmdletMapping = mergeMappingOverrides(bundledMapping, mappingOverrides);
     })
-    .catch(err => console.error('Failed to load mapping', err));
+    .then(() => restoreCapturedRequests());
+
+// Overrides saved on the options page apply to the open panel right away
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[MAPPING_OVERRIDES_KEY]) {
+        mappingOverrides = normalizeMappingOverrides(changes[MAPPING_OVERRIDES_KEY].newValue);
+        cmdletMapping = mergeMappingOverrides(bundledMapping, mappingOverrides);
+        rematchCapturedRequests();
+    }
+});
+
+// Load user redaction rules
+chrome.storage.local.get('redactionRules', (result) => {
+    if (result && result.redactionRules) {
+        redactionRules = result.redactionRules;
+        redactor = createRedactor(redactionRules);
+        refreshRequestList();
+    }
+});
+
+// Load the drift baselines
+chrome.storage.local.get(DRIFT_BASELINES_KEY, (result) => {
+    driftBaselines = normalizeDriftBaselines(result && result[DRIFT_BASELINES_KEY]);
+    driftBaselinesLoaded = true;
+});
+
+// Load the preferred code target
+populateCodeGeneratorSelect(document.getElementById('code-generator'));
+chrome.storage.local.get('codeGenerator', (result) => {
+    if (result && result.codeGenerator) {
+        setCodeGenerator(result.codeGenerator);
+    }
+});
 
 // Add disclaimer on load
 addDisclaimerToUI();
@@ -15,79 +100,1034 @@ addDisclaimerToUI();
 // Listen for network requests
 chrome.devtools.network.onRequestFinished.addListener(request => {
     const url = request.request.url;
-    if (url.includes('https://security.microsoft.com/apiproxy')) {
+    if (isPortalApiUrl(url)) {
         processRequest(request);
     }
 });
 
 function processRequest(request) {
-    const url = new URL(request.request.url);
-    const method = request.request.method;
-    const path = url.pathname + url.search;
+    // Get the response body from DevTools, then the request body from the background script
+    // The background script captures it via chrome.webRequest.onBeforeRequest and correlates it
+    // with this entry by method, headers and start time
+    const headers = {};
+    (request.request.headers || []).forEach(h => {
+        headers[h.name.toLowerCase()] = h.value;
+    });
+
+    request.getContent((content, encoding) => chrome.runtime.sendMessage(
+        {
+            type: 'GET_REQUEST_BODY',
+            url: request.request.url,
+            method: request.request.method,
+            startedDateTime: request.startedDateTime,
+            headers: headers
+        },
+        (response) => {
+            let requestBody = null;
+            let bodyMatch = 'unmatched';
+            if (response && response.success) {
+                requestBody = response.body;
+                bodyMatch = response.match;
+            } else if (request.request.postData && request.request.postData.text) {
+                // DevTools includes small payloads in the HAR entry itself
+                requestBody = request.request.postData.text;
+                bodyMatch = 'har';
+            }
+
+            const requestData = buildRequestData(request, requestBody, content, encoding);
+            requestData.bodyMatch = bodyMatch;
+
+            capturedRequests.push(requestData);
+            // Only live traffic builds baselines; imported captures are compared, or accepted from the drift view
+            if (driftBaselinesLoaded && learnBaseline(driftBaselines, requestData)) {
+                scheduleDriftSave();
+            }
+            addRequestToUI(requestData);
+        }
+    ));
+}
+
+// Turn a HAR entry (a live DevTools request or an entry from an imported HAR file) plus its
+// raw request and response bodies into the captured request format used by the panel.
+function buildRequestData(entry, requestBody, content, encoding) {
+    const url = new URL(entry.request.url);
+    const method = entry.request.method;
 
     // Extract headers
     const headers = {};
-    if (request.request.headers) {
-        request.request.headers.forEach(h => {
+    if (entry.request.headers) {
+        entry.request.headers.forEach(h => {
             headers[h.name.toLowerCase()] = h.value;
         });
     }
 
+    let body = null;
+    if (requestBody) {
+        try {
+            body = JSON.parse(requestBody);
+        } catch (e) {
+            body = requestBody;
+        }
+    }
+
     // Find matching cmdlet
-    let matchedCmdlet = null;
-    let matchedParams = null;
+    const match = findCmdletMapping(cmdletMapping, method, url, body);
+
+    return {
+        method: method,
+        url: entry.request.url,
+        headers: headers,
+        cmdlet: match ? match.mapping.Cmdlet : 'Invoke-XdrRestMethod',
+        mapping: match ? match.mapping : null,
+        parameters: match ? match.mapping.Parameters : null,
+        pathParameters: match ? match.pathParameters : {},
+        body: body,
+        status: entry.response ? entry.response.status : null,
+        statusText: entry.response ? entry.response.statusText : '',
+        duration: typeof entry.time === 'number' ? Math.round(entry.time) : null,
+        response: parseResponseContent(content, encoding),
+        tenantId: detectTenantId(headers, entry.request.url),
+        targetTenantIds: detectTargetTenantIds(headers, body),
+        timestamp: entry.startedDateTime || new Date().toISOString()
+    };
+}
+
+// Run every apiproxy entry of a HAR export through the same pipeline as live traffic.
+// Returns the captured requests in the order they were started.
+function importHar(har) {
+    if (!har || !har.log || !Array.isArray(har.log.entries)) {
+        throw new Error('Not a HAR file: log.entries is missing');
+    }
+
+    return har.log.entries
+        .filter(entry => entry.request && entry.request.url && isPortalApiUrl(entry.request.url))
+        .sort((a, b) => String(a.startedDateTime || '').localeCompare(String(b.startedDateTime || '')))
+        .map(entry => {
+            const postData = entry.request.postData;
+            const content = entry.response && entry.response.content ? entry.response.content : {};
+            return buildRequestData(entry, postData ? postData.text : null, content.text, content.encoding);
+        });
+}
+
+function exportSession(requests) {
+    return {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        exportedAt: new Date().toISOString(),
+        requests: requests.map(req => ({
+            timestamp: req.timestamp,
+            request: {
+                method: req.method,
+                url: req.url,
+                headers: req.headers,
+                body: req.body,
+                bodyMatch: req.bodyMatch,
+                tenantId: req.tenantId,
+                targetTenantIds: req.targetTenantIds
+            },
+            response: {
+                status: req.status,
+                statusText: req.statusText,
+                duration: req.duration,
+                body: req.response
+            },
+            mapping: req.mapping
+        }))
+    };
+}
 
-    for (const map of cmdletMapping) {
-        const mappingPath = new URL(map.ApiUri).pathname;
-        const regexStr = '^' + mappingPath.replace(/\{[^}]+\}/g, '([^/]+)') + '$';
-        const regex = new RegExp(regexStr, 'i');
+// Rebuild captured requests from a session file. Requests are matched again against the
+// current mapping so that improved mappings and generators apply to old sessions;
+// the mapping recorded at export time is kept as recordedMapping.
+function importSession(session) {
+    if (!session || session.format !== SESSION_FORMAT) {
+        throw new Error('Not an XDRay session file');
+    }
+    if (session.version > SESSION_VERSION) {
+        throw new Error(`Unsupported session version ${session.version}, this XDRay supports up to ${SESSION_VERSION}`);
+    }
 
-        if (regex.test(url.pathname)) {
-            matchedCmdlet = map.Cmdlet;
-            matchedParams = map.Parameters;
-            break;
+    return (session.requests || []).map(item => {
+        const request = item.request || {};
+        const response = item.response || {};
+        const entry = {
+            request: {
+                method: request.method,
+                url: request.url,
+                headers: Object.entries(request.headers || {}).map(([name, value]) => ({ name: name, value: value }))
+            },
+            response: { status: response.status, statusText: response.statusText },
+            time: response.duration,
+            startedDateTime: item.timestamp
+        };
+        const requestBody = request.body === null || request.body === undefined || typeof request.body === 'string'
+            ? request.body
+            : JSON.stringify(request.body);
+        const responseBody = response.body === null || response.body === undefined ? null : JSON.stringify(response.body);
+
+        const requestData = buildRequestData(entry, requestBody, responseBody);
+        requestData.recordedMapping = item.mapping || null;
+        requestData.bodyMatch = request.bodyMatch;
+        // Redacted sessions no longer carry the tenant headers, the recorded tenants (or aliases) do
+        if (request.tenantId !== undefined) {
+            requestData.tenantId = request.tenantId;
+            requestData.targetTenantIds = request.targetTenantIds || [];
         }
+        return requestData;
+    });
+}
 
-        if (url.pathname.toLowerCase() === mappingPath.toLowerCase()) {
-            matchedCmdlet = map.Cmdlet;
-            matchedParams = map.Parameters;
-            break;
+// Import a HAR export or an XDRay session file, whichever the content turns out to be
+function importFile(file, button) {
+    const reader = new FileReader();
+    reader.onload = () => {
+        let imported;
+        try {
+            const content = JSON.parse(reader.result);
+            imported = content && content.format === SESSION_FORMAT ? importSession(content) : importHar(content);
+        } catch (err) {
+            console.error('Failed to import file', err);
+            showButtonFeedback(button, 'Invalid File');
+            return;
         }
+
+        imported.forEach(requestData => {
+            capturedRequests.push(requestData);
+            addRequestToUI(requestData);
+        });
+        showButtonFeedback(button, `Imported ${imported.length}`);
+    };
+    reader.onerror = () => {
+        console.error('Failed to read file', reader.error);
+        showButtonFeedback(button, 'Read Error');
+    };
+    reader.readAsText(file);
+}
+
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+function showButtonFeedback(button, text) {
+    const originalText = button.textContent;
+    button.textContent = text;
+    setTimeout(() => button.textContent = originalText, 2000);
+}
+
+// Decode the content handed over by request.getContent().
+// JSON responses are parsed, anything else is kept as text; empty responses become null.
+function parseResponseContent(content, encoding) {
+    if (content === null || content === undefined || content === '') {
+        return null;
     }
 
-    // Get the request body from the background script
-    // The background script captures it via chrome.webRequest.onBeforeRequest
-    chrome.runtime.sendMessage(
-        { type: 'GET_REQUEST_BODY', url: request.request.url },
-        (response) => {
-            let body = null;
+    let text = content;
+    if (encoding === 'base64') {
+        try {
+            const bytes = Uint8Array.from(atob(content), c => c.charCodeAt(0));
+            text = new TextDecoder('utf-8').decode(bytes);
+        } catch (e) {
+            return content;
+        }
+    }
 
-            if (response && response.success && response.body) {
-                try {
-                    body = JSON.parse(response.body);
-                } catch (e) {
-                    body = response.body;
-                }
-            }
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
 
-            const requestData = {
-                method: method,
-                url: request.request.url,
-                headers: headers,
-                cmdlet: matchedCmdlet || 'Invoke-XdrRestMethod',
-                parameters: matchedParams,
-                body: body,
-                timestamp: new Date().toISOString()
-            };
+// Match every captured request against the current mapping again, after the overrides changed
+function rematchCapturedRequests() {
+    for (const data of capturedRequests) {
+        const match = findCmdletMapping(cmdletMapping, data.method, new URL(data.url), data.body);
+        data.cmdlet = match ? match.mapping.Cmdlet : 'Invoke-XdrRestMethod';
+        data.mapping = match ? match.mapping : null;
+        data.parameters = match ? match.mapping.Parameters : null;
+        data.pathParameters = match ? match.pathParameters : {};
+    }
+    refreshRequestList();
+    updateFilterSummary();
+}
 
-            capturedRequests.push(requestData);
-            addRequestToUI(requestData);
+// Restore persisted captures ahead of anything captured since the panel opened
+function restoreCapturedRequests() {
+    chrome.storage.local.get(['persistenceSettings', CAPTURE_STORAGE_KEY], (result) => {
+        // Until now nothing may be written, it would overwrite the captures being restored
+        capturesRestored = true;
+        persistenceSettings = normalizePersistenceSettings(result && result.persistenceSettings);
+        const stored = result && result[CAPTURE_STORAGE_KEY];
+        if (!persistenceSettings.enabled || !stored) return;
+
+        let restored;
+        try {
+            restored = importSession(pruneStoredSession(stored, persistenceSettings));
+        } catch (err) {
+            console.error('Failed to restore captured requests', err);
+            return;
+        }
+
+        capturedRequests = restored.concat(capturedRequests);
+        restored.forEach(requestData => addRequestToUI(requestData));
+        layoutRequestList();
+    });
+}
+
+function schedulePersist() {
+    clearTimeout(persistTimer);
+    persistTimer = setTimeout(persistCapturedRequests, 1000);
+}
+
+function persistCapturedRequests() {
+    if (!persistenceSettings.enabled || !capturesRestored) return;
+
+    const session = createStoredSession(capturedRequests, redactor, persistenceSettings);
+    chrome.storage.local.set({ [CAPTURE_STORAGE_KEY]: session }, () => {
+        if (chrome.runtime.lastError) {
+            console.warn('Failed to persist captured requests', chrome.runtime.lastError);
+        }
+    });
+}
+
+function addRequestToUI(data) {
+    const list = document.getElementById('request-list');
+    const item = createRequestItem(displayData(data));
+    addBuilderCheckbox(item, data);
+    addCompareButton(item, data);
+    requestElements.set(data, item);
+    list.appendChild(item);
+
+    // Tenant badges and names depend on all captures, so existing items may need to be re-rendered
+    if (updateTenantState(data)) {
+        refreshRequestList();
+    }
+
+    // A new request may open a new group, only then the whole list needs to be laid out again
+    if (requestFilter.groupBy) {
+        layoutRequestList();
+    } else {
+        item.style.display = matchesRequestFilter(displayData(data), requestFilter) ? '' : 'none';
+        updateFilterSummary();
+    }
+
+    if (isCoverageViewOpen()) {
+        renderCoverageView();
+    }
+    if (isHuntingViewOpen() && isHuntingRequest(data)) {
+        renderHuntingView();
+    }
+    if (isDriftViewOpen() && isDriftCandidate(data)) {
+        renderDriftView();
+    }
+
+    schedulePersist();
+}
+
+// What the panel shows and copies: the redacted request unless the user chose to reveal values
+function displayData(data) {
+    return revealSensitiveValues ? data : redactRequestData(data, redactor);
+}
+
+function displayTenantId(tenantId) {
+    return revealSensitiveValues ? tenantId : redactTenantId(tenantId);
+}
+
+// Record tenant names from a tenant picker response and whether the captures now span several tenants.
+// Returns whether the rendered requests are out of date.
+function updateTenantState(data) {
+    const namesChanged = collectTenantNames(data, tenantNames);
+    const wasMultiTenant = multiTenantCapture;
+    multiTenantCapture = new Set(capturedRequests.map(req => req.tenantId).filter(Boolean)).size > 1;
+    return namesChanged || multiTenantCapture !== wasMultiTenant;
+}
+
+// Re-render all captured requests, keeping expanded items expanded
+function refreshRequestList() {
+    for (const data of capturedRequests) {
+        const oldItem = requestElements.get(data);
+        if (!oldItem) continue;
+
+        const newItem = createRequestItem(displayData(data));
+        addBuilderCheckbox(newItem, data);
+        addCompareButton(newItem, data);
+        if (oldItem.querySelector('.details.open')) {
+            newItem.querySelector('.details').classList.add('open');
+        }
+        oldItem.replaceWith(newItem);
+        requestElements.set(data, newItem);
+    }
+
+    // Text filters run on the displayed values, which change with the reveal toggle
+    layoutRequestList();
+    renderScriptBuilder();
+    renderComparison();
+
+    if (isCoverageViewOpen()) {
+        renderCoverageView();
+    }
+    if (isHuntingViewOpen()) {
+        renderHuntingView();
+    }
+    if (isDriftViewOpen()) {
+        renderDriftView();
+    }
+}
+
+// Requests passing the toolbar filters, in capture order. Save and export act on these only.
+function visibleRequests() {
+    return capturedRequests.filter(data => matchesRequestFilter(displayData(data), requestFilter));
+}
+
+// Apply the toolbar filters and grouping to the rendered list. Items are moved rather than re-created,
+// so expanded details survive; the disclaimer and danger zone items stay on top.
+function layoutRequestList() {
+    const list = document.getElementById('request-list');
+    list.querySelectorAll('.group-header').forEach(header => header.remove());
+
+    const visible = new Set(visibleRequests());
+    const groups = requestFilter.groupBy
+        ? groupRequests(capturedRequests, requestFilter.groupBy)
+        : [{ name: '', requests: capturedRequests }];
+
+    for (const group of groups) {
+        const visibleCount = group.requests.filter(data => visible.has(data)).length;
+        if (requestFilter.groupBy && visibleCount > 0) {
+            const header = document.createElement('div');
+            header.className = 'group-header';
+            header.textContent = `${groupHeaderName(group.name)} (${visibleCount})`;
+            list.appendChild(header);
+        }
+
+        for (const data of group.requests) {
+            const item = requestElements.get(data);
+            if (!item) continue;
+            item.style.display = visible.has(data) ? '' : 'none';
+            list.appendChild(item);
+        }
+    }
+
+    updateFilterSummary(visible.size);
+}
+
+// Groups are built from the captured requests, so tenant groups are named by the real tenant ID
+function groupHeaderName(name) {
+    if (requestFilter.groupBy !== 'tenant') return name;
+    return name ? formatTenant(displayTenantId(name), tenantNames) : '(no tenant)';
+}
+
+function updateFilterSummary(visibleCount) {
+    const count = visibleCount === undefined ? visibleRequests().length : visibleCount;
+    document.getElementById('filter-count').textContent = isFilterActive(requestFilter)
+        ? `${count} of ${capturedRequests.length} requests`
+        : `${capturedRequests.length} requests`;
+
+    // Offer the cmdlets seen so far as suggestions for the cmdlet filter
+    const names = Array.from(new Set(capturedRequests.map(data => data.cmdlet))).sort();
+    const datalist = document.getElementById('filter-cmdlet-names');
+    if (datalist.options.length !== names.length) {
+        datalist.innerHTML = '';
+        for (const name of names) {
+            const option = document.createElement('option');
+            option.value = name;
+            datalist.appendChild(option);
+        }
+    }
+
+    // Offer the tenants seen so far, as displayed (aliases while values are redacted)
+    const tenants = Array.from(new Set(capturedRequests.flatMap(data => requestTenantIds(data)).map(displayTenantId))).sort();
+    const tenantSelect = document.getElementById('filter-tenant');
+    const tenantOptions = tenants.map(id => formatTenant(id, tenantNames)).join('\n');
+    if (tenantSelect.dataset.tenants !== tenantOptions) {
+        tenantSelect.dataset.tenants = tenantOptions;
+        tenantSelect.innerHTML = '<option value="">All tenants</option>';
+        for (const tenantId of tenants) {
+            const option = document.createElement('option');
+            option.value = tenantId;
+            option.textContent = formatTenant(tenantId, tenantNames);
+            tenantSelect.appendChild(option);
+        }
+        tenantSelect.value = requestFilter.tenant;
+    }
+    tenantSelect.style.display = tenants.length > 1 ? '' : 'none';
+}
+
+// Checkbox that adds a request to the script builder; only shown in builder mode.
+// Added here rather than in createRequestItem, which only sees the redacted copy of the request.
+function addBuilderCheckbox(item, data) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'builder-select';
+    checkbox.title = 'Add to script';
+    checkbox.checked = builderSelection.includes(data);
+    checkbox.addEventListener('click', (e) => e.stopPropagation());
+    checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+            builderSelection.push(data);
+        } else {
+            builderSelection = builderSelection.filter(selected => selected !== data);
         }
-    );
+        renderScriptBuilder();
+    });
+
+    const summary = item.querySelector('.request-summary');
+    summary.insertBefore(checkbox, summary.firstChild);
+}
+
+// Pick up to two captures to compare; picking a third drops the oldest pick
+function addCompareButton(item, data) {
+    const button = document.createElement('button');
+    button.className = 'copy-btn compare-btn';
+    button.title = 'Compare two captures, e.g. before and after flipping a portal setting';
+    button.textContent = compareButtonLabel(data);
+
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (compareSelection.includes(data)) {
+            compareSelection = compareSelection.filter(selected => selected !== data);
+        } else {
+            compareSelection = compareSelection.concat(data).slice(-2);
+        }
+        updateCompareButtons();
+        renderComparison();
+    });
+
+    item.querySelector('.details').insertBefore(button, item.querySelector('.copy-btn'));
+}
+
+function compareButtonLabel(data) {
+    const index = compareSelection.indexOf(data);
+    return index === -1 ? 'Compare' : `Compare (${index === 0 ? 'A' : 'B'})`;
+}
+
+function updateCompareButtons() {
+    for (const [data, item] of requestElements) {
+        const button = item.querySelector('.compare-btn');
+        if (button) button.textContent = compareButtonLabel(data);
+    }
+}
+
+function describeCapture(label, data) {
+    const url = data.url.split('apiproxy')[1] || data.url;
+    return `${label}: ${data.method} ${data.cmdlet} ${url} (${data.timestamp || 'no timestamp'})`;
+}
+
+// Diff of the two picked captures, shown above the request list once both are picked
+function renderComparison() {
+    const view = document.getElementById('compare-view');
+    if (compareSelection.length < 2) {
+        view.style.display = 'none';
+        return;
+    }
+    view.style.display = 'flex';
+
+    const [before, after] = compareSelection.map(displayData);
+    const comparison = compareCaptures(before, after);
+
+    document.getElementById('compare-title').textContent = `${describeCapture('A', before)}\n${describeCapture('B', after)}`;
+    document.getElementById('compare-warning').textContent = comparison.sameEndpoint
+        ? ''
+        : 'The captures are calls to different endpoints, most fields will differ.';
+
+    const result = document.getElementById('compare-result');
+    result.innerHTML = '';
+    for (const section of comparison.sections) {
+        const title = document.createElement('div');
+        title.className = 'diff-title';
+        title.textContent = `# ${section.title}`;
+        result.appendChild(title);
+
+        if (section.changes.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'hits';
+            empty.textContent = '(no differences)';
+            result.appendChild(empty);
+        }
+        for (const change of section.changes) {
+            const line = document.createElement('div');
+            line.className = `diff-${change.type}`;
+            line.textContent = describeChange(change);
+            result.appendChild(line);
+        }
+    }
+}
+
+function isScriptBuilderOpen() {
+    return document.body.classList.contains('builder-mode');
+}
+
+function moveBuilderStep(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= builderSelection.length) return;
+    [builderSelection[index], builderSelection[target]] = [builderSelection[target], builderSelection[index]];
+    renderScriptBuilder();
+}
+
+// Selected steps with reorder controls and a preview of the chained script
+function renderScriptBuilder() {
+    if (!isScriptBuilderOpen()) return;
+
+    const steps = document.getElementById('builder-steps');
+    steps.innerHTML = '';
+
+    if (builderSelection.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'hits';
+        empty.textContent = 'Tick the requests to include in the script. Values returned by an earlier step become variables in later steps.';
+        steps.appendChild(empty);
+    }
+
+    builderSelection.forEach((data, index) => {
+        const row = document.createElement('div');
+        row.className = 'builder-step';
+
+        const indexSpan = document.createElement('span');
+        indexSpan.className = 'hits';
+        indexSpan.textContent = `${index + 1}.`;
+        row.appendChild(indexSpan);
+
+        const methodSpan = document.createElement('span');
+        methodSpan.className = `method ${data.method}`;
+        methodSpan.textContent = data.method;
+        row.appendChild(methodSpan);
+
+        const cmdletSpan = document.createElement('span');
+        cmdletSpan.className = 'cmdlet';
+        cmdletSpan.textContent = data.cmdlet;
+        row.appendChild(cmdletSpan);
+
+        const urlSpan = document.createElement('span');
+        urlSpan.className = 'url';
+        const url = displayData(data).url;
+        urlSpan.textContent = url.split('apiproxy')[1] || url;
+        row.appendChild(urlSpan);
+
+        const controls = [
+            ['↑', 'Move up', () => moveBuilderStep(index, -1)],
+            ['↓', 'Move down', () => moveBuilderStep(index, 1)],
+            ['✕', 'Remove from script', () => {
+                builderSelection.splice(index, 1);
+                const checkbox = requestElements.get(data) && requestElements.get(data).querySelector('.builder-select');
+                if (checkbox) checkbox.checked = false;
+                renderScriptBuilder();
+            }]
+        ];
+        for (const [text, title, action] of controls) {
+            const button = document.createElement('button');
+            button.className = 'secondary';
+            button.textContent = text;
+            button.title = title;
+            button.addEventListener('click', action);
+            row.appendChild(button);
+        }
+
+        steps.appendChild(row);
+    });
+
+    document.getElementById('builder-preview').textContent = builderSelection.length > 0
+        ? buildChainedScript(builderSelection.map(displayData), tenantNames)
+        : '';
+}
+
+// The coverage, hunting and drift views replace the request list; null shows the list again
+function showView(viewId) {
+    const views = {
+        'coverage-view': ['coverage-btn', 'Coverage'],
+        'hunting-view': ['hunting-btn', 'Hunting'],
+        'drift-view': ['drift-btn', 'Drift']
+    };
+    for (const [id, [buttonId, label]] of Object.entries(views)) {
+        const open = id === viewId;
+        document.getElementById(id).style.display = open ? 'flex' : 'none';
+        document.getElementById(buttonId).textContent = open ? 'Requests' : label;
+    }
+    document.getElementById('request-list').style.display = viewId ? 'none' : 'flex';
+    document.getElementById('filter-bar').style.display = viewId ? 'none' : 'flex';
+}
+
+function isCoverageViewOpen() {
+    return document.getElementById('coverage-view').style.display !== 'none';
+}
+
+// Coverage view: unmapped apiproxy calls grouped by path template
+function renderCoverageView() {
+    const view = document.getElementById('coverage-view');
+    view.innerHTML = '';
+
+    const report = buildCoverageReport(capturedRequests.map(displayData));
+    const totalCalls = report.reduce((sum, group) => sum + group.hits, 0);
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'coverage-toolbar';
+
+    const summarySpan = document.createElement('span');
+    summarySpan.textContent = `${report.length} endpoint${report.length === 1 ? '' : 's'} without a cmdlet (${totalCalls} call${totalCalls === 1 ? '' : 's'})`;
+    toolbar.appendChild(summarySpan);
+
+    const exportBtn = document.createElement('button');
+    exportBtn.textContent = 'Export Mapping Stubs';
+    exportBtn.disabled = report.length === 0;
+    exportBtn.addEventListener('click', () => {
+        // Files leave the browser, so they are always redacted regardless of the reveal toggle
+        const redacted = buildCoverageReport(capturedRequests.map(req => redactRequestData(req, redactor)));
+        const stubs = redacted.reduce((all, group) => all.concat(createMappingStubs(group)), []);
+        downloadFile(JSON.stringify(stubs, null, 4), 'CmdletApiMapping.stubs.json', 'application/json');
+    });
+    toolbar.appendChild(exportBtn);
+
+    view.appendChild(toolbar);
+
+    for (const group of report) {
+        view.appendChild(createCoverageItem(group));
+    }
+}
+
+function isHuntingViewOpen() {
+    return document.getElementById('hunting-view').style.display !== 'none';
+}
+
+// Hunting view: distinct KQL queries of the captured hunting requests
+function renderHuntingView() {
+    const view = document.getElementById('hunting-view');
+    view.innerHTML = '';
+
+    const report = buildHuntingReport(capturedRequests.map(displayData));
+    const totalCalls = report.reduce((sum, group) => sum + group.requests.length, 0);
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'coverage-toolbar';
+
+    const summarySpan = document.createElement('span');
+    summarySpan.textContent = `${report.length} distinct quer${report.length === 1 ? 'y' : 'ies'} (${totalCalls} call${totalCalls === 1 ? '' : 's'})`;
+    toolbar.appendChild(summarySpan);
+
+    const exportBtn = document.createElement('button');
+    exportBtn.textContent = 'Save All (.kql)';
+    exportBtn.disabled = report.length === 0;
+    exportBtn.addEventListener('click', () => {
+        // One block per distinct query, taken from its first request
+        const redacted = report.map(group => redactRequestData(group.requests[0], redactor));
+        downloadFile(createKqlFile(redacted), 'XDRay-HuntingQueries.kql', 'text/plain');
+    });
+    toolbar.appendChild(exportBtn);
+
+    view.appendChild(toolbar);
+
+    for (const group of report) {
+        view.appendChild(createHuntingItem(group));
+    }
+}
+
+function isDriftViewOpen() {
+    return document.getElementById('drift-view').style.display !== 'none';
+}
+
+function scheduleDriftSave() {
+    clearTimeout(driftSaveTimer);
+    driftSaveTimer = setTimeout(saveDriftBaselines, 1000);
+}
+
+function saveDriftBaselines() {
+    chrome.storage.local.set({ [DRIFT_BASELINES_KEY]: driftBaselines }, () => {
+        if (chrome.runtime.lastError) {
+            console.warn('Failed to save drift baselines', chrome.runtime.lastError);
+        }
+    });
+}
+
+// Accepted drift becomes part of the baselines
+function acceptDriftRequests(requests) {
+    acceptDrift(driftBaselines, requests);
+    saveDriftBaselines();
+    renderDriftView();
+}
+
+// Drift view: captures of mapped endpoints compared with their baselines, one item per cmdlet.
+// Baselines and the report hold field names and types only, so they need no redaction.
+function renderDriftView() {
+    const view = document.getElementById('drift-view');
+    view.innerHTML = '';
+
+    const report = buildDriftReport(driftBaselines, capturedRequests);
+    const baselineCount = Object.keys(driftBaselines).length;
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'coverage-toolbar';
+
+    const summarySpan = document.createElement('span');
+    summarySpan.textContent = `${report.cmdlets.length} cmdlet${report.cmdlets.length === 1 ? '' : 's'} with drift ` +
+        `(${report.checked} endpoint${report.checked === 1 ? '' : 's'} checked, ${report.learning} learning, ${baselineCount} baseline${baselineCount === 1 ? '' : 's'})`;
+    toolbar.appendChild(summarySpan);
+
+    const buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.gap = '10px';
+
+    const acceptAllBtn = document.createElement('button');
+    acceptAllBtn.textContent = 'Accept All';
+    acceptAllBtn.title = 'Learn the drifted captures into their baselines';
+    acceptAllBtn.disabled = report.cmdlets.length === 0;
+    acceptAllBtn.addEventListener('click', () => {
+        acceptDriftRequests(report.cmdlets.flatMap(group => group.endpoints.flatMap(endpoint => endpoint.requests)));
+    });
+    buttons.appendChild(acceptAllBtn);
+
+    const saveReportBtn = document.createElement('button');
+    saveReportBtn.textContent = 'Save Report (.md)';
+    saveReportBtn.disabled = report.cmdlets.length === 0;
+    saveReportBtn.addEventListener('click', () => {
+        downloadFile(formatDriftReport(report), 'XDRay-DriftReport.md', 'text/markdown');
+    });
+    buttons.appendChild(saveReportBtn);
+
+    const recordBtn = document.createElement('button');
+    recordBtn.className = 'secondary';
+    recordBtn.textContent = 'Record Captures';
+    recordBtn.title = 'Learn every captured request of a mapped endpoint into its baseline, e.g. after importing a reference session';
+    recordBtn.addEventListener('click', () => acceptDriftRequests(capturedRequests));
+    buttons.appendChild(recordBtn);
+
+    const exportBtn = document.createElement('button');
+    exportBtn.className = 'secondary';
+    exportBtn.textContent = 'Export Baselines';
+    exportBtn.disabled = baselineCount === 0;
+    exportBtn.addEventListener('click', () => {
+        downloadFile(JSON.stringify(exportDriftBaselines(driftBaselines), null, 2), 'XDRay-DriftBaselines.json', 'application/json');
+    });
+    buttons.appendChild(exportBtn);
+
+    const importInput = document.createElement('input');
+    importInput.type = 'file';
+    importInput.accept = '.json,application/json';
+    importInput.style.display = 'none';
+    const importBtn = document.createElement('button');
+    importBtn.className = 'secondary';
+    importBtn.textContent = 'Import Baselines';
+    importBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+        const file = importInput.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            let result;
+            try {
+                result = importDriftBaselines(driftBaselines, JSON.parse(reader.result));
+            } catch (err) {
+                console.error('Failed to import drift baselines', err);
+                showButtonFeedback(importBtn, 'Invalid File');
+                return;
+            }
+            driftBaselines = result.baselines;
+            saveDriftBaselines();
+            renderDriftView();
+        };
+        reader.onerror = () => showButtonFeedback(importBtn, 'Read Error');
+        reader.readAsText(file);
+    });
+    buttons.appendChild(importBtn);
+    buttons.appendChild(importInput);
+
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'secondary';
+    resetBtn.textContent = 'Reset Baselines';
+    resetBtn.disabled = baselineCount === 0;
+    resetBtn.addEventListener('click', () => {
+        driftBaselines = {};
+        chrome.storage.local.remove(DRIFT_BASELINES_KEY);
+        renderDriftView();
+    });
+    buttons.appendChild(resetBtn);
+
+    toolbar.appendChild(buttons);
+    view.appendChild(toolbar);
+
+    for (const group of report.cmdlets) {
+        view.appendChild(createDriftItem(group));
+    }
+}
+
+function createDriftItem(group) {
+    const item = document.createElement('div');
+    item.className = 'request-item';
+
+    const summary = document.createElement('div');
+    summary.className = 'request-summary';
+
+    for (const method of Array.from(new Set(group.endpoints.map(endpoint => endpoint.method))).sort()) {
+        const methodSpan = document.createElement('span');
+        methodSpan.className = `method ${method}`;
+        methodSpan.textContent = method;
+        summary.appendChild(methodSpan);
+    }
+
+    const cmdletSpan = document.createElement('span');
+    cmdletSpan.className = 'cmdlet';
+    cmdletSpan.textContent = group.cmdlet;
+    summary.appendChild(cmdletSpan);
+
+    const changeCount = group.endpoints.reduce((sum, endpoint) => sum + endpoint.changes.length, 0);
+    const hitsSpan = document.createElement('span');
+    hitsSpan.className = 'hits';
+    hitsSpan.textContent = `${changeCount} change${changeCount === 1 ? '' : 's'}`;
+    summary.appendChild(hitsSpan);
+
+    const details = document.createElement('div');
+    details.className = 'details';
+
+    const acceptBtn = document.createElement('button');
+    acceptBtn.className = 'copy-btn';
+    acceptBtn.textContent = 'Accept';
+    acceptBtn.title = `Learn these captures into the baselines of ${group.cmdlet}`;
+    acceptBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        acceptDriftRequests(group.endpoints.flatMap(endpoint => endpoint.requests));
+    });
+    details.appendChild(acceptBtn);
+
+    for (const endpoint of group.endpoints) {
+        const endpointDiv = document.createElement('div');
+        endpointDiv.style.color = '#6a9955';
+        endpointDiv.textContent = `# ${endpoint.method} ${endpoint.apiUri} (${endpoint.requests.length} capture${endpoint.requests.length === 1 ? '' : 's'})`;
+        details.appendChild(endpointDiv);
+
+        const changesDiv = document.createElement('div');
+        changesDiv.style.marginBottom = '10px';
+        changesDiv.style.color = '#9cdcfe';
+        changesDiv.textContent = endpoint.changes.map(describeDrift).join('\n');
+        details.appendChild(changesDiv);
+    }
+
+    summary.addEventListener('click', () => {
+        details.classList.toggle('open');
+    });
+
+    item.appendChild(summary);
+    item.appendChild(details);
+    return item;
+}
+
+function createHuntingItem(group) {
+    const item = document.createElement('div');
+    item.className = 'request-item';
+
+    const summary = document.createElement('div');
+    summary.className = 'request-summary';
+
+    const first = group.requests[0];
+    const methodSpan = document.createElement('span');
+    methodSpan.className = `method ${first.method}`;
+    methodSpan.textContent = first.method;
+    summary.appendChild(methodSpan);
+
+    const querySpan = document.createElement('span');
+    querySpan.className = 'url';
+    querySpan.textContent = group.query.split('\n')[0];
+    querySpan.title = group.query;
+    summary.appendChild(querySpan);
+
+    if (group.scenarios.length > 0) {
+        const scenarioSpan = document.createElement('span');
+        scenarioSpan.className = 'cmdlet';
+        scenarioSpan.textContent = group.scenarios.join(', ');
+        summary.appendChild(scenarioSpan);
+    }
+
+    const hitsSpan = document.createElement('span');
+    hitsSpan.className = 'hits';
+    hitsSpan.textContent = `${group.requests.length} hit${group.requests.length === 1 ? '' : 's'}`;
+    summary.appendChild(hitsSpan);
+
+    const details = document.createElement('div');
+    details.className = 'details';
+    details.appendChild(createHuntingSection(first, group.hunting));
+
+    summary.addEventListener('click', () => {
+        details.classList.toggle('open');
+    });
+
+    item.appendChild(summary);
+    item.appendChild(details);
+    return item;
+}
+
+function createCoverageItem(group) {
+    const item = document.createElement('div');
+    item.className = 'request-item';
+
+    const summary = document.createElement('div');
+    summary.className = 'request-summary';
+
+    for (const method of Object.keys(group.methods).sort()) {
+        const methodSpan = document.createElement('span');
+        methodSpan.className = `method ${method}`;
+        methodSpan.textContent = method;
+        methodSpan.title = `${group.methods[method]} call${group.methods[method] === 1 ? '' : 's'}`;
+        summary.appendChild(methodSpan);
+    }
+
+    const templateSpan = document.createElement('span');
+    templateSpan.className = 'cmdlet';
+    templateSpan.textContent = group.template;
+    templateSpan.title = group.baseUrl + group.template;
+    summary.appendChild(templateSpan);
+
+    const hitsSpan = document.createElement('span');
+    hitsSpan.className = 'hits';
+    hitsSpan.textContent = `${group.hits} hit${group.hits === 1 ? '' : 's'}`;
+    summary.appendChild(hitsSpan);
+
+    const details = document.createElement('div');
+    details.className = 'details';
+
+    const stubJson = createMappingStubs(group).map(stub => JSON.stringify(stub, null, 4)).join(',\n');
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'copy-btn';
+    copyBtn.textContent = 'Copy Stub';
+    copyBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        copyToClipboard(stubJson, copyBtn);
+    });
+    details.appendChild(copyBtn);
+
+    const stubDiv = document.createElement('div');
+    stubDiv.style.marginBottom = '10px';
+    stubDiv.style.color = '#9cdcfe';
+    stubDiv.textContent = stubJson;
+    details.appendChild(stubDiv);
+
+    if (group.queryKeys.length > 0) {
+        const queryDiv = document.createElement('div');
+        queryDiv.style.color = '#6a9955';
+        queryDiv.textContent = `# Query parameters seen: ${group.queryKeys.join(', ')}`;
+        details.appendChild(queryDiv);
+    }
+
+    group.samples.forEach((sample, index) => {
+        const sampleDiv = document.createElement('div');
+        sampleDiv.style.marginTop = '5px';
+        sampleDiv.style.color = '#6a9955';
+        sampleDiv.textContent = `# Sample ${sample.method} payload ${index + 1}: ${sample.body}`;
+        details.appendChild(sampleDiv);
+    });
+
+    summary.addEventListener('click', () => {
+        details.classList.toggle('open');
+    });
+
+    item.appendChild(summary);
+    item.appendChild(details);
+    return item;
 }
 
-function addRequestToUI(data) {
-    const list = document.getElementById('request-list');
+function createRequestItem(data) {
     const item = document.createElement('div');
     item.className = 'request-item';
 
@@ -111,29 +1151,98 @@ function addRequestToUI(data) {
     urlSpan.textContent = urlParts.length > 1 ? urlParts[1] : data.url;
     summary.appendChild(urlSpan);
 
+    if (data.tenantId && (multiTenantCapture || isMtoRequest(data))) {
+        const tenantSpan = document.createElement('span');
+        tenantSpan.className = 'tenant';
+        tenantSpan.textContent = tenantNames.get(data.tenantId) || data.tenantId;
+        tenantSpan.title = `Tenant ${formatTenant(data.tenantId, tenantNames)}`;
+        summary.appendChild(tenantSpan);
+    }
+
+    if (isBodyUnmatched(data)) {
+        const warningSpan = document.createElement('span');
+        warningSpan.className = 'body-warning';
+        warningSpan.textContent = '⚠ body unmatched';
+        warningSpan.title = 'The request payload could not be matched to this request. The generated code has no body.';
+        summary.appendChild(warningSpan);
+    }
+
+    if (data.status) {
+        const statusSpan = document.createElement('span');
+        statusSpan.className = data.status >= 400 ? 'status error' : 'status';
+        statusSpan.textContent = data.status;
+        summary.appendChild(statusSpan);
+    }
+
     const details = document.createElement('div');
     details.className = 'details';
 
-    // Generate PowerShell Code
-    const psCode = generatePowerShellCode(data);
-
     const copyBtn = document.createElement('button');
     copyBtn.className = 'copy-btn';
     copyBtn.textContent = 'Copy Code';
     details.appendChild(copyBtn);
 
+    const generatorSelect = document.createElement('select');
+    generatorSelect.className = 'generator-select';
+    generatorSelect.title = 'Code target (also used by Save)';
+    populateCodeGeneratorSelect(generatorSelect);
+    generatorSelect.addEventListener('click', (e) => e.stopPropagation());
+    details.appendChild(generatorSelect);
+
     const codeDiv = document.createElement('div');
     codeDiv.style.marginBottom = '10px';
     codeDiv.style.color = '#9cdcfe';
     codeDiv.style.whiteSpace = 'pre-wrap'; // Preserve formatting
-    codeDiv.textContent = psCode;
     details.appendChild(codeDiv);
 
+    const renderCode = () => {
+        codeDiv.textContent = generateCodeSnippet(getCodeGenerator(generatorSelect.value), data);
+    };
+    renderCode();
+
+    generatorSelect.addEventListener('change', () => {
+        renderCode();
+        if (generatorSelect.value !== codeGenerator.id) {
+            setCodeGenerator(generatorSelect.value);
+        }
+    });
+
     const urlDiv = document.createElement('div');
     urlDiv.style.color = '#6a9955';
     urlDiv.textContent = `# Full URL: ${data.url}`;
     details.appendChild(urlDiv);
 
+    if (data.tenantId) {
+        const tenantDiv = document.createElement('div');
+        tenantDiv.style.color = '#6a9955';
+        tenantDiv.textContent = `# Tenant: ${formatTenant(data.tenantId, tenantNames)}`;
+        details.appendChild(tenantDiv);
+    }
+    if (data.targetTenantIds && data.targetTenantIds.length > 0) {
+        const targetsDiv = document.createElement('div');
+        targetsDiv.style.color = '#6a9955';
+        targetsDiv.textContent = `# Target tenants: ${data.targetTenantIds.map(id => formatTenant(id, tenantNames)).join(', ')}`;
+        details.appendChild(targetsDiv);
+    }
+
+    const publicApi = findPublicApiEquivalent(data.url);
+    if (publicApi) {
+        const publicApiDiv = document.createElement('div');
+        publicApiDiv.style.color = '#6a9955';
+        publicApiDiv.textContent = `# Public API: ${publicApi.name} (${publicApi.method} ${publicApi.endpoint})`;
+        details.appendChild(publicApiDiv);
+    }
+
+    const bodyMatchNote = describeBodyMatch(data);
+    if (bodyMatchNote) {
+        const noteDiv = document.createElement('div');
+        noteDiv.className = 'body-warning';
+        noteDiv.style.marginTop = '5px';
+        noteDiv.style.whiteSpace = 'pre-wrap';
+        noteDiv.textContent = `# ${bodyMatchNote}`;
+        details.appendChild(noteDiv);
+    }
+
     if (data.body) {
         const bodyDiv = document.createElement('div');
         bodyDiv.style.marginTop = '5px';
@@ -143,35 +1252,604 @@ function addRequestToUI(data) {
         details.appendChild(bodyDiv);
     }
 
+    const hunting = extractHuntingQuery(data);
+    if (hunting) {
+        details.appendChild(createHuntingSection(data, hunting));
+    }
+
+    if (data.response !== null && data.response !== undefined) {
+        details.appendChild(createResponseSection(data));
+    }
+
+    if (data.cmdlet !== 'Invoke-XdrRestMethod') {
+        const pesterBtn = document.createElement('button');
+        pesterBtn.className = 'secondary';
+        pesterBtn.style.marginTop = '10px';
+        pesterBtn.textContent = 'Save Pester Test';
+        pesterBtn.title = `Unit test for ${data.cmdlet} with the REST call mocked to return this response (tests/functions)`;
+        pesterBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            // Files leave the browser, so they are always redacted regardless of the reveal toggle
+            const redacted = redactRequestData(data, redactor);
+            downloadFile(createPesterTest(redacted), `${pesterTestFileName(redacted)}.txt`, 'text/plain'); // .txt to avoid browser warnings
+        });
+        details.appendChild(pesterBtn);
+    } else {
+        const skeletonBtn = document.createElement('button');
+        skeletonBtn.className = 'secondary';
+        skeletonBtn.style.marginTop = '10px';
+        skeletonBtn.textContent = 'Generate Cmdlet Skeleton';
+        skeletonBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            skeletonBtn.replaceWith(createSkeletonSection(data));
+        });
+        details.appendChild(skeletonBtn);
+    }
+
+    if (isMaesterCandidate(data)) {
+        const maesterBtn = document.createElement('button');
+        maesterBtn.className = 'secondary';
+        maesterBtn.style.marginTop = '10px';
+        maesterBtn.style.marginLeft = '5px';
+        maesterBtn.textContent = 'Create Maester Check';
+        maesterBtn.title = 'Regression check comparing fields of this response with their desired values (MaesterTests)';
+        maesterBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            maesterBtn.replaceWith(createMaesterSection(data));
+        });
+        details.appendChild(maesterBtn);
+    }
+
     summary.addEventListener('click', () => {
         details.classList.toggle('open');
     });
 
     copyBtn.addEventListener('click', (e) => {
         e.stopPropagation();
-        copyToClipboard(psCode, copyBtn);
+        copyToClipboard(codeDiv.textContent, copyBtn);
     });
 
     item.appendChild(summary);
     item.appendChild(details);
-    list.appendChild(item);
+    return item;
 }
 
-function generatePowerShellCode(data) {
-    const urlObj = new URL(data.url);
-    let code = '';
+function populateCodeGeneratorSelect(select) {
+    CODE_GENERATORS.forEach(generator => {
+        const option = document.createElement('option');
+        option.value = generator.id;
+        option.textContent = generator.label;
+        select.appendChild(option);
+    });
+    select.value = codeGenerator.id;
+}
+
+// Switch the code target everywhere: header select, Save button and every details pane
+function setCodeGenerator(id) {
+    codeGenerator = getCodeGenerator(id);
+    chrome.storage.local.set({ codeGenerator: codeGenerator.id });
+
+    document.getElementById('code-generator').value = codeGenerator.id;
+    document.getElementById('save-btn').textContent = `Save Script (.${codeGenerator.extension})`;
+    document.querySelectorAll('.generator-select').forEach(select => {
+        if (select.value !== codeGenerator.id) {
+            select.value = codeGenerator.id;
+            select.dispatchEvent(new Event('change'));
+        }
+    });
+}
+
+// Methods that normally carry a payload; a GET without a body is not worth a warning
+function isBodyUnmatched(data) {
+    return data.bodyMatch === 'unmatched' && !['GET', 'HEAD', 'OPTIONS'].includes(data.method.toUpperCase());
+}
+
+function describeBodyMatch(data) {
+    if (isBodyUnmatched(data)) {
+        return 'Request payload: not captured. The background script had no body for this request, so the code below sends none.';
+    }
+    if (data.bodyMatch === 'fifo') {
+        return 'Request payload: matched by arrival order only. Concurrent requests to the same URL may have swapped payloads.';
+    }
+    return null;
+}
+
+// Cmdlet skeleton and mapping entry for an unmapped request; both regenerate when the name changes
+function createSkeletonSection(data) {
+    const section = document.createElement('div');
+    section.className = 'skeleton-section';
+    section.addEventListener('click', (e) => e.stopPropagation());
+
+    const header = document.createElement('div');
+    header.className = 'response-header';
+
+    const titleSpan = document.createElement('span');
+    titleSpan.style.color = '#6a9955';
+    titleSpan.textContent = '# Cmdlet name:';
+    header.appendChild(titleSpan);
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'json-search';
+    nameInput.value = suggestCmdletName(data.method, normalizePathTemplate(data.url));
+    header.appendChild(nameInput);
+
+    const downloadBtn = document.createElement('button');
+    downloadBtn.className = 'secondary';
+    downloadBtn.textContent = 'Download .ps1';
+    header.appendChild(downloadBtn);
+
+    const copyCodeBtn = document.createElement('button');
+    copyCodeBtn.className = 'secondary';
+    copyCodeBtn.textContent = 'Copy Function';
+    header.appendChild(copyCodeBtn);
+
+    const copyMappingBtn = document.createElement('button');
+    copyMappingBtn.className = 'secondary';
+    copyMappingBtn.textContent = 'Copy Mapping';
+    header.appendChild(copyMappingBtn);
+
+    section.appendChild(header);
+
+    const codeDiv = document.createElement('div');
+    codeDiv.style.color = '#9cdcfe';
+    codeDiv.style.whiteSpace = 'pre-wrap';
+    section.appendChild(codeDiv);
+
+    const mappingDiv = document.createElement('div');
+    mappingDiv.style.marginTop = '10px';
+    mappingDiv.style.color = '#dcdcaa';
+    mappingDiv.style.whiteSpace = 'pre-wrap';
+    section.appendChild(mappingDiv);
+
+    let skeleton;
+    const render = () => {
+        skeleton = generateCmdletSkeleton(data, nameInput.value.trim() || undefined);
+        codeDiv.textContent = skeleton.code;
+        mappingDiv.textContent = JSON.stringify(skeleton.mapping, null, 4);
+    };
+    render();
+
+    nameInput.addEventListener('input', render);
+    downloadBtn.addEventListener('click', () => {
+        // Files leave the browser, so they are always redacted regardless of the reveal toggle
+        const redacted = generateCmdletSkeleton(redactRequestData(data, redactor), nameInput.value.trim() || undefined);
+        // Functions in the module are saved as UTF-8 with BOM
+        downloadFile('\ufeff' + redacted.code, redacted.fileName, 'text/plain');
+    });
+    copyCodeBtn.addEventListener('click', () => copyToClipboard(skeleton.code, copyCodeBtn));
+    copyMappingBtn.addEventListener('click', () => copyToClipboard(JSON.stringify(skeleton.mapping, null, 4), copyMappingBtn));
+
+    return section;
+}
+
+// Maester check from picked response fields; the check and its config entry regenerate on every change
+function createMaesterSection(data) {
+    // Checks are copied out of the browser, so they are always redacted regardless of the reveal toggle
+    const redacted = redactRequestData(data, redactor);
+
+    const section = document.createElement('div');
+    section.className = 'maester-section';
+    section.addEventListener('click', (e) => e.stopPropagation());
+
+    const header = document.createElement('div');
+    header.className = 'response-header';
+
+    const titleSpan = document.createElement('span');
+    titleSpan.style.color = '#6a9955';
+    titleSpan.textContent = '# Maester check:';
+    header.appendChild(titleSpan);
+
+    const idInput = document.createElement('input');
+    idInput.type = 'text';
+    idInput.className = 'json-search';
+    idInput.style.width = '110px';
+    idInput.title = 'Suggested check ID. Numbers only count up within this panel session, check that the ID is free in maester-config.json';
+    idInput.value = maesterCheckId(nextMaesterCheckNumber++);
+    header.appendChild(idInput);
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'json-search';
+    nameInput.title = 'Check title';
+    nameInput.value = maesterCheckTitle(redacted);
+    header.appendChild(nameInput);
+
+    const severitySelect = document.createElement('select');
+    severitySelect.className = 'json-search';
+    severitySelect.style.width = 'auto';
+    severitySelect.title = 'Severity';
+    for (const severity of MAESTER_SEVERITIES) {
+        const option = document.createElement('option');
+        option.value = severity;
+        option.textContent = severity;
+        severitySelect.appendChild(option);
+    }
+    severitySelect.value = DEFAULT_MAESTER_SEVERITY;
+    header.appendChild(severitySelect);
+
+    const copyCheckBtn = document.createElement('button');
+    copyCheckBtn.className = 'secondary';
+    copyCheckBtn.textContent = 'Copy Check';
+    header.appendChild(copyCheckBtn);
+
+    const copyConfigBtn = document.createElement('button');
+    copyConfigBtn.className = 'secondary';
+    copyConfigBtn.textContent = 'Copy Config Entry';
+    header.appendChild(copyConfigBtn);
+
+    section.appendChild(header);
+
+    const filterInput = document.createElement('input');
+    filterInput.type = 'text';
+    filterInput.className = 'json-search';
+    filterInput.placeholder = 'Filter fields...';
+    section.appendChild(filterInput);
+
+    // One row per scalar field: checkbox, path and desired value (the captured value by default)
+    const fieldList = document.createElement('div');
+    fieldList.className = 'maester-fields';
+    const rows = listMaesterFields(redacted.response).map(field => {
+        const row = document.createElement('label');
+        row.className = 'maester-field';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        row.appendChild(checkbox);
+
+        const pathSpan = document.createElement('span');
+        pathSpan.textContent = field.path;
+        row.appendChild(pathSpan);
+
+        const valueInput = document.createElement('input');
+        valueInput.type = 'text';
+        valueInput.className = 'json-search';
+        valueInput.title = 'Desired value (JSON literal or text)';
+        valueInput.value = JSON.stringify(field.value);
+        row.appendChild(valueInput);
+
+        fieldList.appendChild(row);
+        return { field, row, checkbox, valueInput };
+    });
+    section.appendChild(fieldList);
+
+    const codeDiv = document.createElement('div');
+    codeDiv.style.color = '#9cdcfe';
+    codeDiv.style.whiteSpace = 'pre-wrap';
+    section.appendChild(codeDiv);
+
+    const configDiv = document.createElement('div');
+    configDiv.style.marginTop = '10px';
+    configDiv.style.color = '#dcdcaa';
+    configDiv.style.whiteSpace = 'pre-wrap';
+    section.appendChild(configDiv);
+
+    let check;
+    const render = () => {
+        const picked = rows.filter(row => row.checkbox.checked);
+        check = createMaesterCheck(redacted, {
+            id: idInput.value.trim() || maesterCheckId(MAESTER_FIRST_CHECK_NUMBER),
+            title: nameInput.value.trim() || maesterCheckTitle(redacted),
+            severity: severitySelect.value,
+            checks: picked.map(row => ({
+                path: row.field.path,
+                expression: row.field.expression,
+                expected: parseMaesterValue(row.valueInput.value.trim())
+            }))
+        });
+        codeDiv.textContent = picked.length > 0 ? check.code : '# Pick the fields to check';
+        configDiv.textContent = JSON.stringify(check.config, null, 2);
+        copyCheckBtn.disabled = picked.length === 0;
+    };
+    render();
+
+    for (const element of [idInput, nameInput, fieldList]) {
+        element.addEventListener('input', render);
+    }
+    severitySelect.addEventListener('change', render);
+    fieldList.addEventListener('change', render);
+    filterInput.addEventListener('input', () => {
+        const term = filterInput.value.trim().toLowerCase();
+        for (const row of rows) {
+            row.row.style.display = !term || row.field.path.toLowerCase().includes(term) ? '' : 'none';
+        }
+    });
+    copyCheckBtn.addEventListener('click', () => copyToClipboard(check.code, copyCheckBtn));
+    copyConfigBtn.addEventListener('click', () => copyToClipboard(JSON.stringify(check.config, null, 2), copyConfigBtn));
+
+    return section;
+}
+
+// Query of a hunting request as KQL, with .kql and New-XdrAdvancedHuntingFunction export
+function createHuntingSection(data, hunting) {
+    const section = document.createElement('div');
+    section.className = 'hunting-section';
+    section.addEventListener('click', (e) => e.stopPropagation());
+
+    const header = document.createElement('div');
+    header.className = 'response-header';
+
+    const titleSpan = document.createElement('span');
+    titleSpan.style.color = '#6a9955';
+    titleSpan.textContent = '# Hunting query, function name:';
+    header.appendChild(titleSpan);
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'json-search';
+    nameInput.value = huntingFunctionName(hunting);
+    header.appendChild(nameInput);
+
+    const saveKqlBtn = document.createElement('button');
+    saveKqlBtn.className = 'secondary';
+    saveKqlBtn.textContent = 'Save .kql';
+    header.appendChild(saveKqlBtn);
+
+    const copyKqlBtn = document.createElement('button');
+    copyKqlBtn.className = 'secondary';
+    copyKqlBtn.textContent = 'Copy KQL';
+    header.appendChild(copyKqlBtn);
+
+    const copyFunctionBtn = document.createElement('button');
+    copyFunctionBtn.className = 'secondary';
+    copyFunctionBtn.textContent = 'Copy as Function';
+    copyFunctionBtn.title = 'New-XdrAdvancedHuntingFunction call with this query';
+    header.appendChild(copyFunctionBtn);
+
+    section.appendChild(header);
+
+    const metaDiv = document.createElement('div');
+    metaDiv.style.color = '#6a9955';
+    metaDiv.style.whiteSpace = 'pre-wrap';
+    metaDiv.textContent = describeHuntingQuery(data, hunting);
+    section.appendChild(metaDiv);
+
+    const kqlDiv = document.createElement('div');
+    kqlDiv.className = 'kql';
+    kqlDiv.textContent = formatKql(hunting.query);
+    section.appendChild(kqlDiv);
+
+    const functionName = () => nameInput.value.trim() || DEFAULT_HUNTING_FUNCTION_NAME;
+
+    saveKqlBtn.addEventListener('click', () => {
+        // Files leave the browser, so they are always redacted regardless of the reveal toggle
+        downloadFile(createKqlFile([redactRequestData(data, redactor)]), `${functionName()}.kql`, 'text/plain');
+    });
+    copyKqlBtn.addEventListener('click', () => copyToClipboard(kqlDiv.textContent, copyKqlBtn));
+    copyFunctionBtn.addEventListener('click', () => {
+        copyToClipboard(createHuntingFunctionCode(data, hunting, functionName()), copyFunctionBtn);
+    });
+
+    return section;
+}
+
+function createResponseSection(data) {
+    const section = document.createElement('div');
+    section.className = 'response-section';
+
+    const header = document.createElement('div');
+    header.className = 'response-header';
+
+    const titleSpan = document.createElement('span');
+    titleSpan.style.color = '#6a9955';
+    const timing = data.duration !== null && data.duration !== undefined ? `, ${data.duration} ms` : '';
+    titleSpan.textContent = `# Response (${data.status || '?'} ${data.statusText || ''}`.trimEnd() + `${timing}):`;
+    header.appendChild(titleSpan);
+
+    const searchInput = document.createElement('input');
+    searchInput.type = 'search';
+    searchInput.className = 'json-search';
+    searchInput.placeholder = 'Search response...';
+    header.appendChild(searchInput);
+
+    const matchCount = document.createElement('span');
+    matchCount.className = 'json-match-count';
+    header.appendChild(matchCount);
+
+    section.appendChild(header);
+
+    const tree = document.createElement('div');
+    tree.className = 'json-tree';
+    if (typeof data.response === 'object') {
+        tree.appendChild(renderJsonTree(data.response, null, 0));
+    } else {
+        tree.appendChild(renderJsonPrimitive(data.response));
+    }
+    section.appendChild(tree);
+
+    searchInput.addEventListener('click', (e) => e.stopPropagation());
+    searchInput.addEventListener('input', () => {
+        const count = searchJsonTree(tree, searchInput.value.trim().toLowerCase());
+        matchCount.textContent = searchInput.value.trim() ? `${count} match${count === 1 ? '' : 'es'}` : '';
+    });
+
+    return section;
+}
+
+// Render a JSON value as nested <details> elements; the first two levels start expanded.
+function renderJsonTree(value, key, depth) {
+    const isArray = Array.isArray(value);
+    const entries = isArray ? value.map((v, i) => [i, v]) : Object.entries(value);
+
+    const node = document.createElement('details');
+    node.className = 'json-node';
+    node.open = depth < 2;
+
+    const label = document.createElement('summary');
+    if (key !== null) {
+        label.appendChild(renderJsonKey(key));
+    }
+    const typeSpan = document.createElement('span');
+    typeSpan.className = 'json-type';
+    typeSpan.textContent = isArray ? `[${entries.length}]` : `{${entries.length}}`;
+    label.appendChild(typeSpan);
+    node.appendChild(label);
+
+    for (const [childKey, childValue] of entries) {
+        if (childValue !== null && typeof childValue === 'object') {
+            node.appendChild(renderJsonTree(childValue, childKey, depth + 1));
+        } else {
+            const leaf = document.createElement('div');
+            leaf.className = 'json-leaf';
+            leaf.appendChild(renderJsonKey(childKey));
+            leaf.appendChild(renderJsonPrimitive(childValue));
+            node.appendChild(leaf);
+        }
+    }
+
+    return node;
+}
+
+function renderJsonKey(key) {
+    const keySpan = document.createElement('span');
+    keySpan.className = 'json-key';
+    keySpan.textContent = `${key}: `;
+    return keySpan;
+}
+
+function renderJsonPrimitive(value) {
+    const valueSpan = document.createElement('span');
+    valueSpan.className = `json-value json-${value === null ? 'null' : typeof value}`;
+    valueSpan.textContent = typeof value === 'string' ? JSON.stringify(value) : String(value);
+    return valueSpan;
+}
+
+// Highlight keys and values containing the term and expand their ancestors.
+// Returns the number of highlighted elements.
+function searchJsonTree(tree, term) {
+    let count = 0;
+
+    tree.querySelectorAll('.json-match').forEach(el => el.classList.remove('json-match'));
+
+    if (!term) {
+        return count;
+    }
+
+    tree.querySelectorAll('.json-key, .json-value').forEach(el => {
+        if (el.textContent.toLowerCase().includes(term)) {
+            el.classList.add('json-match');
+            count++;
+
+            let parent = el.parentElement;
+            while (parent && parent !== tree) {
+                if (parent.tagName === 'DETAILS') parent.open = true;
+                parent = parent.parentElement;
+            }
+        }
+    });
+
+    return count;
+}
+
+// Serialize a JSON value into a PowerShell expression that evaluates to the same value:
+// $null/$true/$false, numbers, @(...) arrays, [ordered]@{...} hashtables and strings quoted by toPowerShellString.
+function toPowerShellLiteral(value, indentLevel = 0) {
+    const indent = '    '.repeat(indentLevel);
+    const innerIndent = '    '.repeat(indentLevel + 1);
+
+    if (value === null || value === undefined) {
+        return '$null';
+    }
+    if (typeof value === 'boolean') {
+        return value ? '$true' : '$false';
+    }
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? String(value) : '$null';
+    }
+    if (typeof value === 'string') {
+        return toPowerShellString(value);
+    }
+    if (isPsVariable(value)) {
+        return `$${value[PS_VARIABLE]}`;
+    }
+    if (Array.isArray(value)) {
+        if (value.length === 0) {
+            return '@()';
+        }
+        const items = value.map(item => toPowerShellLiteral(item, indentLevel + 1));
+        const singleLine = `@(${items.join(', ')})`;
+        if (!singleLine.includes('\n') && singleLine.length <= 80) {
+            return singleLine;
+        }
+        return `@(\n${items.map(item => innerIndent + item).join(',\n')}\n${indent})`;
+    }
+
+    const entries = Object.entries(value);
+    if (entries.length === 0) {
+        return '[ordered]@{}';
+    }
+    const lines = entries.map(([key, item]) => {
+        const name = /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : toPowerShellString(key);
+        return `${innerIndent}${name} = ${toPowerShellLiteral(item, indentLevel + 1)}`;
+    });
+    return `[ordered]@{\n${lines.join('\n')}\n${indent}}`;
+}
 
-    // Helper function to escape values for PowerShell
-    function escapeForPowerShell(value) {
-        if (typeof value === 'string') {
-            // Escape double quotes with backticks and backslashes
-            return value.replace(/"/g, '`"').replace(/\\/g, '\\');
-        } else if (typeof value === 'object' && value !== null) {
-            // For objects, convert to JSON and escape
-            return JSON.stringify(value, null, 2).replace(/"/g, '`"');
+// Quote a string for PowerShell. Plain strings are double-quoted; strings with $ or backticks
+// must not be expanded, so they become single-quoted strings (or here-strings when multi-line).
+// PowerShell also treats typographic quotes as delimiters, so those are escaped as well.
+function toPowerShellString(value) {
+    if (/[$`]/.test(value) || /[\r\n]/.test(value)) {
+        const lines = value.replace(/\r\n/g, '\n').split('\n');
+        if (lines.length > 1 && !lines.some(line => line.startsWith('\'@'))) {
+            return `@'\n${lines.join('\n')}\n'@`;
         }
-        return value;
+        return `'${value.replace(/['‘’‚‛]/g, '$&$&')}'`;
+    }
+    return `"${value.replace(/["“”„]/g, '`$&')}"`;
+}
+
+// Escape literal text for use inside a double-quoted PowerShell string, so $name and backticks are not expanded
+function escapePowerShellExpandable(text) {
+    return text.replace(/[`$"“”„]/g, '`$&');
+}
+
+// Format a value as a cmdlet argument. Expressions that PowerShell would parse as plain
+// text in argument mode (hashtables, negative numbers) are wrapped in parentheses.
+function toPowerShellArgument(value) {
+    const literal = toPowerShellLiteral(value);
+    if (literal.startsWith('[') || literal.startsWith('-')) {
+        return `(${literal})`;
+    }
+    return literal;
+}
+
+// Format a named parameter. Booleans use the -Name:$value syntax so they bind to
+// both [switch] and [bool] parameters.
+function toPowerShellParameter(name, value) {
+    if (typeof value === 'boolean') {
+        return ` -${name}:${toPowerShellLiteral(value)}`;
+    }
+    return ` -${name} ${toPowerShellArgument(value)}`;
+}
+
+// Values taken from the URL are always strings; treat plain integers as numbers.
+function fromUrlValue(value) {
+    return /^(0|-?[1-9]\d{0,14})$/.test(value) ? Number(value) : value;
+}
+
+// Query string flags (true/false) become booleans, everything else goes through fromUrlValue.
+function fromQueryValue(value) {
+    return value === 'true' || value === 'false' ? value === 'true' : fromUrlValue(value);
+}
+
+// Depth to pass to ConvertTo-Json so nested bodies are not truncated (the default is 2).
+function jsonDepth(value) {
+    if (value === null || typeof value !== 'object') {
+        return 0;
     }
+    const children = Array.isArray(value) ? value : Object.values(value);
+    return 1 + children.reduce((max, child) => Math.max(max, jsonDepth(child)), 0);
+}
+
+// Options (used by the script builder):
+// - variables: Map of value -> variable name; matching values are emitted as $name instead of literals
+// - assignTo: variable name that receives the output of the call
+function generatePowerShellCode(data, options = {}) {
+    const urlObj = new URL(data.url);
+    const variables = options.variables || new Map();
+    const assign = options.assignTo ? `$${options.assignTo} = ` : '';
+    let code = '';
 
     // Helper to resolve values from data based on path
     function resolveValue(data, path) {
@@ -182,6 +1860,14 @@ function generatePowerShellCode(data) {
             const headerName = path.substring(7).toLowerCase();
             return data.headers ? data.headers[headerName] : undefined;
         }
+        if (path.startsWith('path:')) {
+            const value = data.pathParameters ? data.pathParameters[path.substring(5)] : undefined;
+            return value === undefined ? undefined : fromUrlValue(value);
+        }
+        if (path.startsWith('query:')) {
+            const value = urlObj.searchParams.get(path.substring(6));
+            return value === null ? undefined : fromQueryValue(value);
+        }
 
         const parts = path.split('.');
         let current = data;
@@ -196,25 +1882,34 @@ function generatePowerShellCode(data) {
 
     if (data.cmdlet !== 'Invoke-XdrRestMethod') {
         code += `# ${data.cmdlet}\n`;
-        code += `${data.cmdlet}`;
+        code += `${assign}${data.cmdlet}`;
+
+        // Bind {Placeholder} values from the URI to the same-named parameters,
+        // unless the mapping declares an explicit source for that parameter
+        const explicitParams = Object.keys(data.parameters || {}).map(p => p.toLowerCase());
+        for (const [paramName, value] of Object.entries(data.pathParameters || {})) {
+            if (explicitParams.includes(paramName.toLowerCase())) continue;
+            code += toPowerShellParameter(paramName, bindVariables(fromUrlValue(value), variables));
+        }
 
         if (data.parameters) {
             // Use explicit mapping
             for (const [paramName, sourcePath] of Object.entries(data.parameters)) {
                 const value = resolveValue(data, sourcePath);
                 if (value !== undefined && value !== null) {
-                    const escapedValue = escapeForPowerShell(value);
-                    code += ` -${paramName} "${escapedValue}"`;
+                    code += toPowerShellParameter(paramName, bindVariables(value, variables));
                 }
             }
         } else {
             // Fallback to heuristics
             // Try to map parameters from Query String
             urlObj.searchParams.forEach((value, key) => {
+                // OData options such as $top cannot be parameter names
+                if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(key)) return;
+
                 // Simple heuristic: capitalize first letter
                 const paramName = key.charAt(0).toUpperCase() + key.slice(1);
-                const escapedValue = escapeForPowerShell(value);
-                code += ` -${paramName} "${escapedValue}"`;
+                code += toPowerShellParameter(paramName, bindVariables(fromQueryValue(value), variables));
             });
 
             // Try to map parameters from Body
@@ -225,8 +1920,7 @@ function generatePowerShellCode(data) {
                     const paramName = key.charAt(0).toUpperCase() + key.slice(1);
                     const value = data.body[key];
                     if (typeof value !== 'object' && value !== null) {
-                        const escapedValue = escapeForPowerShell(value);
-                        code += ` -${paramName} "${escapedValue}"`;
+                        code += toPowerShellParameter(paramName, bindVariables(value, variables));
                     }
                 });
             }
@@ -237,41 +1931,271 @@ function generatePowerShellCode(data) {
     }
 
     // Only use Invoke-XdrRestMethod when no native cmdlet is found
-    code += `Invoke-XdrRestMethod -Uri "${data.url}" -Method "${data.method}"`;
+    return generateRestMethodCode(data, options);
+}
 
-    if (data.body) {
-        // Properly escape the JSON body for PowerShell
-        // Replace " with `" and wrap in single quotes to preserve formatting
-        const bodyJson = JSON.stringify(data.body, null, 2).replace(/"/g, '`"');
-        code += ` -Body "${bodyJson}"`;
+// Raw Invoke-XdrRestMethod call for a request; takes the same options as generatePowerShellCode
+function generateRestMethodCode(data, options = {}) {
+    const variables = options.variables || new Map();
+    const assign = options.assignTo ? `$${options.assignTo} = ` : '';
+    let code = '';
+
+    const uri = variables.size > 0 ? toPowerShellExpandableUri(data.url, variables) : toPowerShellString(data.url);
+    if (data.body && typeof data.body === 'object') {
+        // Build the body as a hashtable and let ConvertTo-Json produce the payload,
+        // a raw hashtable would be sent form-encoded by Invoke-RestMethod
+        code += `$body = ${toPowerShellLiteral(bindVariables(data.body, variables))}\n`;
+        code += `${assign}Invoke-XdrRestMethod -Uri ${uri} -Method ${data.method}`;
+        code += ` -Body ($body | ConvertTo-Json -Depth ${Math.max(10, jsonDepth(data.body) + 1)})`;
+    } else {
+        code += `${assign}Invoke-XdrRestMethod -Uri ${uri} -Method ${data.method}`;
+        if (data.body) {
+            code += ` -Body ${toPowerShellString(String(data.body))}`;
+        }
     }
 
     return code;
 }
 
 // UI Event Listeners
+document.getElementById('import-btn').addEventListener('click', () => {
+    document.getElementById('import-input').click();
+});
+
+document.getElementById('import-input').addEventListener('change', (e) => {
+    const input = e.currentTarget;
+    if (input.files.length > 0) {
+        importFile(input.files[0], document.getElementById('import-btn'));
+    }
+    input.value = '';
+});
+
+// Accept HAR and session files dropped anywhere on the panel
+document.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    document.body.classList.add('drag-over');
+});
+
+document.addEventListener('dragleave', (e) => {
+    if (!e.relatedTarget) {
+        document.body.classList.remove('drag-over');
+    }
+});
+
+document.addEventListener('drop', (e) => {
+    e.preventDefault();
+    document.body.classList.remove('drag-over');
+    const file = e.dataTransfer.files[0];
+    if (file) {
+        importFile(file, document.getElementById('import-btn'));
+    }
+});
+
 document.getElementById('clear-btn').addEventListener('click', () => {
     capturedRequests = [];
+    requestElements.clear();
+    builderSelection = [];
+    compareSelection = [];
+    multiTenantCapture = false;
+    requestFilter.tenant = '';
     document.getElementById('request-list').innerHTML = '';
     addDisclaimerToUI();
+    updateFilterSummary();
+    renderScriptBuilder();
+    renderComparison();
+    chrome.storage.local.remove(CAPTURE_STORAGE_KEY);
+
+    if (isCoverageViewOpen()) {
+        renderCoverageView();
+    }
+    if (isHuntingViewOpen()) {
+        renderHuntingView();
+    }
+    if (isDriftViewOpen()) {
+        renderDriftView();
+    }
+});
+
+// DevTools panels cannot open the options page themselves, the background script does
+document.getElementById('mappings-btn').addEventListener('click', () => {
+    chrome.runtime.sendMessage({ type: 'OPEN_OPTIONS' });
+});
+
+document.getElementById('coverage-btn').addEventListener('click', () => {
+    const opening = !isCoverageViewOpen();
+    showView(opening ? 'coverage-view' : null);
+    if (opening) {
+        renderCoverageView();
+    }
+});
+
+document.getElementById('hunting-btn').addEventListener('click', () => {
+    const opening = !isHuntingViewOpen();
+    showView(opening ? 'hunting-view' : null);
+    if (opening) {
+        renderHuntingView();
+    }
+});
+
+document.getElementById('drift-btn').addEventListener('click', () => {
+    const opening = !isDriftViewOpen();
+    showView(opening ? 'drift-view' : null);
+    if (opening) {
+        renderDriftView();
+    }
+});
+
+document.getElementById('builder-btn').addEventListener('click', (e) => {
+    const opening = !isScriptBuilderOpen();
+    document.body.classList.toggle('builder-mode', opening);
+    document.getElementById('script-builder').style.display = opening ? 'flex' : 'none';
+    e.currentTarget.textContent = opening ? 'Close Builder' : 'Script Builder';
+    renderScriptBuilder();
+});
+
+document.getElementById('compare-swap-btn').addEventListener('click', () => {
+    compareSelection.reverse();
+    updateCompareButtons();
+    renderComparison();
+});
+
+document.getElementById('compare-copy-btn').addEventListener('click', (e) => {
+    const [before, after] = compareSelection.map(displayData);
+    const header = `# ${describeCapture('A', before)}\n# ${describeCapture('B', after)}\n\n`;
+    copyToClipboard(header + formatComparison(compareCaptures(before, after)), e.currentTarget);
+});
+
+document.getElementById('compare-close-btn').addEventListener('click', () => {
+    compareSelection = [];
+    updateCompareButtons();
+    renderComparison();
+});
+
+document.getElementById('builder-copy-btn').addEventListener('click', (e) => {
+    copyToClipboard(document.getElementById('builder-preview').textContent, e.currentTarget);
+});
+
+document.getElementById('builder-save-btn').addEventListener('click', () => {
+    if (builderSelection.length === 0) return;
+
+    // Files leave the browser, so they are always redacted regardless of the reveal toggle
+    const script = buildChainedScript(builderSelection.map(req => redactRequestData(req, redactor)), tenantNames);
+    downloadFile(script, 'XDRay-Script.ps1.txt', 'text/plain'); // .txt to avoid browser warnings
 });
 
 document.getElementById('save-btn').addEventListener('click', () => {
-    let scriptContent = '# XDRay Generated Script\n';
-    scriptContent += '# The mapping to cmdlets is based on best effort but might not reflect the actual parameters of the parameter in question.\n';
-    scriptContent += '# Do NOT run this code without verifying it yourself.\n\n';
+    // Files leave the browser, so they are always redacted regardless of the reveal toggle
+    const redacted = visibleRequests().map(req => redactRequestData(req, redactor));
+    const scriptContent = generateCodeScript(codeGenerator, redacted, tenantNames);
+
+    // .txt to avoid browser warnings
+    downloadFile(scriptContent, `XDRay-Script.${codeGenerator.extension}.txt`, 'text/plain');
+});
+
+document.getElementById('code-generator').addEventListener('change', (e) => {
+    setCodeGenerator(e.currentTarget.value);
+});
+
+document.getElementById('export-session-btn').addEventListener('click', () => {
+    const fileName = `XDRay-Session-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    const redacted = visibleRequests().map(req => redactRequestData(req, redactor));
+    downloadFile(JSON.stringify(exportSession(redacted), null, 2), fileName, 'application/json');
+});
 
-    capturedRequests.forEach(req => {
-        scriptContent += generatePowerShellCode(req) + '\n\n';
+// Toolbar filters: selects apply on change, text fields while typing
+for (const [id, key] of [['filter-method', 'method'], ['filter-mapping', 'mapping'], ['filter-tenant', 'tenant'], ['group-by', 'groupBy']]) {
+    document.getElementById(id).addEventListener('change', (e) => {
+        requestFilter[key] = e.currentTarget.value;
+        layoutRequestList();
     });
+}
 
-    const blob = new Blob([scriptContent], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'XDRay-Script.ps1.txt'; // .txt to avoid browser warnings
-    a.click();
-    URL.revokeObjectURL(url);
+for (const [id, key] of [['filter-cmdlet', 'cmdlet'], ['filter-text', 'text']]) {
+    document.getElementById(id).addEventListener('input', (e) => {
+        requestFilter[key] = e.currentTarget.value.trim();
+        layoutRequestList();
+    });
+}
+
+document.getElementById('reveal-toggle').addEventListener('change', (e) => {
+    revealSensitiveValues = e.currentTarget.checked;
+    // The tenant filter holds a displayed value, which changes between ID and alias
+    requestFilter.tenant = '';
+    refreshRequestList();
+});
+
+document.getElementById('redaction-settings-btn').addEventListener('click', () => {
+    const settings = document.getElementById('redaction-settings');
+    const opening = settings.style.display === 'none';
+    if (opening) {
+        document.getElementById('redaction-headers').value = (redactionRules.headers || []).join('\n');
+        document.getElementById('redaction-paths').value = (redactionRules.paths || []).join('\n');
+        document.getElementById('redaction-patterns').value = (redactionRules.patterns || []).join('\n');
+    }
+    settings.style.display = opening ? 'flex' : 'none';
+});
+
+document.getElementById('redaction-save-btn').addEventListener('click', (e) => {
+    const btn = e.currentTarget;
+    const readLines = (id) => document.getElementById(id).value.split('\n').map(l => l.trim()).filter(Boolean);
+
+    const invalid = readLines('redaction-patterns').filter(source => {
+        try {
+            new RegExp(source);
+            return false;
+        } catch (err) {
+            return true;
+        }
+    });
+    if (invalid.length > 0) {
+        console.warn('Invalid redaction patterns:', invalid);
+        showButtonFeedback(btn, 'Invalid Regex');
+        return;
+    }
+
+    redactionRules = {
+        headers: readLines('redaction-headers'),
+        paths: readLines('redaction-paths'),
+        patterns: readLines('redaction-patterns')
+    };
+    redactor = createRedactor(redactionRules);
+    chrome.storage.local.set({ redactionRules: redactionRules });
+    refreshRequestList();
+    showButtonFeedback(btn, 'Saved');
+});
+
+document.getElementById('persistence-settings-btn').addEventListener('click', () => {
+    const settings = document.getElementById('persistence-settings');
+    const opening = settings.style.display === 'none';
+    if (opening) {
+        document.getElementById('persistence-enabled').checked = persistenceSettings.enabled;
+        document.getElementById('persistence-retention').value = persistenceSettings.retentionDays;
+        document.getElementById('persistence-size').value = persistenceSettings.maxSizeMb;
+        // Firefox does not implement getBytesInUse
+        if (chrome.storage.local.getBytesInUse) {
+            chrome.storage.local.getBytesInUse(CAPTURE_STORAGE_KEY, (bytes) => {
+                document.getElementById('persistence-usage').textContent = `${(bytes / 1024 / 1024).toFixed(2)} MB stored`;
+            });
+        }
+    }
+    settings.style.display = opening ? 'flex' : 'none';
+});
+
+document.getElementById('persistence-save-btn').addEventListener('click', (e) => {
+    persistenceSettings = normalizePersistenceSettings({
+        enabled: document.getElementById('persistence-enabled').checked,
+        retentionDays: document.getElementById('persistence-retention').value,
+        maxSizeMb: document.getElementById('persistence-size').value
+    });
+    chrome.storage.local.set({ persistenceSettings: persistenceSettings });
+
+    // Turning persistence off also removes what was stored so far
+    if (persistenceSettings.enabled) {
+        persistCapturedRequests();
+    } else {
+        chrome.storage.local.remove(CAPTURE_STORAGE_KEY);
+    }
+    showButtonFeedback(e.currentTarget, 'Saved');
 });
 
 document.getElementById('danger-zone-toggle').addEventListener('click', (e) => {
@@ -376,38 +2300,34 @@ function addDisclaimerToUI() {
     }
 }
 
-document.getElementById('copy-sccauth-btn').addEventListener('click', (e) => {
-    const btn = e.currentTarget;
-    chrome.cookies.getAll({ domain: "security.microsoft.com" }, (cookies) => {
-        const sccauthCookie = cookies.find(cookie => cookie.name === "sccauth");
+// Cookies are read by the background script: Firefox does not expose the cookies API to DevTools panels
+function copySessionCookie(btn, cookieName) {
+    const originalText = btn.textContent;
+    chrome.runtime.sendMessage({ type: 'GET_COOKIE', cookieName: cookieName }, (response) => {
+        if (chrome.runtime.lastError) {
+            console.error("Runtime error:", chrome.runtime.lastError);
+            btn.textContent = 'Error';
+            setTimeout(() => btn.textContent = originalText, 3000);
+            return;
+        }
 
-        if (sccauthCookie) {
-            copyToClipboard(sccauthCookie.value, btn, true);
-            console.warn("WARNING: Sensitive sccauth value copied to clipboard! Do not share this value.");
+        if (response && response.success) {
+            copyToClipboard(response.value, btn, true);
+            console.warn(`WARNING: Sensitive ${cookieName} value copied to clipboard! Do not share this value.`);
         } else {
-            console.warn("sccauth cookie not found.");
-            const originalText = btn.textContent;
+            console.warn(`${cookieName} cookie not found:`, response && response.error);
             btn.textContent = 'Not Found';
             setTimeout(() => btn.textContent = originalText, 2000);
         }
     });
+}
+
+document.getElementById('copy-sccauth-btn').addEventListener('click', (e) => {
+    copySessionCookie(e.currentTarget, 'sccauth');
 });
 
 document.getElementById('copy-xsrf-btn').addEventListener('click', (e) => {
-    const btn = e.currentTarget;
-    chrome.cookies.getAll({ domain: "security.microsoft.com" }, (cookies) => {
-        const xsrfCookie = cookies.find(cookie => cookie.name === "XSRF-TOKEN");
-
-        if (xsrfCookie) {
-            copyToClipboard(xsrfCookie.value, btn, true);
-            console.warn("WARNING: Sensitive XSRF-TOKEN value copied to clipboard! Do not share this value.");
-        } else {
-            console.warn("XSRF-TOKEN cookie not found.");
-            const originalText = btn.textContent;
-            btn.textContent = 'Not Found';
-            setTimeout(() => btn.textContent = originalText, 2000);
-        }
-    });
+    copySessionCookie(e.currentTarget, 'XSRF-TOKEN');
 });
 
 function copyToClipboard(text, button, isSensitive = false) {
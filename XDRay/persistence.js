@@ -0,0 +1,62 @@
+﻿// Persistence of captured requests across panel reloads and DevTools sessions
+// Captures are stored as a redacted XDRay session in chrome.storage.local, without sensitive headers
+
+const CAPTURE_STORAGE_KEY = 'capturedSession';
+
+const DEFAULT_PERSISTENCE_SETTINGS = { enabled: true, retentionDays: 7, maxSizeMb: 5 };
+
+// chrome.storage.local holds 10 MB without the unlimitedStorage permission, leave room for the settings
+const MAX_PERSISTENCE_SIZE_MB = 8;
+
+function normalizePersistenceSettings(settings) {
+    const merged = Object.assign({}, DEFAULT_PERSISTENCE_SETTINGS, settings || {});
+    const clamp = (value, min, max, fallback) => {
+        const number = Number(value);
+        return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+    };
+
+    return {
+        enabled: merged.enabled !== false,
+        retentionDays: clamp(merged.retentionDays, 1, 365, DEFAULT_PERSISTENCE_SETTINGS.retentionDays),
+        maxSizeMb: clamp(merged.maxSizeMb, 1, MAX_PERSISTENCE_SIZE_MB, DEFAULT_PERSISTENCE_SETTINGS.maxSizeMb)
+    };
+}
+
+// Sensitive headers (the redaction defaults plus user rules) are removed, not masked: nothing of them reaches the disk
+function stripSensitiveHeaders(headers, redactor) {
+    const result = {};
+    for (const [name, value] of Object.entries(headers || {})) {
+        if (!redactor.headers.has(name.toLowerCase())) {
+            result[name] = value;
+        }
+    }
+    return result;
+}
+
+// Drop entries older than the retention period, then the oldest entries until the session fits the size limit
+function pruneStoredSession(session, settings, now = Date.now()) {
+    const cutoff = now - settings.retentionDays * 24 * 60 * 60 * 1000;
+    const encoder = new TextEncoder();
+
+    const entries = (session.requests || []).filter(entry => {
+        const time = Date.parse(entry.timestamp);
+        return Number.isNaN(time) || time >= cutoff;
+    });
+
+    const sizes = entries.map(entry => encoder.encode(JSON.stringify(entry)).length);
+    let total = sizes.reduce((sum, size) => sum + size, 0);
+    let first = 0;
+    while (first < entries.length && total > settings.maxSizeMb * 1024 * 1024) {
+        total -= sizes[first];
+        first++;
+    }
+
+    return Object.assign({}, session, { requests: entries.slice(first) });
+}
+
+// Session to write to storage for the captured requests. Bodies and responses hold tenant data,
+// so the stored entries are redacted like exported sessions regardless of the reveal toggle.
+function createStoredSession(requests, redactor, settings, now = Date.now()) {
+    const redacted = requests.map(req => redactRequestData(Object.assign({}, req, { headers: stripSensitiveHeaders(req.headers, redactor) }), redactor));
+    return pruneStoredSession(exportSession(redacted), settings, now);
+}
@@ -0,0 +1,144 @@
+﻿// Pester unit tests from captured requests, for the tests/functions folder of the module
+// The test mocks the REST call to return the captured response, runs the cmdlet with the parameters
+// XDRay generated and checks that it sent the captured URI, method and body.
+
+// Arrays in the mocked response are cut to this many items: it keeps the test readable,
+// and cmdlets that page until a short page comes back stop after the first call
+const PESTER_MAX_ARRAY_ITEMS = 3;
+
+const PESTER_HELPERS = `# Query parameters compare regardless of order and encoding, JSON bodies regardless of property order
+function ConvertTo-SortedUri {
+	param ([string]$Uri)
+	$path, $query = $Uri -split '\\?', 2
+	if (-not $query) { return $path.TrimEnd('/') }
+	$pairs = $query -split '&' | Where-Object { $_ } | ForEach-Object { [uri]::UnescapeDataString($_.Replace('+', ' ')) } | Sort-Object
+	"$($path.TrimEnd('/'))?$($pairs -join '&')"
+}
+
+function ConvertTo-SortedJson {
+	param ($Value)
+	if ($Value -is [string]) {
+		try { $Value = $Value | ConvertFrom-Json -AsHashtable -ErrorAction Stop } catch { return $Value }
+	}
+	$sort = {
+		param ($Node)
+		if ($Node -is [System.Management.Automation.PSCustomObject]) {
+			$table = [ordered]@{}
+			foreach ($property in $Node.PSObject.Properties) { $table[$property.Name] = $property.Value }
+			$Node = $table
+		}
+		if ($Node -is [System.Collections.IDictionary]) {
+			$sorted = [ordered]@{}
+			foreach ($key in ($Node.Keys | Sort-Object)) { $sorted[$key] = & $sort $Node[$key] }
+			return $sorted
+		}
+		if ($Node -is [System.Collections.IList]) { return , @($Node | ForEach-Object { & $sort $_ }) }
+		$Node
+	}
+	ConvertTo-Json -InputObject (& $sort $Value) -Depth 20 -Compress
+}`;
+
+function trimArrays(value, maxItems) {
+    if (Array.isArray(value)) {
+        return value.slice(0, maxItems).map(item => trimArrays(item, maxItems));
+    }
+    if (value !== null && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = trimArrays(item, maxItems);
+        }
+        return result;
+    }
+    return value;
+}
+
+// Indent PowerShell code, except for the content and end of here-strings, which must stay at the line start
+function indentPowerShell(code, indent) {
+    let inHereString = false;
+    return code.split('\n').map(line => {
+        const indented = inHereString || !line ? line : indent + line;
+        if (inHereString) {
+            inHereString = !/^['"]@/.test(line);
+        } else {
+            inHereString = /@['"]$/.test(line);
+        }
+        return indented;
+    }).join('\n');
+}
+
+function pesterTestFileName(data) {
+    return `${data.cmdlet}.Tests.ps1`;
+}
+
+// Test file for a request mapped to a cmdlet, or null for unmapped requests
+function createPesterTest(data) {
+    if (data.cmdlet === 'Invoke-XdrRestMethod') {
+        return null;
+    }
+
+    const path = data.url.split('apiproxy')[1] || data.url;
+    const call = generatePowerShellCode(data).split('\n').slice(1).join('\n');
+    const response = data.response === null || data.response === undefined ? null : trimArrays(data.response, PESTER_MAX_ARRAY_ITEMS);
+    const hasBody = data.body !== null && data.body !== undefined;
+
+    let responseCode;
+    if (response === null) {
+        responseCode = '$capturedResponse = $null';
+    } else if (typeof response === 'string') {
+        responseCode = `$capturedResponse = ${toPowerShellString(response)}`;
+    } else {
+        responseCode = `$capturedResponse = ${toPowerShellString(JSON.stringify(response, null, '\t'))} | ConvertFrom-Json`;
+    }
+
+    const lines = [];
+    lines.push(`# Generated by XDRay from a captured request: ${data.method} ${path.split('?')[0]}`);
+    lines.push('# Review the parameters and the expected request, values computed at run time (such as time ranges) may need adjusting.');
+    lines.push(`Describe ${toPowerShellString(data.cmdlet)} {`);
+    lines.push('\tBeforeAll {');
+    lines.push(`\t\t# Captured response${response !== null && typeof response === 'object' ? `, arrays cut to ${PESTER_MAX_ARRAY_ITEMS} items` : ''}`);
+    lines.push(indentPowerShell(responseCode, '\t\t'));
+    lines.push('');
+    lines.push('\t\t# No connection: cmdlets only find the headers of one, the REST call and the cache are mocked.');
+    lines.push('\t\t# Most cmdlets call Invoke-RestMethod directly, a few go through Invoke-XdrRestMethod.');
+    lines.push('\t\tInModuleScope XDRInternals { $script:headers = @{ } }');
+    lines.push(`\t\t$restCommand = if ((Get-Command -Name ${data.cmdlet} -Module XDRInternals).Definition -match 'Invoke-XdrRestMethod') { 'Invoke-XdrRestMethod' } else { 'Invoke-RestMethod' }`);
+    lines.push('\t\tMock -CommandName Update-XdrConnectionSettings -ModuleName XDRInternals -MockWith { }');
+    lines.push('\t\tMock -CommandName Get-XdrCache -ModuleName XDRInternals -MockWith { }');
+    lines.push('\t\tMock -CommandName Set-XdrCache -ModuleName XDRInternals -MockWith { }');
+    lines.push('\t\tMock -CommandName Set-XdrConnectionSettings -ModuleName XDRInternals -MockWith { }');
+    lines.push('\t\tMock -CommandName $restCommand -ModuleName XDRInternals -MockWith { $capturedResponse }');
+    lines.push('');
+    lines.push(indentPowerShell(PESTER_HELPERS, '\t\t'));
+    lines.push('');
+    lines.push(`\t\t$expectedUri = ${toPowerShellString(data.url)}`);
+    lines.push(`\t\t$expectedMethod = ${toPowerShellString(data.method)}`);
+    if (hasBody) {
+        const body = typeof data.body === 'string' ? data.body : JSON.stringify(data.body, null, '\t');
+        lines.push(indentPowerShell(`$expectedBody = ${toPowerShellString(body)}`, '\t\t'));
+    }
+    lines.push('');
+    lines.push(indentPowerShell(`$result = ${call}`, '\t\t'));
+    lines.push('\t}');
+    lines.push('');
+    lines.push('\tIt "Calls the API with the captured URI and method" {');
+    lines.push('\t\tShould -Invoke -CommandName $restCommand -ModuleName XDRInternals -Times 1 -ParameterFilter {');
+    lines.push('\t\t\t(ConvertTo-SortedUri $Uri) -eq (ConvertTo-SortedUri $expectedUri) -and $(if ($Method) { "$Method" } else { \'GET\' }) -eq $expectedMethod');
+    lines.push('\t\t}');
+    lines.push('\t}');
+    if (hasBody) {
+        lines.push('');
+        lines.push('\tIt "Sends the captured body" {');
+        lines.push('\t\tShould -Invoke -CommandName $restCommand -ModuleName XDRInternals -Times 1 -ParameterFilter {');
+        lines.push('\t\t\t(ConvertTo-SortedUri $Uri) -eq (ConvertTo-SortedUri $expectedUri) -and (ConvertTo-SortedJson $Body) -eq (ConvertTo-SortedJson $expectedBody)');
+        lines.push('\t\t}');
+        lines.push('\t}');
+    }
+    if (response !== null) {
+        lines.push('');
+        lines.push('\tIt "Returns the response" {');
+        lines.push('\t\t$result | Should -Not -BeNullOrEmpty');
+        lines.push('\t}');
+    }
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,156 @@
+﻿// Redaction engine for captured requests
+// Masks sensitive headers, JSON paths and regex matches before anything is shown, copied, saved or exported
+
+const REDACTED_VALUE = '<redacted>';
+
+// Always applied, user settings can only add to these
+const DEFAULT_REDACTION_RULES = {
+    headers: ['authorization', 'cookie', 'set-cookie', 'x-xsrf-token', 'x-tid', 'tenant-id'],
+    paths: ['**.tenantId', '**.tid', '**.upn', '**.userPrincipalName', '**.ipAddress'],
+    patterns: [
+        // UPNs and e-mail addresses
+        '[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\\.[A-Za-z0-9-]+)*\\.[A-Za-z]{2,}',
+        // IPv4 addresses
+        '\\b(?:(?:25[0-5]|2[0-4]\\d|1?\\d?\\d)\\.){3}(?:25[0-5]|2[0-4]\\d|1?\\d?\\d)\\b'
+    ]
+};
+
+// Merge user rules ({ headers, paths, patterns } as string arrays) over the defaults.
+// Invalid regular expressions are skipped with a warning instead of breaking the panel.
+function createRedactor(userRules) {
+    const rules = userRules || {};
+    const headers = DEFAULT_REDACTION_RULES.headers.concat(rules.headers || []).map(h => h.trim().toLowerCase()).filter(Boolean);
+    const paths = DEFAULT_REDACTION_RULES.paths.concat(rules.paths || []).map(p => p.trim()).filter(Boolean).map(parseRedactionPath);
+    const patterns = [];
+
+    for (const source of DEFAULT_REDACTION_RULES.patterns.concat(rules.patterns || [])) {
+        if (!source.trim()) continue;
+        try {
+            patterns.push(new RegExp(source, 'g'));
+        } catch (e) {
+            console.warn(`Ignoring invalid redaction pattern: ${source}`, e);
+        }
+    }
+
+    return { headers: new Set(headers), paths: paths, patterns: patterns };
+}
+
+// "a.*.b" is anchored at the root of a body, "**.a.b" matches at any depth.
+// "*" matches a single key or array index. Keys are compared case-insensitively.
+function parseRedactionPath(path) {
+    const segments = path.split('.').map(s => s.toLowerCase());
+    const anywhere = segments[0] === '**';
+    return { anywhere: anywhere, segments: anywhere ? segments.slice(1) : segments };
+}
+
+function pathMatches(rule, keyPath) {
+    const matchesAt = (offset) => rule.segments.every((segment, i) => segment === '*' || segment === keyPath[offset + i]);
+
+    if (!rule.anywhere) {
+        return keyPath.length === rule.segments.length && matchesAt(0);
+    }
+    const offset = keyPath.length - rule.segments.length;
+    return offset >= 0 && matchesAt(offset);
+}
+
+function redactString(value, redactor) {
+    return redactor.patterns.reduce((text, pattern) => text.replace(pattern, REDACTED_VALUE), value);
+}
+
+// Deep copy of a JSON value with path rules replacing whole values and patterns masking strings
+function redactJson(value, redactor, keyPath = []) {
+    if (keyPath.length > 0 && redactor.paths.some(rule => pathMatches(rule, keyPath))) {
+        return value === null || value === undefined ? value : REDACTED_VALUE;
+    }
+    if (typeof value === 'string') {
+        return redactString(value, redactor);
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => redactJson(item, redactor, keyPath.concat(String(index))));
+    }
+    if (value !== null && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            result[key] = redactJson(item, redactor, keyPath.concat(key.toLowerCase()));
+        }
+        return result;
+    }
+    return value;
+}
+
+// Run the patterns over the decoded form of a URL component, so encoded addresses (john%40contoso.com) are caught too.
+// Unchanged components keep their original encoding. '+' only stands for a space in the query string.
+function redactUrlComponent(text, redactor, isQuery) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(isQuery ? text.replace(/\+/g, ' ') : text);
+    } catch (e) {
+        return redactString(text, redactor);
+    }
+
+    const redacted = redactString(decoded, redactor);
+    if (redacted === decoded) {
+        return text;
+    }
+    return encodeURIComponent(redacted).split(encodeURIComponent(REDACTED_VALUE)).join(REDACTED_VALUE);
+}
+
+// Query parameters are treated like a flat JSON object, so "**.tenantId" also covers ?tenantId=...
+// Path segments and query values are decoded before the patterns run.
+function redactUrl(url, redactor) {
+    const queryStart = url.indexOf('?');
+    const base = queryStart < 0 ? url : url.substring(0, queryStart);
+    const origin = /^[a-z][a-z0-9+.-]*:\/\/[^/]*/i.exec(base);
+    const pathStart = origin ? origin[0].length : 0;
+    const path = base.substring(pathStart).split('/').map(segment => redactUrlComponent(segment, redactor, false)).join('/');
+    const redactedBase = redactString(base.substring(0, pathStart), redactor) + path;
+    if (queryStart < 0) {
+        return redactedBase;
+    }
+
+    const query = url.substring(queryStart + 1).split('&').map(pair => {
+        const separator = pair.indexOf('=');
+        if (separator < 0) return pair;
+
+        const key = pair.substring(0, separator);
+        let decodedKey;
+        try {
+            decodedKey = decodeURIComponent(key.replace(/\+/g, ' '));
+        } catch (e) {
+            return redactString(pair, redactor);
+        }
+
+        if (redactor.paths.some(rule => pathMatches(rule, [decodedKey.toLowerCase()]))) {
+            return `${key}=${REDACTED_VALUE}`;
+        }
+        return `${key}=${redactUrlComponent(pair.substring(separator + 1), redactor, true)}`;
+    });
+
+    return `${redactedBase}?${query.join('&')}`;
+}
+
+function redactHeaders(headers, redactor) {
+    const result = {};
+    for (const [name, value] of Object.entries(headers || {})) {
+        result[name] = redactor.headers.has(name.toLowerCase()) ? REDACTED_VALUE : redactString(String(value), redactor);
+    }
+    return result;
+}
+
+// Redacted copy of a captured request; the original object is left untouched
+function redactRequestData(data, redactor) {
+    const pathParameters = {};
+    for (const [name, value] of Object.entries(data.pathParameters || {})) {
+        pathParameters[name] = redactString(value, redactor);
+    }
+
+    return Object.assign({}, data, {
+        url: redactUrl(data.url, redactor),
+        headers: redactHeaders(data.headers, redactor),
+        pathParameters: pathParameters,
+        body: redactJson(data.body, redactor),
+        response: redactJson(data.response, redactor),
+        tenantId: data.tenantId ? redactTenantId(data.tenantId) : data.tenantId,
+        targetTenantIds: (data.targetTenantIds || []).map(redactTenantId)
+    });
+}
@@ -0,0 +1,254 @@
+﻿// Cmdlet scaffolding for unmapped captures
+// Generates an XDRInternals function in the style of XDRInternals/functions/*.ps1 plus its CmdletApiMapping.json entry
+
+// Parameter names PowerShell reserves for CmdletBinding / ShouldProcess
+const RESERVED_PARAMETER_NAMES = [
+    'Verbose', 'Debug', 'ErrorAction', 'WarningAction', 'InformationAction', 'ProgressAction', 'ErrorVariable',
+    'WarningVariable', 'InformationVariable', 'OutVariable', 'OutBuffer', 'PipelineVariable', 'WhatIf', 'Confirm'
+];
+
+// Verbs that change state and therefore need SupportsShouldProcess (PSUseShouldProcessForStateChangingFunctions)
+const STATE_CHANGING_VERBS = ['New', 'Set', 'Remove', 'Update', 'Add', 'Clear', 'Reset', 'Start', 'Stop', 'Enable', 'Disable'];
+
+// PowerShell type for a sample value
+function inferParameterType(value) {
+    if (typeof value === 'boolean') return 'switch';
+    if (typeof value === 'number') {
+        if (!Number.isInteger(value)) return 'double';
+        return Math.abs(value) <= 2147483647 ? 'int' : 'long';
+    }
+    if (Array.isArray(value)) {
+        return value.length > 0 && value.every(v => typeof v === 'string') ? 'string[]' : 'object[]';
+    }
+    if (value !== null && typeof value === 'object') return 'object';
+    return 'string';
+}
+
+// Collect the parameters of a captured request: path placeholders, query string and top-level body keys
+function inferCmdletParameters(data, template) {
+    const parameters = [];
+    const usedNames = RESERVED_PARAMETER_NAMES.map(n => n.toLowerCase());
+
+    const addParameter = (key, source, value, mandatory) => {
+        let base = toPascalCase(key) || 'Value';
+        if (/^\d/.test(base)) base = `Value${base}`;
+        let name = base;
+        for (let i = 2; usedNames.includes(name.toLowerCase()); i++) {
+            name = `${base}${i}`;
+        }
+        usedNames.push(name.toLowerCase());
+        parameters.push({ name: name, key: key, source: source, value: value, type: inferParameterType(value), mandatory: mandatory });
+    };
+
+    // Path parameters come first so they keep their placeholder names and the mapping binds them automatically
+    const templateSegments = template.split('/');
+    const urlSegments = new URL(data.url).pathname.replace(/^\/apiproxy/i, '').split('/');
+    templateSegments.forEach((segment, index) => {
+        const placeholder = /^\{(.+)\}$/.exec(segment);
+        if (placeholder) {
+            addParameter(placeholder[1], 'path', fromUrlValue(decodeURIComponent(urlSegments[index] || '')), true);
+        }
+    });
+
+    new URL(data.url).searchParams.forEach((value, key) => {
+        addParameter(key, 'query', fromQueryValue(value), false);
+    });
+
+    if (data.body && typeof data.body === 'object' && !Array.isArray(data.body)) {
+        for (const [key, value] of Object.entries(data.body)) {
+            addParameter(key, 'body', value, false);
+        }
+    }
+
+    return parameters;
+}
+
+// PowerShell expression that puts a parameter into the URI or body
+function parameterExpression(parameter, forQuery) {
+    if (parameter.type === 'switch') {
+        return forQuery ? `$($${parameter.name}.IsPresent.ToString().ToLower())` : `$${parameter.name}.IsPresent`;
+    }
+    if (forQuery) {
+        return parameter.type === 'string' ? `$([System.Uri]::EscapeDataString($${parameter.name}))` : `$${parameter.name}`;
+    }
+    return `$${parameter.name}`;
+}
+
+function parameterDescription(parameter) {
+    if (parameter.source === 'path') return `Value of the {${parameter.key}} segment of the API URI.`;
+    if (parameter.source === 'query') return `Value of the '${parameter.key}' query string parameter.`;
+    if (parameter.type === 'switch') return `Sets the '${parameter.key}' property of the request body.`;
+    return `Value of the '${parameter.key}' property of the request body.`;
+}
+
+// Synopsis from the verb and the endpoint, e.g. "Gets /mtp/alerts/{AlertId} from the Microsoft Defender XDR portal API."
+function describeSkeleton(verb, template) {
+    const phrases = {
+        Get: ['Gets', 'from'], Set: ['Updates', 'in'], Update: ['Updates', 'in'], New: ['Creates', 'in'],
+        Add: ['Adds', 'to'], Remove: ['Removes', 'from']
+    };
+    const [action, preposition] = phrases[verb] || ['Invokes', 'of'];
+    return `${action} ${template} ${preposition} the Microsoft Defender XDR portal API.`;
+}
+
+// Generate a cmdlet skeleton and its mapping entry from a captured request.
+// Returns { name, fileName, code, mapping }.
+function generateCmdletSkeleton(data, cmdletName) {
+    const template = normalizePathTemplate(data.url);
+    const baseUrl = apiBaseUrl(data.url);
+    const name = cmdletName || suggestCmdletName(data.method, template);
+    const verb = name.split('-')[0];
+    const method = data.method.toUpperCase();
+    const parameters = inferCmdletParameters(data, template);
+    const pathParameters = parameters.filter(p => p.source === 'path');
+    const queryParameters = parameters.filter(p => p.source === 'query');
+    const bodyParameters = parameters.filter(p => p.source === 'body');
+    const hasBody = data.body !== null && data.body !== undefined && method !== 'GET';
+    const shouldProcess = STATE_CHANGING_VERBS.includes(verb);
+
+    const lines = [];
+    lines.push(`function ${name} {`);
+    lines.push('    <#');
+    lines.push('    .SYNOPSIS');
+    lines.push(`        ${describeSkeleton(verb, template)}`);
+    lines.push('');
+    lines.push('    .DESCRIPTION');
+    lines.push(`        Sends a ${method} request to ${template} in the Microsoft Defender XDR portal.`);
+    lines.push('        Generated by XDRay from a captured request. Review parameter names, types and the request body before use.');
+
+    for (const parameter of parameters) {
+        lines.push('');
+        lines.push(`    .PARAMETER ${parameter.name}`);
+        lines.push(`        ${parameterDescription(parameter)}`);
+    }
+    if (shouldProcess) {
+        lines.push('');
+        lines.push('    .PARAMETER WhatIf');
+        lines.push('        Shows what would happen if the cmdlet runs. The request is not sent.');
+        lines.push('');
+        lines.push('    .PARAMETER Confirm');
+        lines.push('        Prompts you for confirmation before running the cmdlet.');
+    }
+
+    // Values that need more than one line (hashtables, here-strings) are left out of the example
+    const exampleArgs = parameters
+        .filter(p => p.mandatory || p.value !== null)
+        .map(p => toPowerShellParameter(p.name, p.value))
+        .filter(arg => !arg.includes('\n'))
+        .join('');
+    lines.push('');
+    lines.push('    .EXAMPLE');
+    lines.push(`        ${name}${exampleArgs}`);
+    lines.push('        Repeats the captured request.');
+    lines.push('');
+    lines.push('    .OUTPUTS');
+    lines.push('        Object');
+    lines.push('        Returns the response object from the API.');
+    lines.push('    #>');
+
+    lines.push(shouldProcess
+        ? "    [CmdletBinding(SupportsShouldProcess = $true, ConfirmImpact = 'Medium')]"
+        : '    [CmdletBinding()]');
+
+    if (parameters.length === 0) {
+        lines.push('    param ()');
+    } else {
+        lines.push('    param (');
+        parameters.forEach((parameter, index) => {
+            lines.push(parameter.mandatory ? '        [Parameter(Mandatory)]' : '        [Parameter()]');
+            lines.push(`        [${parameter.type}]$${parameter.name}${index < parameters.length - 1 ? ',' : ''}`);
+            if (index < parameters.length - 1) lines.push('');
+        });
+        lines.push('    )');
+    }
+
+    lines.push('');
+    lines.push('    begin {');
+    lines.push('        Update-XdrConnectionSettings');
+    lines.push('    }');
+    lines.push('');
+    lines.push('    process {');
+
+    // Keys and literal URI text are escaped: OData keys like $top would otherwise expand as variables
+    let uriPath = escapePowerShellExpandable(template);
+    for (const parameter of pathParameters) {
+        uriPath = uriPath.replace(`{${parameter.key}}`, parameterExpression(parameter, true));
+    }
+
+    if (queryParameters.length > 0) {
+        lines.push('        # Build the URI with query parameters');
+        lines.push('        $queryParams = @()');
+        for (const parameter of queryParameters) {
+            lines.push(`        if ($PSBoundParameters.ContainsKey('${parameter.name}')) { $queryParams += "${escapePowerShellExpandable(parameter.key)}=${parameterExpression(parameter, true)}" }`);
+        }
+        lines.push('');
+        lines.push(`        $Uri = "${escapePowerShellExpandable(baseUrl)}${uriPath}"`);
+        lines.push('        if ($queryParams.Count -gt 0) {');
+        lines.push('            $Uri += "?$($queryParams -join \'&\')"');
+        lines.push('        }');
+    } else {
+        lines.push(`        $Uri = "${escapePowerShellExpandable(baseUrl)}${uriPath}"`);
+    }
+
+    if (hasBody) {
+        lines.push('');
+        lines.push('        # Build API request body');
+        if (bodyParameters.length > 0) {
+            lines.push('        $body = @{}');
+            for (const parameter of bodyParameters) {
+                lines.push(`        if ($PSBoundParameters.ContainsKey('${parameter.name}')) { $body['${parameter.key.replace(/['‘’‚‛]/g, '$&$&')}'] = ${parameterExpression(parameter, false)} }`);
+            }
+        } else {
+            lines.push(`        $body = ${toPowerShellLiteral(data.body, 2)}`);
+        }
+    }
+
+    // Arrays go through -InputObject, piping them would unroll single-element arrays
+    let bodyArgument = '';
+    if (hasBody && typeof data.body !== 'object') {
+        bodyArgument = ' -Body $body';
+    } else if (hasBody) {
+        const depth = Math.max(10, jsonDepth(data.body) + 1);
+        bodyArgument = Array.isArray(data.body)
+            ? ` -Body (ConvertTo-Json -InputObject $body -Depth ${depth})`
+            : ` -Body ($body | ConvertTo-Json -Depth ${depth})`;
+    }
+    const invoke = `Invoke-XdrRestMethod -Uri $Uri -Method ${method}${bodyArgument}`;
+
+    lines.push('');
+    lines.push('        try {');
+    if (shouldProcess) {
+        lines.push(`            if ($PSCmdlet.ShouldProcess($Uri, "${method}")) {`);
+        lines.push(`                Write-Verbose "Sending ${method} request to $Uri"`);
+        lines.push(`                $result = ${invoke}`);
+        lines.push('                return $result');
+        lines.push('            }');
+    } else {
+        lines.push(`            Write-Verbose "Sending ${method} request to $Uri"`);
+        lines.push(`            $result = ${invoke}`);
+        lines.push('            return $result');
+    }
+    lines.push('        } catch {');
+    lines.push(`            Write-Error "Failed to send ${method} request to $($Uri): $_"`);
+    lines.push('        }');
+    lines.push('    }');
+    lines.push('');
+    lines.push('    end {');
+    lines.push('');
+    lines.push('    }');
+    lines.push('}');
+
+    const mappingParameters = {};
+    for (const parameter of parameters) {
+        if (parameter.source === 'path') mappingParameters[parameter.name] = `path:${parameter.key}`;
+        if (parameter.source === 'query') mappingParameters[parameter.name] = `query:${parameter.key}`;
+        if (parameter.source === 'body') mappingParameters[parameter.name] = `body.${parameter.key}`;
+    }
+
+    const mapping = { Cmdlet: name, ApiUri: baseUrl + template, Method: method };
+    if (parameters.length > 0) {
+        mapping.Parameters = mappingParameters;
+    }
+
+    return { name: name, fileName: `${name}.ps1`, code: lines.join('\n'), mapping: mapping };
+}
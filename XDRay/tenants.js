@@ -0,0 +1,165 @@
+﻿// Tenant context of captured requests, for multi-tenant (MTO) work
+// A request runs in the tenant named by its x-tid / tenant-id headers or tid query parameter.
+// MTO requests (mto.security.microsoft.com, /apiproxy/mtoapi/) also name the tenants they fan out to.
+
+const PORTAL_API_PATTERN = /^https:\/\/(mto\.)?security\.microsoft\.com\/apiproxy\//i;
+const MTO_REQUEST_PATTERN = /^https:\/\/mto\.security\.microsoft\.com\/|\/apiproxy\/mtoapi\//i;
+const TENANT_PICKER_PATTERN = /\/apiproxy\/mtoapi\/tenants\/TenantPicker/i;
+
+const TENANT_HEADERS = ['x-tid', 'tenant-id'];
+const TENANT_QUERY_KEYS = ['tid', 'tenantid'];
+const TENANT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TENANT_ALIAS_PATTERN = /^<tenant [0-9a-f]{8}>$/;
+
+function isPortalApiUrl(url) {
+    return PORTAL_API_PATTERN.test(url);
+}
+
+function isMtoRequest(data) {
+    return MTO_REQUEST_PATTERN.test(data.url);
+}
+
+function normalizeTenantId(value) {
+    return typeof value === 'string' && TENANT_ID_PATTERN.test(value.trim()) ? value.trim().toLowerCase() : null;
+}
+
+// Tenant the connection of a request targets, from its headers or query string
+function detectTenantId(headers, url) {
+    for (const name of TENANT_HEADERS) {
+        const tenantId = normalizeTenantId(headers[name]);
+        if (tenantId) return tenantId;
+    }
+    for (const [key, value] of new URL(url).searchParams) {
+        if (TENANT_QUERY_KEYS.includes(key.toLowerCase()) && normalizeTenantId(value)) {
+            return normalizeTenantId(value);
+        }
+    }
+    return null;
+}
+
+// Tenants an MTO request fans out to: the mto-context header and TenantIds in the body
+function detectTargetTenantIds(headers, body) {
+    const candidates = [];
+    if (headers['mto-context']) {
+        try {
+            const context = JSON.parse(headers['mto-context']);
+            candidates.push(...[].concat(context.targetTenantIds || []));
+        } catch (e) {
+            // Not JSON, nothing to take from it
+        }
+    }
+    if (body && typeof body === 'object' && !Array.isArray(body)) {
+        for (const [key, value] of Object.entries(body)) {
+            if (key.toLowerCase() === 'tenantids') candidates.push(...[].concat(value || []));
+        }
+    }
+
+    const tenantIds = [];
+    for (const candidate of candidates) {
+        const tenantId = normalizeTenantId(candidate);
+        if (tenantId && !tenantIds.includes(tenantId)) tenantIds.push(tenantId);
+    }
+    return tenantIds;
+}
+
+// Every tenant a request concerns, connection tenant first
+function requestTenantIds(data) {
+    const tenantIds = data.tenantId ? [data.tenantId] : [];
+    for (const tenantId of data.targetTenantIds || []) {
+        if (!tenantIds.includes(tenantId)) tenantIds.push(tenantId);
+    }
+    return tenantIds;
+}
+
+// Redacted tenant IDs become a stable alias (FNV-1a hash), so captures of different tenants
+// can still be told apart and filtered. Values that are no tenant ID (such as aliases) are kept.
+function redactTenantId(tenantId) {
+    if (!TENANT_ID_PATTERN.test(tenantId)) return tenantId;
+
+    let hash = 0x811c9dc5;
+    for (const char of tenantId.toLowerCase()) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `<tenant ${(hash >>> 0).toString(16).padStart(8, '0')}>`;
+}
+
+// Tenant names from a captured tenant picker response (Get-XdrMtoTenantList), keyed by tenant ID and alias
+function collectTenantNames(data, names) {
+    if (!TENANT_PICKER_PATTERN.test(data.url) || !data.response || !Array.isArray(data.response.tenantInfoList)) {
+        return false;
+    }
+
+    let changed = false;
+    for (const tenant of data.response.tenantInfoList) {
+        const tenantId = normalizeTenantId(tenant && tenant.tenantId);
+        if (!tenantId || !tenant.name || names.get(tenantId) === tenant.name) continue;
+        names.set(tenantId, tenant.name);
+        names.set(redactTenantId(tenantId), tenant.name);
+        changed = true;
+    }
+    return changed;
+}
+
+function isTenantAlias(value) {
+    return typeof value === 'string' && TENANT_ALIAS_PATTERN.test(value);
+}
+
+function formatTenant(tenantId, names) {
+    const name = names.get(tenantId);
+    return name ? `${name} (${tenantId})` : tenantId;
+}
+
+// Tenant selection for a PowerShell script running the given requests in order.
+// One tenant: a guard that stops the script when the connection targets another tenant. A redacted tenant ID
+// (an alias) can never match, so the guard is left out.
+// Several tenants: the connection is switched before the first request of each tenant; redacted tenant IDs are
+// asked for when the script runs.
+// MTO requests select their tenants through their own parameters and are skipped.
+// Returns { preamble, switches } with one (possibly empty) switch per request.
+function planTenantSelection(requests, names) {
+    const connectionTenant = (data) => (isMtoRequest(data) ? null : data.tenantId || null);
+    const tenantIds = [];
+    for (const data of requests) {
+        const tenantId = connectionTenant(data);
+        if (tenantId && !tenantIds.includes(tenantId)) tenantIds.push(tenantId);
+    }
+
+    if (tenantIds.length === 0) {
+        return { preamble: '', switches: requests.map(() => '') };
+    }
+
+    if (tenantIds.length === 1) {
+        let preamble = `# Captured in tenant ${formatTenant(tenantIds[0], names)}\n`;
+        if (!normalizeTenantId(tenantIds[0])) {
+            preamble += '# The tenant ID is redacted, connect to that tenant before running the script\n\n';
+            return { preamble: preamble, switches: requests.map(() => '') };
+        }
+        preamble += `$TenantId = ${toPowerShellString(tenantIds[0])}\n`;
+        preamble += 'if ((Get-XdrTenantContext -Force).AuthInfo.TenantId -ne $TenantId) {\n';
+        preamble += '    throw "Connected to another tenant. Connect with -TenantId $TenantId (Set-XdrConnectionSettings or Connect-XdrByEstsCookie) first."\n';
+        preamble += '}\n\n';
+        return { preamble: preamble, switches: requests.map(() => '') };
+    }
+
+    let preamble = '# The requests span several tenants, the connection is switched before each tenant\n';
+    preamble += '$SccAuth = Read-Host -Prompt "sccauth cookie" -AsSecureString\n';
+    preamble += '$Xsrf = Read-Host -Prompt "XSRF-TOKEN cookie" -AsSecureString\n';
+    tenantIds.forEach((tenantId, index) => {
+        const name = names.get(tenantId);
+        const value = normalizeTenantId(tenantId)
+            ? toPowerShellString(tenantId)
+            : `Read-Host -Prompt ${toPowerShellString(`Tenant ID of ${tenantId}`)}`;
+        preamble += `$TenantId${index + 1} = ${value}${name ? ` # ${name}` : ''}\n`;
+    });
+    preamble += '\n';
+
+    let current = null;
+    const switches = requests.map(data => {
+        const tenantId = connectionTenant(data);
+        if (!tenantId || tenantId === current) return '';
+        current = tenantId;
+        return `Set-XdrConnectionSettings -SccAuth $SccAuth -Xsrf $Xsrf -TenantId $TenantId${tenantIds.indexOf(tenantId) + 1}\n`;
+    });
+    return { preamble: preamble, switches: switches };
+}
@@ -0,0 +1,78 @@
+﻿<#
+    .SYNOPSIS
+        Points XDRInternals at a local XDRay replay server.
+
+    .DESCRIPTION
+        Replaces Invoke-RestMethod and Invoke-WebRequest with proxies that send requests for
+        security.microsoft.com and mto.security.microsoft.com to the replay server, then connects
+        XDRInternals with placeholder cookies. No request leaves the machine, so the module and the
+        Maester tests can run in CI against recorded portal responses.
+
+        Import XDRInternals before running this script. Run it again with -Stop to restore the cmdlets.
+
+    .PARAMETER Url
+        Base URL of the replay server started with "node XDRayReplay/server.js".
+
+    .PARAMETER TenantId
+        Tenant ID the connection reports. Use the tenant of the recordings when the tests check it.
+
+    .PARAMETER Stop
+        Removes the proxies, so requests go to the portal again.
+
+    .EXAMPLE
+        .\XDRayReplay\Use-XdrReplayServer.ps1 -Url "http://127.0.0.1:8080"
+        Sends every XDRInternals request to the replay server on port 8080.
+
+    .EXAMPLE
+        .\XDRayReplay\Use-XdrReplayServer.ps1 -Stop
+        Sends requests to the portal again.
+#>
+[CmdletBinding(DefaultParameterSetName = 'Start')]
+param (
+    [Parameter(ParameterSetName = 'Start')]
+    [string]$Url = "http://127.0.0.1:8080",
+
+    [Parameter(ParameterSetName = 'Start')]
+    [string]$TenantId = "00000000-0000-0000-0000-000000000000",
+
+    [Parameter(Mandatory, ParameterSetName = 'Stop')]
+    [switch]$Stop
+)
+
+$proxiedCommands = @("Invoke-RestMethod", "Invoke-WebRequest")
+
+if ($Stop) {
+    foreach ($name in $proxiedCommands) {
+        Remove-Item -Path "function:global:$name" -ErrorAction SilentlyContinue
+    }
+    Write-Verbose "Requests go to the portal again"
+    return
+}
+
+$module = Get-Module XDRInternals
+if (-not $module) {
+    throw "Import the XDRInternals module before pointing it at the replay server."
+}
+
+# Functions of the global scope take precedence over cmdlets, also for calls made from inside the module.
+# Each proxy has the parameters of the cmdlet and only rewrites the portal host of -Uri.
+# Multi-tenant portal requests go below /mto, so the server answers them with recordings of that host.
+$replayUrl = $Url.TrimEnd('/')
+$quotedUrl = $replayUrl -replace "'", "''"
+foreach ($name in $proxiedCommands) {
+    $metadata = [System.Management.Automation.CommandMetadata]::new((Get-Command "Microsoft.PowerShell.Utility\$name"))
+    $definition = @(
+        [System.Management.Automation.ProxyCommand]::GetCmdletBindingAttribute($metadata)
+        "param($([System.Management.Automation.ProxyCommand]::GetParamBlock($metadata)))"
+        "`$PSBoundParameters['Uri'] = [uri](([uri]`$PSBoundParameters['Uri']).OriginalString -replace '^https://mto\.security\.microsoft\.com', '$quotedUrl/mto' -replace '^https://security\.microsoft\.com', '$quotedUrl')"
+        "Microsoft.PowerShell.Utility\$name @PSBoundParameters"
+    ) -join "`n"
+    $null = New-Item -Path "function:global:$name" -Value ([scriptblock]::Create($definition)) -Force
+}
+Write-Verbose "Portal requests go to $replayUrl"
+
+# Placeholder cookies; the tenant ID is passed so no tenant context request is needed to connect
+Set-XdrConnectionSettings -SccAuth "replay" -Xsrf "replay" -TenantId $TenantId
+
+# A cached XSRF token keeps Update-XdrConnectionSettings from refreshing the session for the day
+& $module { Set-XdrCache -CacheKey "XsrfToken" -Value $script:headers["X-XSRF-TOKEN"] -TTLMinutes 1440 }
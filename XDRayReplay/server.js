@@ -0,0 +1,291 @@
+﻿// Mock apiproxy server: answers /apiproxy/... requests with responses recorded in the portal,
+// so XDRInternals and the Maester tests can run without a tenant or network access.
+// Recordings are HAR exports, XDRay session files or JSON lists of { method, url, body, status, response }.
+//
+// Usage: node XDRayReplay/server.js [--port 8080] [--config replay.json] [--strict] <recording>...
+
+const fs = require('fs');
+const http = require('http');
+
+const DEFAULT_PORT = 8080;
+
+const DEFAULT_REPLAY_OPTIONS = {
+    // Body fields whose values change between runs, left out when bodies are compared (any depth, any case)
+    volatileFields: ['StartTime', 'EndTime', 'FromDate', 'ToDate', 'Timestamp', 'CorrelationId', 'RequestId'],
+    // Query parameters left out when query strings are compared, such as cache busters
+    volatileQuery: ['_'],
+    // Compare ISO 8601 timestamps anywhere in a body as equal, whatever their value
+    fuzzyTimestamps: true,
+    // Only answer requests whose path, query and body equal a recording; otherwise the closest recording of the same endpoint answers
+    strict: false
+};
+
+// Same rules as XDRay/coverage.js (tests/xdray/replay.test.js keeps them equal): segments that are
+// identifiers become placeholders of the path template
+const ID_SEGMENT_PATTERNS = [
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    /^-?\d+$/,
+    /^[0-9a-f]{16,}$/i,
+    /^(?=.*\d)(?=.*[a-z])[A-Za-z0-9_=-]{24,}$/i,
+    /@/,
+    /^<redacted>$/
+];
+
+// Recorded hosts; Use-XdrReplayServer.ps1 sends requests for the multi-tenant portal below /mto
+const PORTAL_HOST = 'security.microsoft.com';
+const MTO_HOST = 'mto.security.microsoft.com';
+const MTO_PREFIX = /^\/mto(?=\/apiproxy\/)/i;
+const RECORDED_URL_PATTERN = /^https:\/\/(mto\.)?security\.microsoft\.com\/apiproxy\//i;
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+function decodeSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (e) {
+        return segment;
+    }
+}
+
+// "/apiproxy/mtp/incidents/123/alerts" -> "/mtp/incidents/{}/alerts"
+function pathTemplate(pathname) {
+    return pathname
+        .replace(/^\/apiproxy/i, '')
+        .replace(/\/+$/, '')
+        .split('/')
+        .map(segment => (ID_SEGMENT_PATTERNS.some(pattern => pattern.test(decodeSegment(segment))) ? '{}' : segment.toLowerCase()))
+        .join('/');
+}
+
+function parseBody(text) {
+    if (text === null || text === undefined || text === '') return null;
+    if (typeof text !== 'string') return text;
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+// Body as compared: volatile fields removed, timestamps made equal, keys sorted
+function normalizeBody(body, options) {
+    const volatile = options.volatileFields.map(name => name.toLowerCase());
+    const normalize = (value) => {
+        if (Array.isArray(value)) return value.map(normalize);
+        if (value !== null && typeof value === 'object') {
+            const result = {};
+            for (const key of Object.keys(value).sort()) {
+                if (!volatile.includes(key.toLowerCase())) result[key] = normalize(value[key]);
+            }
+            return result;
+        }
+        if (options.fuzzyTimestamps && typeof value === 'string' && TIMESTAMP_PATTERN.test(value)) return '<timestamp>';
+        return value;
+    };
+    return normalize(body);
+}
+
+function normalizeQuery(searchParams, options) {
+    const volatile = options.volatileQuery.map(name => name.toLowerCase());
+    return Array.from(searchParams)
+        .filter(([key]) => !volatile.includes(key.toLowerCase()))
+        .map(([key, value]) => `${key.toLowerCase()}=${value}`)
+        .sort();
+}
+
+// Leaf values of a JSON value as path=value strings, to measure how close two bodies are
+function leafValues(value, path = '') {
+    if (value !== null && typeof value === 'object') {
+        return Object.entries(value).flatMap(([key, item]) => leafValues(item, `${path}/${key}`));
+    }
+    return [`${path}=${JSON.stringify(value)}`];
+}
+
+function parseResponseText(content) {
+    if (!content || content.text === undefined || content.text === null) return null;
+    const text = content.encoding === 'base64' ? Buffer.from(content.text, 'base64').toString('utf8') : content.text;
+    return parseBody(text);
+}
+
+// Recorded request/response pairs from a HAR export, an XDRay session or a plain list
+function loadRecordings(content) {
+    let pairs;
+    if (content && content.log && Array.isArray(content.log.entries)) {
+        pairs = content.log.entries.map(entry => ({
+            method: entry.request.method,
+            url: entry.request.url,
+            body: entry.request.postData ? entry.request.postData.text : null,
+            status: entry.response ? entry.response.status : 200,
+            response: entry.response ? parseResponseText(entry.response.content) : null
+        }));
+    } else if (content && content.format === 'XDRay.Session') {
+        pairs = (content.requests || []).map(item => ({
+            method: item.request.method,
+            url: item.request.url,
+            body: item.request.body,
+            status: item.response.status,
+            response: item.response.body
+        }));
+    } else if (Array.isArray(content)) {
+        pairs = content;
+    } else {
+        throw new Error('Not a HAR file, XDRay session or list of recorded requests');
+    }
+
+    return pairs
+        .filter(pair => pair && pair.method && pair.url && RECORDED_URL_PATTERN.test(pair.url))
+        .map(pair => {
+            const url = new URL(pair.url);
+            return {
+                method: pair.method.toUpperCase(),
+                url: pair.url,
+                host: url.hostname.toLowerCase(),
+                pathname: url.pathname,
+                searchParams: url.searchParams,
+                body: parseBody(pair.body),
+                status: pair.status || 200,
+                response: pair.response === undefined ? null : pair.response
+            };
+        });
+}
+
+// Portal host and apiproxy path a request to the replay server stands for, or null for other paths
+function requestTarget(pathname) {
+    if (MTO_PREFIX.test(pathname)) {
+        return { host: MTO_HOST, pathname: pathname.replace(MTO_PREFIX, '') };
+    }
+    return /^\/apiproxy\//i.test(pathname) ? { host: PORTAL_HOST, pathname: pathname } : null;
+}
+
+// Matcher over the recordings. Candidates share host, method and path template; the best one has the same
+// path, then the same body, then the most query parameters and body values in common.
+// Requests that match several recordings equally well get them in recording order, then the last one again,
+// so paging loops see the recorded pages.
+function createReplayer(recordings, options = {}) {
+    const settings = Object.assign({}, DEFAULT_REPLAY_OPTIONS, options);
+    const prepared = recordings.map((recording, index) => ({
+        recording: recording,
+        index: index,
+        template: pathTemplate(recording.pathname),
+        query: normalizeQuery(recording.searchParams, settings),
+        body: JSON.stringify(normalizeBody(recording.body, settings)),
+        leaves: leafValues(normalizeBody(recording.body, settings))
+    }));
+    const served = new Map();
+
+    function match(method, url, body) {
+        const requestUrl = new URL(url, 'http://localhost');
+        const target = requestTarget(requestUrl.pathname);
+        if (!target) return null;
+
+        const template = pathTemplate(target.pathname);
+        const query = normalizeQuery(requestUrl.searchParams, settings);
+        const normalizedBody = normalizeBody(parseBody(body), settings);
+        const bodyText = JSON.stringify(normalizedBody);
+        const leaves = leafValues(normalizedBody);
+
+        const scored = prepared
+            .filter(candidate => candidate.recording.host === target.host && candidate.recording.method === method.toUpperCase() && candidate.template === template)
+            .map(candidate => {
+                const samePath = candidate.recording.pathname.replace(/\/+$/, '').toLowerCase() === target.pathname.replace(/\/+$/, '').toLowerCase();
+                const sameQuery = candidate.query.join('&') === query.join('&');
+                const sameBody = candidate.body === bodyText;
+                const common = query.filter(pair => candidate.query.includes(pair)).length +
+                    leaves.filter(leaf => candidate.leaves.includes(leaf)).length;
+                return {
+                    candidate: candidate,
+                    exact: samePath && sameQuery && sameBody,
+                    score: (samePath ? 1000000 : 0) + (sameBody ? 10000 : 0) + (sameQuery ? 1000 : 0) + common
+                };
+            })
+            .filter(result => !settings.strict || result.exact);
+
+        if (scored.length === 0) return null;
+
+        const best = Math.max(...scored.map(result => result.score));
+        const ties = scored.filter(result => result.score === best);
+        const key = ties.map(result => result.candidate.index).join(',');
+        const count = served.get(key) || 0;
+        served.set(key, count + 1);
+
+        const chosen = ties[Math.min(count, ties.length - 1)];
+        return { recording: chosen.candidate.recording, exact: chosen.exact };
+    }
+
+    return { match: match, options: settings };
+}
+
+function sendJson(res, status, value) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(value));
+}
+
+function createReplayServer(replayer, log = () => { }) {
+    return http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            const found = replayer.match(req.method, req.url, body);
+
+            if (!found) {
+                log(`${req.method} ${req.url} -> no recording`);
+                sendJson(res, 404, { error: 'No recorded response for this request', method: req.method, url: req.url });
+                return;
+            }
+
+            const { recording } = found;
+            log(`${req.method} ${req.url} -> ${recording.status}${found.exact ? '' : ` (closest: ${recording.url})`}`);
+            if (recording.response === null) {
+                res.writeHead(recording.status);
+                res.end();
+            } else if (typeof recording.response === 'string') {
+                res.writeHead(recording.status, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end(recording.response);
+            } else {
+                sendJson(res, recording.status, recording.response);
+            }
+        });
+    });
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8').replace(/^﻿/, ''));
+}
+
+function parseArguments(args) {
+    const parsed = { port: DEFAULT_PORT, options: {}, files: [] };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port') {
+            parsed.port = Number(args[++i]);
+        } else if (args[i] === '--config') {
+            parsed.options = Object.assign(parsed.options, readJson(args[++i]));
+        } else if (args[i] === '--strict') {
+            parsed.options.strict = true;
+        } else {
+            parsed.files.push(args[i]);
+        }
+    }
+    return parsed;
+}
+
+function main() {
+    const { port, options, files } = parseArguments(process.argv.slice(2));
+    if (files.length === 0 || !Number.isInteger(port)) {
+        console.error('Usage: node XDRayReplay/server.js [--port 8080] [--config replay.json] [--strict] <recording>...');
+        process.exitCode = 1;
+        return;
+    }
+
+    const recordings = files.flatMap(file => loadRecordings(readJson(file)));
+    const server = createReplayServer(createReplayer(recordings, options), message => console.log(message));
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`Replaying ${recordings.length} recorded requests on http://127.0.0.1:${port}/apiproxy/ and http://127.0.0.1:${port}/mto/apiproxy/`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { DEFAULT_REPLAY_OPTIONS, ID_SEGMENT_PATTERNS, pathTemplate, loadRecordings, createReplayer, createReplayServer };
@@ -0,0 +1,181 @@
+﻿// Builds the Chrome (Manifest V3) and Firefox (Manifest V2) packages of XDRay from the single source in XDRay/.
+// Everything in XDRay/ is shared; XDRay/firefox/ only holds what differs for Firefox (manifest, browserShim.js, README).
+// After building, both packages are compared and the build fails if the shared logic or mapping diverges.
+// The replay server (XDRayReplay/) is copied next to them as XDRay-Replay.
+// The build fails when CmdletApiMapping.json lags behind XDRInternals/functions; run build/update-cmdlet-mapping.js.
+//
+// Usage: node build/build-xdray.js [outputDir]   (default: publish/)
+
+const fs = require('fs');
+const path = require('path');
+const { updateMappingFile } = require('./update-cmdlet-mapping');
+
+const SOURCE_ROOT = path.join(__dirname, '..', 'XDRay');
+const FIREFOX_FOLDER = 'firefox';
+const REPLAY_ROOT = path.join(__dirname, '..', 'XDRayReplay');
+
+// The only files Firefox may override; anything else in XDRay/firefox would fork the extension logic
+const FIREFOX_OVERRIDES = ['manifest.json', 'browserShim.js', 'README.md'];
+
+// Pages that need the shim before any other script in Firefox
+const SHIMMED_PAGES = ['devtools.html', 'panel.html', 'options.html'];
+const SHIM_TAG = '<script src="browserShim.js"></script>';
+
+function listFiles(root, relative = '') {
+    const files = [];
+    for (const entry of fs.readdirSync(path.join(root, relative), { withFileTypes: true })) {
+        const name = path.posix.join(relative, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listFiles(root, name));
+        } else {
+            files.push(name);
+        }
+    }
+    return files.sort();
+}
+
+function copyFile(from, to) {
+    fs.mkdirSync(path.dirname(to), { recursive: true });
+    fs.copyFileSync(from, to);
+}
+
+// Insert the shim tag in front of the first script of a page, with the same indentation
+function injectShim(html) {
+    return html.replace(/^([ \t]*)<script /m, `$1${SHIM_TAG}\n$1<script `);
+}
+
+function removeShim(html) {
+    return html.replace(new RegExp(`^[ \\t]*${SHIM_TAG.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')}\\r?\\n`, 'm'), '');
+}
+
+function build(outputRoot) {
+    const chromeRoot = path.join(outputRoot, 'XDRay-Chrome');
+    const firefoxRoot = path.join(outputRoot, 'XDRay-Firefox');
+    const replayRoot = path.join(outputRoot, 'XDRay-Replay');
+    const sourceFiles = listFiles(SOURCE_ROOT);
+    const sharedFiles = sourceFiles.filter(file => !file.startsWith(`${FIREFOX_FOLDER}/`));
+    const overrideFiles = sourceFiles.filter(file => file.startsWith(`${FIREFOX_FOLDER}/`)).map(file => file.substring(FIREFOX_FOLDER.length + 1));
+
+    for (const root of [chromeRoot, firefoxRoot, replayRoot]) {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+
+    for (const file of sharedFiles) {
+        copyFile(path.join(SOURCE_ROOT, file), path.join(chromeRoot, file));
+        copyFile(path.join(SOURCE_ROOT, file), path.join(firefoxRoot, file));
+    }
+    for (const file of overrideFiles) {
+        copyFile(path.join(SOURCE_ROOT, FIREFOX_FOLDER, file), path.join(firefoxRoot, file));
+    }
+    for (const page of SHIMMED_PAGES) {
+        const file = path.join(firefoxRoot, page);
+        fs.writeFileSync(file, injectShim(fs.readFileSync(file, 'utf8')));
+    }
+
+    for (const file of listFiles(REPLAY_ROOT)) {
+        copyFile(path.join(REPLAY_ROOT, file), path.join(replayRoot, file));
+    }
+
+    return { chromeRoot, firefoxRoot, replayRoot, overrideFiles };
+}
+
+function readManifest(root) {
+    return JSON.parse(fs.readFileSync(path.join(root, 'manifest.json'), 'utf8').replace(/^﻿/, ''));
+}
+
+// Files a manifest points to: background scripts, the DevTools and options pages and icons
+function manifestReferences(manifest) {
+    const background = manifest.background || {};
+    return [
+        background.service_worker,
+        ...(background.scripts || []),
+        manifest.devtools_page,
+        manifest.options_ui && manifest.options_ui.page,
+        ...Object.values(manifest.icons || {})
+    ].filter(Boolean);
+}
+
+// Compare the two packages. Returns a list of problems, empty when they only differ where they are meant to.
+function checkDivergence({ chromeRoot, firefoxRoot, overrideFiles }) {
+    const problems = [];
+
+    for (const file of overrideFiles) {
+        if (!FIREFOX_OVERRIDES.includes(file)) {
+            problems.push(`XDRay/${FIREFOX_FOLDER}/${file} overrides shared code, only ${FIREFOX_OVERRIDES.join(', ')} may differ for Firefox`);
+        }
+    }
+
+    const chromeFiles = listFiles(chromeRoot);
+    const firefoxFiles = listFiles(firefoxRoot);
+    for (const file of chromeFiles.filter(f => !firefoxFiles.includes(f))) {
+        problems.push(`${file} is missing from the Firefox package`);
+    }
+
+    for (const file of chromeFiles.filter(f => firefoxFiles.includes(f) && !FIREFOX_OVERRIDES.includes(f))) {
+        let chromeContent = fs.readFileSync(path.join(chromeRoot, file));
+        let firefoxContent = fs.readFileSync(path.join(firefoxRoot, file));
+        if (SHIMMED_PAGES.includes(file)) {
+            const firefoxHtml = firefoxContent.toString('utf8');
+            const firstScript = /<script src="([^"]+)"/.exec(firefoxHtml);
+            if (!firstScript || firstScript[1] !== 'browserShim.js') {
+                problems.push(`${file} does not load browserShim.js before its other scripts in the Firefox package`);
+            }
+            chromeContent = Buffer.from(chromeContent.toString('utf8'));
+            firefoxContent = Buffer.from(removeShim(firefoxHtml));
+        }
+        if (!chromeContent.equals(firefoxContent)) {
+            problems.push(`${file} differs between the Chrome and Firefox packages`);
+        }
+    }
+
+    const chromeManifest = readManifest(chromeRoot);
+    const firefoxManifest = readManifest(firefoxRoot);
+    if (chromeManifest.version !== firefoxManifest.version) {
+        problems.push(`Manifest versions differ: Chrome ${chromeManifest.version}, Firefox ${firefoxManifest.version}`);
+    }
+    for (const [name, root, manifest] of [['Chrome', chromeRoot, chromeManifest], ['Firefox', firefoxRoot, firefoxManifest]]) {
+        for (const file of manifestReferences(manifest)) {
+            if (!fs.existsSync(path.join(root, file))) {
+                problems.push(`The ${name} manifest references ${file}, which is not in the package`);
+            }
+        }
+    }
+    const firefoxScripts = (firefoxManifest.background && firefoxManifest.background.scripts) || [];
+    if (firefoxScripts[0] !== 'browserShim.js') {
+        problems.push('The Firefox manifest must load browserShim.js as its first background script');
+    }
+
+    return problems;
+}
+
+function main() {
+    const outputRoot = path.resolve(process.argv[2] || path.join(__dirname, '..', 'publish'));
+    // The build does not change its inputs, the mapping is only checked
+    const update = updateMappingFile({ check: true });
+    if (update.changed) {
+        console.error(`${update.file} is out of date (${update.added.length} to add, ${update.updated.length} to update, ${update.removed.length} to remove), run node build/update-cmdlet-mapping.js`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const result = build(outputRoot);
+    const problems = checkDivergence(result);
+
+    for (const problem of problems) {
+        console.error(problem);
+    }
+    if (problems.length > 0) {
+        console.error(`XDRay packages diverge (${problems.length} problem(s))`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`Built ${result.chromeRoot}`);
+    console.log(`Built ${result.firefoxRoot}`);
+    console.log(`Built ${result.replayRoot}`);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { build, checkDivergence, injectShim, removeShim };
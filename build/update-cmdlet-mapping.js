@@ -0,0 +1,659 @@
+﻿// Generates XDRay/CmdletApiMapping.json entries from the XDRInternals function sources and merges them into the file:
+// - every Invoke-RestMethod / Invoke-XdrRestMethod call whose -Uri and -Method can be resolved becomes an entry
+// - $Parameter segments of the URI become {Parameter} placeholders, local variables are followed to their string value
+// - parameters passed unchanged into the query string or the request body become Parameters sources
+// Hand-written entries and Parameters are kept. New entries are only added where no entry maps the request yet,
+// and only if the mapping stays valid (see tests/xdray/validate-mapping.js).
+//
+// Usage: node build/update-cmdlet-mapping.js [--check]   (--check only reports, and fails if the file is out of date)
+
+const fs = require('fs');
+const path = require('path');
+const {
+    XDRAY_ROOT, FUNCTIONS_ROOT, readText, readMapping, parsePowerShellFunctions, validateMapping, entriesOverlap
+} = require('./xdray-mapping');
+
+const MAPPING_FILE = path.join(XDRAY_ROOT, 'CmdletApiMapping.json');
+
+const API_BASE_PATTERN = /^https:\/\/(mto\.)?security\.microsoft\.com\/apiproxy\//i;
+const DEFAULT_BASE_URL = 'https://security.microsoft.com';
+const REST_COMMAND_PATTERN = /\b(Invoke-RestMethod|Invoke-XdrRestMethod)\b/gi;
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Connection helpers call portal endpoints on behalf of every cmdlet, they are no mapping target
+const SKIPPED_FUNCTIONS = ['Invoke-XdrRestMethod', 'Set-XdrConnectionSettings', 'Update-XdrConnectionSettings', 'Connect-XdrByEstsCookie'];
+
+// Local variables are followed this many assignments deep, and a URI may resolve to this many alternatives
+const MAX_RESOLVE_DEPTH = 4;
+const MAX_URI_ALTERNATIVES = 8;
+
+// Markers for the parts of a resolved URI that are no literal text
+const PARAMETER_MARKER = '\u0000P';
+const UNRESOLVED_MARKER = '\u0000U\u0000';
+
+// End of a '...' or "..." string (or here-string) starting at i, the index after the closing quote
+function skipString(code, i) {
+    const quote = code[i] === '@' ? code[i + 1] : code[i];
+    if (code[i] === '@') {
+        const end = code.indexOf(`\n${quote}@`, i + 2);
+        return end === -1 ? code.length : end + 3;
+    }
+
+    let j = i + 1;
+    while (j < code.length) {
+        const char = code[j];
+        if (quote === '"' && char === '`') {
+            j += 2;
+        } else if (char === quote && code[j + 1] === quote) {
+            j += 2;
+        } else if (char === quote) {
+            return j + 1;
+        } else if (quote === '"' && char === '$' && code[j + 1] === '(') {
+            j = skipBrackets(code, j + 1);
+        } else {
+            j++;
+        }
+    }
+    return code.length;
+}
+
+function isStringStart(code, i) {
+    return code[i] === '"' || code[i] === '\'' || (code[i] === '@' && (code[i + 1] === '"' || code[i + 1] === '\'') && /\r?\n/.test(code.substr(i + 2, 2)));
+}
+
+// Index after the bracket closing the one at i, skipping strings
+function skipBrackets(code, i) {
+    let depth = 0;
+    let j = i;
+    while (j < code.length) {
+        if (isStringStart(code, j)) {
+            j = skipString(code, j);
+            continue;
+        }
+        if ('([{'.includes(code[j])) depth++;
+        if (')]}'.includes(code[j])) depth--;
+        j++;
+        if (depth === 0) return j;
+    }
+    return code.length;
+}
+
+// Code without comments; strings are kept as they are
+function stripComments(code) {
+    let result = '';
+    let i = 0;
+    while (i < code.length) {
+        if (code.startsWith('<#', i)) {
+            const end = code.indexOf('#>', i + 2);
+            i = end === -1 ? code.length : end + 2;
+        } else if (code[i] === '#' && (i === 0 || /[\s;{(]/.test(code[i - 1]))) {
+            while (i < code.length && code[i] !== '\n') i++;
+        } else if (isStringStart(code, i)) {
+            const end = skipString(code, i);
+            result += code.slice(i, end);
+            i = end;
+        } else {
+            result += code[i++];
+        }
+    }
+    return result;
+}
+
+// One argument starting at i (after whitespace): a string, a bracketed expression, a variable or a bare word.
+// Casts such as [ordered] are read together with the value they apply to.
+function readArgument(code, i) {
+    while (i < code.length && /[ \t]/.test(code[i])) i++;
+    const start = i;
+
+    if (code[i] === '[') {
+        i = skipBrackets(code, i);
+        if (i < code.length && !/\s/.test(code[i])) {
+            i = readArgument(code, i).end;
+        }
+    } else if (isStringStart(code, i)) {
+        i = skipString(code, i);
+    } else if (code[i] === '(' || (code[i] === '@' && '({'.includes(code[i + 1])) || (code[i] === '$' && code[i + 1] === '(')) {
+        i = skipBrackets(code, code[i] === '(' ? i : i + 1);
+    } else if (code[i] === '$') {
+        const variable = /^\$[A-Za-z0-9_:]+(\.[A-Za-z_][A-Za-z0-9_]*)*/.exec(code.slice(i));
+        i += variable ? variable[0].length : 1;
+        // Method call such as $Value.ToString()
+        if (variable && variable[1] && code[i] === '(') i = skipBrackets(code, i);
+    } else {
+        while (i < code.length && !/[\s;)}|]/.test(code[i])) i++;
+    }
+    return { text: code.slice(start, i), end: i };
+}
+
+// Text of the statement starting at i: up to the end of the line (backtick continuations included) or a ;
+function readStatement(code, i) {
+    let j = i;
+    while (j < code.length) {
+        if (isStringStart(code, j)) {
+            j = skipString(code, j);
+        } else if ('([{'.includes(code[j])) {
+            j = skipBrackets(code, j);
+        } else if (code[j] === '`' && /^`\r?\n/.test(code.slice(j, j + 3))) {
+            j += 2;
+        } else if (code[j] === '\n' || code[j] === ';' || code[j] === '}') {
+            break;
+        } else {
+            j++;
+        }
+    }
+    return code.slice(i, j);
+}
+
+// Named arguments of a command, keyed by lower-case parameter name; switches map to null
+function parseCommandArguments(statement) {
+    const args = new Map();
+    let i = 0;
+    while (i < statement.length) {
+        while (i < statement.length && /[\s`]/.test(statement[i])) i++;
+        if (statement[i] === '|') break;
+
+        const name = /^-([A-Za-z]+)(:)?/.exec(statement.slice(i));
+        if (name) {
+            i += name[0].length;
+            const next = statement.slice(i).trimStart();
+            if (!name[2] && (next === '' || /^-[A-Za-z]/.test(next) || next.startsWith('|'))) {
+                args.set(name[1].toLowerCase(), null);
+            } else {
+                const value = readArgument(statement, i);
+                args.set(name[1].toLowerCase(), value.text);
+                i = value.end;
+            }
+        } else {
+            const end = readArgument(statement, i).end;
+            i = end > i ? end : i + 1;
+        }
+    }
+    return args;
+}
+
+// Parts of a double-quoted string: { text } for literal text, { expr } for $variable and $( ) expressions
+function parseDoubleQuoted(literal) {
+    const parts = [];
+    const addText = (text) => {
+        const last = parts[parts.length - 1];
+        if (last && last.text !== undefined) {
+            last.text += text;
+        } else {
+            parts.push({ text: text });
+        }
+    };
+
+    const escapes = { n: '\n', r: '\r', t: '\t', 0: '\0' };
+    const body = literal.slice(1, -1);
+    let i = 0;
+    while (i < body.length) {
+        const char = body[i];
+        if (char === '`') {
+            addText(escapes[body[i + 1]] || body[i + 1] || '');
+            i += 2;
+        } else if (char === '"' && body[i + 1] === '"') {
+            addText('"');
+            i += 2;
+        } else if (char === '$' && body[i + 1] === '(') {
+            const end = skipBrackets(body, i + 1);
+            parts.push({ expr: body.slice(i, end) });
+            i = end;
+        } else if (char === '$' && body[i + 1] === '{') {
+            const end = body.indexOf('}', i);
+            parts.push({ expr: `$${body.slice(i + 2, end)}` });
+            i = end + 1;
+        } else if (char === '$' && /[A-Za-z_]/.test(body[i + 1] || '')) {
+            const variable = /^\$[A-Za-z0-9_]+(:[A-Za-z0-9_]+)?/.exec(body.slice(i))[0];
+            parts.push({ expr: variable });
+            i += variable.length;
+        } else {
+            addText(char);
+            i++;
+        }
+    }
+    return parts;
+}
+
+// Parts of a string literal, or null for anything else
+function parseStringLiteral(text) {
+    if (/^"[\s\S]*"$/.test(text)) return parseDoubleQuoted(text);
+    if (/^'[\s\S]*'$/.test(text)) return [{ text: text.slice(1, -1).replace(/''/g, '\'') }];
+    return null;
+}
+
+// Values assigned to $name in the code, as { operator, value, index } with the value as written
+function findAssignments(code, name) {
+    const assignments = [];
+    const pattern = new RegExp(`(^|[\\n;{(])[ \\t]*\\$${name}[ \\t]*(\\+?=)(?!=)`, 'gi');
+    for (const match of code.matchAll(pattern)) {
+        const value = readArgument(code, match.index + match[0].length);
+        assignments.push({ operator: match[2], value: value.text, index: match.index });
+    }
+    return assignments;
+}
+
+// Assignments that reach a call: those since the previous REST call (e.g. both branches of an if),
+// otherwise the last one before the call, otherwise all of them (e.g. in a helper defined further down)
+function assignmentsReaching(assignments, window) {
+    if (!window) return assignments;
+    const inWindow = assignments.filter(a => a.index >= window.start && a.index < window.end);
+    if (inWindow.length > 0) return inWindow;
+    const before = assignments.filter(a => a.index < window.end);
+    return before.length > 0 ? before.slice(-1) : assignments;
+}
+
+// Parameter an expression passes on unchanged (apart from casts, ToString() and URL encoding), or null
+function directParameter(expression, fn) {
+    let text = expression.trim();
+    for (let previous = null; previous !== text;) {
+        previous = text;
+        if (/^[$@]\(/.test(text) && skipBrackets(text, 1) === text.length) text = text.slice(2, -1).trim();
+        text = text.replace(/^\[[A-Za-z0-9_.]+(\[\])?\]\s*(?=\$)/, '');
+        const encoded = /^\[(System\.)?(Uri|Web\.HttpUtility|Net\.WebUtility)\]::(EscapeDataString|UrlEncode)\(([\s\S]*)\)$/i.exec(text);
+        if (encoded && skipBrackets(text, text.indexOf('(')) === text.length) text = encoded[4].trim();
+        text = text.replace(/\.(ToString|ToLower|ToLowerInvariant|ToUpper|Trim)\(\)$/i, '');
+    }
+
+    const variable = /^\$([A-Za-z_][A-Za-z0-9_]*)$/.exec(text);
+    if (!variable) return null;
+    return fn.parameterNames.find(name => name.toLowerCase() === variable[1].toLowerCase()) || null;
+}
+
+// Alternatives of a URI string with local variables replaced by their string values.
+// Parameters become { parameter } parts, anything that cannot be followed { unresolved }.
+// window limits the assignments of the variables in the call itself (see assignmentsReaching).
+function resolveParts(parts, code, fn, window = null, depth = 0) {
+    let alternatives = [[]];
+    for (const part of parts) {
+        let options;
+        if (part.text !== undefined) {
+            options = [[part]];
+        } else if (directParameter(part.expr, fn)) {
+            options = [[{ parameter: directParameter(part.expr, fn) }]];
+        } else {
+            const variable = /^\$([A-Za-z_][A-Za-z0-9_]*)$/.exec(part.expr);
+            const values = variable && depth < MAX_RESOLVE_DEPTH
+                ? assignmentsReaching(findAssignments(code, variable[1]).filter(a => a.operator === '='), window).map(a => parseStringLiteral(a.value))
+                : [];
+            options = values.length > 0 && values.every(Boolean)
+                ? values.flatMap(value => resolveParts(value, code, fn, null, depth + 1))
+                : [[{ unresolved: part.expr }]];
+        }
+        alternatives = alternatives.flatMap(prefix => options.map(option => prefix.concat(option))).slice(0, MAX_URI_ALTERNATIVES);
+    }
+    return alternatives;
+}
+
+// ApiUri and query parameter sources of resolved URI parts, or { problem }
+function buildApiUri(parts) {
+    let uri = parts.map(part => {
+        if (part.text !== undefined) return part.text;
+        if (part.parameter) return `${PARAMETER_MARKER}${part.parameter}\u0000`;
+        return UNRESOLVED_MARKER;
+    }).join('');
+    // Base URLs handed into script blocks ($using:) are the portal
+    if (uri.startsWith(`${UNRESOLVED_MARKER}/apiproxy/`)) {
+        uri = DEFAULT_BASE_URL + uri.substring(UNRESOLVED_MARKER.length);
+    }
+    if (!API_BASE_PATTERN.test(uri)) {
+        return { problem: 'not a portal API URI' };
+    }
+
+    const queryStart = uri.indexOf('?');
+    const pathPart = queryStart === -1 ? uri : uri.slice(0, queryStart);
+    const queryPart = queryStart === -1 ? '' : uri.slice(queryStart + 1);
+
+    const base = API_BASE_PATTERN.exec(pathPart)[0];
+    const segments = [];
+    for (const segment of pathPart.slice(base.length).split('/')) {
+        const parameter = new RegExp(`^${PARAMETER_MARKER}([A-Za-z0-9_]+)\u0000$`).exec(segment);
+        if (parameter) {
+            segments.push(`{${parameter[1]}}`);
+        } else if (segment.includes('\u0000')) {
+            const unresolved = parts.filter(part => part.unresolved).map(part => part.unresolved);
+            return { problem: `a path segment comes from ${unresolved.join(', ') || 'a parameter with other text'}` };
+        } else {
+            segments.push(segment);
+        }
+    }
+
+    const query = {};
+    let queryResolved = true;
+    for (const pair of queryPart.split('&').filter(Boolean)) {
+        const [key, value = ''] = pair.split('=');
+        const parameter = new RegExp(`^${PARAMETER_MARKER}([A-Za-z0-9_]+)\u0000$`).exec(value);
+        if (parameter && /^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+            query[parameter[1]] = `query:${key}`;
+        } else if (pair.includes(UNRESOLVED_MARKER)) {
+            queryResolved = false;
+        }
+    }
+
+    return { apiUri: base + segments.join('/'), query: query, queryResolved: queryResolved };
+}
+
+// Query parameter sources from strings such as "pageSize=$PageSize" anywhere in the function,
+// for URIs whose query string is assembled from a list or appended piece by piece
+function scanQueryStrings(code, fn) {
+    const query = {};
+    let i = 0;
+    while (i < code.length) {
+        if (isStringStart(code, i)) {
+            const end = skipString(code, i);
+            const parts = code[i] === '"' ? parseDoubleQuoted(code.slice(i, end)) : [];
+            const pair = parts.length === 2 && parts[0].text !== undefined ? /^[?&]?([A-Za-z_][A-Za-z0-9_]*)=$/.exec(parts[0].text) : null;
+            const parameter = pair ? directParameter(parts[1].expr, fn) : null;
+            if (parameter && !query[parameter]) {
+                query[parameter] = `query:${pair[1]}`;
+            }
+            i = end;
+        } else {
+            i++;
+        }
+    }
+    return query;
+}
+
+// Body parameter sources of a hashtable literal such as @{ Name = $Name; Options = @{ Top = $Top } }
+function parseHashtable(text, prefix, fn, sources) {
+    const open = text.indexOf('@{');
+    if (open === -1) return;
+    const body = text.slice(open + 2, skipBrackets(text, open + 1) - 1);
+
+    let i = 0;
+    while (i < body.length) {
+        while (i < body.length && /[\s;]/.test(body[i])) i++;
+        if (i >= body.length) break;
+
+        let key;
+        if (body[i] === '"' || body[i] === '\'') {
+            const end = skipString(body, i);
+            key = body.slice(i + 1, end - 1);
+            i = end;
+        } else {
+            const word = /^[A-Za-z0-9_-]+/.exec(body.slice(i));
+            if (!word) {
+                i = i + readStatement(body, i).length + 1;
+                continue;
+            }
+            key = word[0];
+            i += key.length;
+        }
+
+        const assignment = /^\s*=\s*/.exec(body.slice(i));
+        if (!assignment) {
+            i = i + readStatement(body, i).length + 1;
+            continue;
+        }
+        i += assignment[0].length;
+
+        const value = readStatement(body, i);
+        i += value.length;
+        if (key.includes('.')) continue;
+        if (/^(\[[A-Za-z.]+\])?\s*@\{/.test(value.trim())) {
+            parseHashtable(value, `${prefix}${key}.`, fn, sources);
+            continue;
+        }
+        const parameter = directParameter(value, fn);
+        if (parameter && !sources[parameter]) sources[parameter] = `body.${prefix}${key}`;
+    }
+}
+
+// Body parameter sources of a -Body argument: the hashtable it is built from, followed through
+// variables and ConvertTo-Json, plus properties set on it afterwards ($body.Status = $Status)
+function findBodySources(argument, code, fn, sources = {}, depth = 0) {
+    if (!argument || depth > MAX_RESOLVE_DEPTH) return sources;
+    if (argument.includes('@{')) {
+        parseHashtable(argument, '', fn, sources);
+        return sources;
+    }
+
+    const variable = /\$([A-Za-z_][A-Za-z0-9_]*)/.exec(argument);
+    if (!variable || directParameter(`$${variable[1]}`, fn)) return sources;
+
+    for (const assignment of findAssignments(code, variable[1])) {
+        findBodySources(assignment.value, code, fn, sources, depth + 1);
+    }
+
+    const memberPattern = new RegExp(`\\$${variable[1]}(?:\\.([A-Za-z_][A-Za-z0-9_]*)|\\[['"]([A-Za-z0-9_]+)['"]\\])[ \\t]*=(?!=)`, 'gi');
+    for (const match of code.matchAll(memberPattern)) {
+        const parameter = directParameter(readArgument(code, match.index + match[0].length).text, fn);
+        if (parameter && !sources[parameter]) sources[parameter] = `body.${match[1] || match[2]}`;
+    }
+    const addPattern = new RegExp(`\\$${variable[1]}\\.Add\\(\\s*['"]([A-Za-z0-9_]+)['"]\\s*,`, 'gi');
+    for (const match of code.matchAll(addPattern)) {
+        const parameter = directParameter(readArgument(code, match.index + match[0].length).text, fn);
+        if (parameter && !sources[parameter]) sources[parameter] = `body.${match[1]}`;
+    }
+    return sources;
+}
+
+function resolveMethod(argument, code, fn, window) {
+    if (argument === undefined) return 'GET';
+    const literal = parseStringLiteral(argument);
+    let text = literal && literal.length === 1 && literal[0].text !== undefined ? literal[0].text : argument;
+    const variable = /^\$([A-Za-z_][A-Za-z0-9_]*)$/.exec(text || '');
+    if (variable && !directParameter(text, fn)) {
+        const values = assignmentsReaching(findAssignments(code, variable[1]), window).map(a => parseStringLiteral(a.value));
+        text = values.length === 1 && values[0] && values[0].length === 1 ? values[0][0].text : null;
+    }
+    const method = (text || '').toUpperCase();
+    return METHODS.includes(method) ? method : null;
+}
+
+// Mapping entries for the REST calls of one function, and the calls that could not be mapped
+function analyzeFunction(source, fn) {
+    const code = stripComments(source);
+    const entries = [];
+    const skipped = [];
+
+    let previousCall = 0;
+    for (const match of code.matchAll(REST_COMMAND_PATTERN)) {
+        const window = { start: previousCall, end: match.index };
+        previousCall = match.index;
+        const statement = readStatement(code, match.index + match[0].length);
+        const args = parseCommandArguments(statement);
+        const uriArgument = args.get('uri');
+        if (!uriArgument) {
+            skipped.push({ cmdlet: fn.name, reason: `${match[0]} without -Uri` });
+            continue;
+        }
+
+        const method = resolveMethod(args.get('method'), code, fn, window);
+        if (!method) {
+            skipped.push({ cmdlet: fn.name, reason: `-Method ${args.get('method')} cannot be resolved` });
+            continue;
+        }
+
+        const literal = parseStringLiteral(uriArgument);
+        const uriVariable = /^\$([A-Za-z_][A-Za-z0-9_]*)$/.exec(uriArgument);
+        const parts = literal || [{ expr: uriArgument }];
+        const appended = uriVariable && findAssignments(code, uriVariable[1]).some(a => a.operator === '+=');
+        const bodySources = findBodySources(args.get('body'), code, fn);
+
+        for (const resolved of resolveParts(parts, code, fn, window)) {
+            const uri = buildApiUri(resolved);
+            if (uri.problem) {
+                // Calls outside the API (such as the portal page itself) are no mapping candidates
+                if (uri.problem !== 'not a portal API URI' || resolved.some(part => part.unresolved)) {
+                    skipped.push({ cmdlet: fn.name, reason: `-Uri ${uriArgument}: ${uri.problem}` });
+                }
+                continue;
+            }
+
+            const querySources = uri.queryResolved && !appended ? uri.query : Object.assign(scanQueryStrings(code, fn), uri.query);
+            const placeholders = (uri.apiUri.match(/\{[^}]+\}/g) || []).map(p => p.slice(1, -1).toLowerCase());
+            const parameters = {};
+            for (const [name, sourcePath] of Object.entries(Object.assign({}, bodySources, querySources))) {
+                if (!placeholders.includes(name.toLowerCase())) parameters[name] = sourcePath;
+            }
+
+            const entry = { Cmdlet: fn.name, ApiUri: uri.apiUri, Method: method };
+            if (Object.keys(parameters).length > 0) entry.Parameters = parameters;
+            entries.push(entry);
+        }
+    }
+
+    return { entries: dedupeEntries(entries), skipped: skipped };
+}
+
+// Entries for the same cmdlet, method and path (e.g. from paging branches) become one
+function dedupeEntries(entries) {
+    const byKey = new Map();
+    for (const entry of entries) {
+        const key = `${entry.Cmdlet} ${entryKey(entry)}`;
+        const existing = byKey.get(key);
+        if (!existing) {
+            byKey.set(key, entry);
+        } else if (entry.Parameters) {
+            existing.Parameters = Object.assign({}, entry.Parameters, existing.Parameters);
+        }
+    }
+    return Array.from(byKey.values());
+}
+
+// Method and path template of an entry; placeholder names and case do not matter
+function entryKey(entry) {
+    const uri = entry.ApiUri.replace(/\/+$/, '').replace(/\{[^}]+\}/g, '{}').toLowerCase();
+    return `${entry.Method || '*'} ${uri}`;
+}
+
+function loadFunctionSources(root = FUNCTIONS_ROOT) {
+    const functions = new Map();
+    for (const file of fs.readdirSync(root).filter(name => name.endsWith('.ps1')).sort()) {
+        // Helper functions nested in a file are analysed as part of the function the file is named after
+        const source = readText(path.join(root, file));
+        const fn = parsePowerShellFunctions(source).get(path.basename(file, '.ps1').toLowerCase());
+        if (fn) functions.set(fn.name.toLowerCase(), Object.assign({ source: source }, fn));
+    }
+    return functions;
+}
+
+// Entries generated from every function. When several cmdlets call the same endpoint, a Get
+// cmdlet wins for GET and the other verbs for the rest; otherwise the endpoint is left to a hand-written entry.
+function generateEntries(functions) {
+    const candidates = new Map();
+    const skipped = [];
+    for (const fn of functions.values()) {
+        if (SKIPPED_FUNCTIONS.some(name => name.toLowerCase() === fn.name.toLowerCase())) continue;
+        const result = analyzeFunction(fn.source, fn);
+        skipped.push(...result.skipped);
+        for (const entry of result.entries) {
+            const key = entryKey(entry);
+            if (!candidates.has(key)) candidates.set(key, []);
+            candidates.get(key).push(entry);
+        }
+    }
+
+    const entries = [];
+    for (const group of candidates.values()) {
+        let chosen = group;
+        if (group.length > 1) {
+            const isGet = (entry) => /^Get-/i.test(entry.Cmdlet);
+            chosen = group.filter(entry => (entry.Method === 'GET') === isGet(entry));
+        }
+        if (chosen.length === 1) {
+            entries.push(chosen[0]);
+        } else {
+            skipped.push({ cmdlet: group.map(e => e.Cmdlet).join(', '), reason: `all call ${group[0].Method} ${group[0].ApiUri}` });
+        }
+    }
+    return { entries: entries, skipped: skipped };
+}
+
+// Merge generated entries into the mapping. Existing entries keep their place and their Parameters
+// (generated sources only fill in parameters they do not name); entries of removed cmdlets are dropped;
+// new entries go after the last entry of the same cmdlet, or at the end.
+function mergeMapping(mapping, generated, functions) {
+    const result = mapping.filter(entry => functions.has(String(entry.Cmdlet).toLowerCase()));
+    const removed = mapping.filter(entry => !result.includes(entry));
+    const added = [];
+    const updated = [];
+    const skipped = [];
+
+    for (const entry of generated) {
+        const same = result.find(existing => existing.Cmdlet.toLowerCase() === entry.Cmdlet.toLowerCase() && entryKey(existing) === entryKey(entry));
+        if (same) {
+            if (entry.Parameters) {
+                const named = Object.keys(same.Parameters || {}).map(name => name.toLowerCase());
+                const missing = Object.entries(entry.Parameters).filter(([name]) => !named.includes(name.toLowerCase()));
+                if (missing.length > 0) {
+                    same.Parameters = Object.assign({}, same.Parameters, Object.fromEntries(missing));
+                    updated.push(same);
+                }
+            }
+            continue;
+        }
+
+        const other = result.find(existing => existing.ApiUri && entriesOverlap(existing, entry));
+        if (other) {
+            if (other.Cmdlet.toLowerCase() !== entry.Cmdlet.toLowerCase()) {
+                skipped.push({ cmdlet: entry.Cmdlet, reason: `${entry.Method} ${entry.ApiUri} is mapped to ${other.Cmdlet}` });
+            }
+            continue;
+        }
+
+        let position = result.length;
+        result.forEach((existing, index) => {
+            if (existing.Cmdlet.toLowerCase() === entry.Cmdlet.toLowerCase()) position = index + 1;
+        });
+        result.splice(position, 0, entry);
+        added.push(entry);
+    }
+
+    // New entries must not make the mapping invalid (e.g. ambiguous with another entry)
+    for (let problems = validateMapping(result, functions); ; problems = validateMapping(result, functions)) {
+        const problem = problems.find(p => added.includes(result[p.index]));
+        if (!problem) break;
+        const entry = result[problem.index];
+        result.splice(problem.index, 1);
+        added.splice(added.indexOf(entry), 1);
+        skipped.push({ cmdlet: entry.Cmdlet, reason: `${entry.Method} ${entry.ApiUri}: ${problem.message}` });
+    }
+
+    return { mapping: result, added: added, updated: updated, removed: removed, skipped: skipped };
+}
+
+function formatMapping(mapping) {
+    return '﻿' + JSON.stringify(mapping, null, 4);
+}
+
+function updateMappingFile(options = {}) {
+    const file = options.file || MAPPING_FILE;
+    const functions = loadFunctionSources(options.functionsRoot);
+    const mapping = readMapping(file);
+    const generated = generateEntries(functions);
+    const merged = mergeMapping(mapping, generated.entries, functions);
+
+    const content = formatMapping(merged.mapping);
+    const changed = content !== fs.readFileSync(file, 'utf8');
+    if (changed && !options.check) {
+        fs.writeFileSync(file, content);
+    }
+    return Object.assign(merged, { file: file, changed: changed, skipped: generated.skipped.concat(merged.skipped) });
+}
+
+function main() {
+    const check = process.argv.includes('--check');
+    const result = updateMappingFile({ check: check });
+
+    for (const entry of result.added) console.log(`+ ${entry.Cmdlet}: ${entry.Method} ${entry.ApiUri}`);
+    for (const entry of result.updated) console.log(`~ ${entry.Cmdlet}: ${entry.Method} ${entry.ApiUri} (Parameters)`);
+    for (const entry of result.removed) console.log(`- ${entry.Cmdlet}: ${entry.Method || 'any'} ${entry.ApiUri} (cmdlet no longer exists)`);
+    for (const skip of result.skipped) console.log(`  skipped ${skip.cmdlet}: ${skip.reason}`);
+
+    if (!result.changed) {
+        console.log(`${result.file} is up to date (${result.mapping.length} entries)`);
+    } else if (check) {
+        console.error(`${result.file} is out of date, run node build/update-cmdlet-mapping.js`);
+        process.exitCode = 1;
+    } else {
+        console.log(`Updated ${result.file} (${result.mapping.length} entries)`);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { analyzeFunction, generateEntries, mergeMapping, updateMappingFile };
@@ -0,0 +1,256 @@
+﻿// Shared by the build scripts and the XDRay tests: parsePowerShellFunctions and validateMapping check
+// CmdletApiMapping.json against the XDRInternals functions (see tests/xdray/validate-mapping.js)
+
+const fs = require('fs');
+const path = require('path');
+const { mappingSpecificity } = require('../XDRay/matching');
+
+const XDRAY_ROOT = path.join(__dirname, '..', 'XDRay');
+const FUNCTIONS_ROOT = path.join(XDRAY_ROOT, '..', 'XDRInternals', 'functions');
+// MTO cmdlets call the multi-tenant portal, all others the portal itself
+const API_BASE_PATTERN = /^https:\/\/(mto\.)?security\.microsoft\.com\/apiproxy\//;
+const ALLOWED_KEYS = ['Cmdlet', 'ApiUri', 'Method', 'Query', 'Body', 'Parameters'];
+const ALLOWED_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const SOURCE_PATTERN = /^(body\.[^.]+(\.[^.]+)*|header:.+|path:.+|query:.+|fixed:.*)$/;
+const PLACEHOLDER_PATTERN = /^\{[A-Za-z][A-Za-z0-9]*\}$/;
+
+function readText(file) {
+    return fs.readFileSync(file, 'utf8').replace(/^﻿/, '');
+}
+
+function readMapping(file = path.join(XDRAY_ROOT, 'CmdletApiMapping.json')) {
+    return JSON.parse(readText(file));
+}
+
+// Split the text of a param ( ... ) block into its top-level declarations
+function splitParameterDeclarations(text) {
+    const declarations = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '\'' || char === '"') {
+            quote = char;
+        } else if ('([{'.includes(char)) {
+            depth++;
+        } else if (')]}'.includes(char)) {
+            depth--;
+        } else if (char === ',' && depth === 0) {
+            declarations.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    declarations.push(current);
+    return declarations.filter(d => d.trim());
+}
+
+// Parameter names and aliases of one declaration such as "[Alias('MachineId')] [string]$DeviceId = 'x'"
+function parseParameterDeclaration(declaration) {
+    // Drop attributes and the default value, what is left is the variable
+    let depth = 0;
+    let outside = '';
+    for (const char of declaration) {
+        if (char === '=' && depth === 0) break;
+        if ('([{'.includes(char)) depth++;
+        if (depth === 0) outside += char;
+        if (')]}'.includes(char)) depth--;
+    }
+
+    const variable = /\$([A-Za-z_][A-Za-z0-9_]*)/.exec(outside);
+    if (!variable) return [];
+
+    const names = [variable[1]];
+    for (const alias of declaration.matchAll(/\[Alias\(([^)]*)\)\]/gi)) {
+        names.push(...Array.from(alias[1].matchAll(/['"]([^'"]+)['"]/g), m => m[1]));
+    }
+    return names;
+}
+
+// Map of function name -> { name, parameters: Set of lower-case parameter names and aliases,
+// parameterNames: declared parameter names as written }, from the ps1 sources
+function parsePowerShellFunctions(source) {
+    const functions = new Map();
+    const code = source.replace(/<#[\s\S]*?#>/g, '').replace(/^\s*#.*$/gm, '');
+
+    for (const match of code.matchAll(/^\s*function\s+([A-Za-z]+-[A-Za-z0-9]+)\s*\{/gim)) {
+        const parameters = new Set();
+        const parameterNames = [];
+        const paramStart = /\bparam\s*\(/i.exec(code.substring(match.index + match[0].length));
+        if (paramStart) {
+            // Find the closing parenthesis of the param block
+            const start = match.index + match[0].length + paramStart.index + paramStart[0].length;
+            let depth = 1;
+            let end = start;
+            let quote = null;
+            for (; end < code.length && depth > 0; end++) {
+                const char = code[end];
+                if (quote) {
+                    if (char === quote) quote = null;
+                } else if (char === '\'' || char === '"') {
+                    quote = char;
+                } else if (char === '(') {
+                    depth++;
+                } else if (char === ')') {
+                    depth--;
+                }
+            }
+            for (const declaration of splitParameterDeclarations(code.substring(start, end - 1))) {
+                const names = parseParameterDeclaration(declaration);
+                names.forEach(name => parameters.add(name.toLowerCase()));
+                if (names.length > 0) parameterNames.push(names[0]);
+            }
+        }
+        functions.set(match[1].toLowerCase(), { name: match[1], parameters: parameters, parameterNames: parameterNames });
+    }
+
+    return functions;
+}
+
+function loadFunctions(root = FUNCTIONS_ROOT) {
+    const functions = new Map();
+    const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                walk(fullPath);
+            } else if (entry.name.endsWith('.ps1')) {
+                parsePowerShellFunctions(readText(fullPath)).forEach((value, key) => functions.set(key, value));
+            }
+        }
+    };
+    walk(root);
+    return functions;
+}
+
+// Path of an ApiUri below /apiproxy, without a trailing slash, as written (braces not encoded)
+function mappingPath(apiUri) {
+    return apiUri.replace(API_BASE_PATTERN, '/').split(/[?#]/)[0].replace(/\/+$/, '');
+}
+
+function placeholders(apiUri) {
+    return mappingPath(apiUri).split('/').filter(s => PLACEHOLDER_PATTERN.test(s)).map(s => s.slice(1, -1));
+}
+
+// Could one URL path match both templates? Placeholders match any literal, literals compare case-insensitively
+function pathsOverlap(a, b) {
+    const segmentsA = mappingPath(a).split('/');
+    const segmentsB = mappingPath(b).split('/');
+    return segmentsA.length === segmentsB.length && segmentsA.every((segment, i) => {
+        const other = segmentsB[i];
+        return PLACEHOLDER_PATTERN.test(segment) || PLACEHOLDER_PATTERN.test(other) || segment.toLowerCase() === other.toLowerCase();
+    });
+}
+
+// Discriminators exclude each other when both require different values for the same key
+function discriminatorsOverlap(a, b, compare) {
+    const keysB = Object.keys(b || {});
+    return Object.entries(a || {}).every(([key, expected]) => {
+        const otherKey = keysB.find(k => k.toLowerCase() === key.toLowerCase());
+        if (otherKey === undefined || expected === null || b[otherKey] === null) return true;
+        return compare(expected, b[otherKey]);
+    });
+}
+
+function entriesOverlap(a, b) {
+    if (a.Method && b.Method && a.Method.toUpperCase() !== b.Method.toUpperCase()) return false;
+    if (!pathsOverlap(a.ApiUri, b.ApiUri)) return false;
+    if (!discriminatorsOverlap(a.Query, b.Query, (x, y) => String(x).toLowerCase() === String(y).toLowerCase())) return false;
+    return discriminatorsOverlap(a.Body, b.Body, (x, y) => JSON.stringify(x) === JSON.stringify(y));
+}
+
+// Validate the mapping entries. The ambiguity check ranks entries with the panel's mappingSpecificity.
+// Returns a list of { index, cmdlet, message }.
+function validateMapping(mapping, functions) {
+    const problems = [];
+    const report = (index, message) => problems.push({ index: index, cmdlet: mapping[index] && mapping[index].Cmdlet, message: message });
+
+    if (!Array.isArray(mapping)) {
+        return [{ index: -1, cmdlet: null, message: 'The mapping file must contain a JSON array' }];
+    }
+
+    mapping.forEach((entry, index) => {
+        for (const key of Object.keys(entry)) {
+            if (!ALLOWED_KEYS.includes(key)) report(index, `Unknown key '${key}'`);
+        }
+        if (typeof entry.Cmdlet !== 'string' || !entry.Cmdlet) {
+            report(index, 'Cmdlet is missing');
+            return;
+        }
+        if (typeof entry.ApiUri !== 'string' || !API_BASE_PATTERN.test(entry.ApiUri)) {
+            report(index, 'ApiUri must start with https://security.microsoft.com/apiproxy/ or https://mto.security.microsoft.com/apiproxy/');
+            return;
+        }
+        if (/[?#]/.test(entry.ApiUri)) {
+            report(index, 'ApiUri must not contain a query string or fragment, use Query discriminators instead');
+        }
+        if (entry.Method !== undefined && !ALLOWED_METHODS.includes(entry.Method)) {
+            report(index, `Method '${entry.Method}' is not one of ${ALLOWED_METHODS.join(', ')}`);
+        }
+
+        const names = [];
+        for (const segment of mappingPath(entry.ApiUri).split('/')) {
+            if (!/[{}]/.test(segment)) continue;
+            if (!PLACEHOLDER_PATTERN.test(segment)) {
+                report(index, `Malformed placeholder segment '${segment}', expected {Name} spanning the whole segment`);
+            } else if (names.includes(segment.toLowerCase())) {
+                report(index, `Placeholder ${segment} is used more than once`);
+            } else {
+                names.push(segment.toLowerCase());
+            }
+        }
+
+        const fn = functions.get(entry.Cmdlet.toLowerCase());
+        if (!fn) {
+            report(index, `Cmdlet ${entry.Cmdlet} does not exist under XDRInternals/functions`);
+        }
+
+        const parameters = entry.Parameters || {};
+        const explicit = Object.keys(parameters).map(name => name.toLowerCase());
+        for (const [name, source] of Object.entries(parameters)) {
+            if (typeof source !== 'string' || !SOURCE_PATTERN.test(source)) {
+                report(index, `Parameter ${name} has an invalid source '${source}'`);
+            } else if (source.startsWith('path:') && !placeholders(entry.ApiUri).includes(source.substring(5))) {
+                report(index, `Parameter ${name} reads {${source.substring(5)}}, which is not a placeholder of the ApiUri`);
+            }
+            if (fn && !fn.parameters.has(name.toLowerCase())) {
+                report(index, `Parameter ${name} does not exist on ${fn.name}`);
+            }
+        }
+
+        // Placeholders bind to the parameter of the same name unless Parameters declares that name
+        for (const name of placeholders(entry.ApiUri)) {
+            if (fn && !explicit.includes(name.toLowerCase()) && !fn.parameters.has(name.toLowerCase())) {
+                report(index, `Placeholder {${name}} binds to -${name}, which does not exist on ${fn.name}`);
+            }
+        }
+    });
+
+    for (let i = 0; i < mapping.length; i++) {
+        for (let j = i + 1; j < mapping.length; j++) {
+            const a = mapping[i];
+            const b = mapping[j];
+            if (!a.ApiUri || !b.ApiUri || !API_BASE_PATTERN.test(a.ApiUri) || !API_BASE_PATTERN.test(b.ApiUri)) continue;
+            if (entriesOverlap(a, b) && mappingSpecificity(a) === mappingSpecificity(b)) {
+                report(j, `Ambiguous with entry #${i} (${a.Cmdlet}): both match ${b.Method || 'any method'} ${mappingPath(b.ApiUri)} with the same specificity, file order decides`);
+            }
+        }
+    }
+
+    return problems;
+}
+
+module.exports = {
+    XDRAY_ROOT,
+    FUNCTIONS_ROOT,
+    readText,
+    readMapping,
+    parsePowerShellFunctions,
+    loadFunctions,
+    validateMapping,
+    entriesOverlap
+};
@@ -0,0 +1,49 @@
+﻿// Checks how the background script hands captured request bodies to the panel
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { loadBackground } = require('./harness');
+
+const BODY_URL = 'https://security.microsoft.com/apiproxy/mtp/huntingService/queryExecutor';
+const START = Date.parse('2024-01-01T00:00:00.000Z');
+
+const capture = (background, requestId, body, startTime) => background.beforeRequest({
+    requestId: requestId,
+    url: BODY_URL,
+    method: 'POST',
+    requestBody: { raw: [{ bytes: new TextEncoder().encode(body) }] },
+    timeStamp: startTime
+});
+
+const ask = (background, startTime) => background.getRequestBody({
+    url: BODY_URL,
+    method: 'POST',
+    startedDateTime: new Date(startTime).toISOString(),
+    headers: {}
+});
+
+test('a single candidate that started close to the entry is a unique match', () => {
+    const background = loadBackground();
+    capture(background, '1', '{"QueryText":"a"}', START);
+    const response = ask(background, START + 100);
+    assert.strictEqual(response.body, '{"QueryText":"a"}');
+    assert.strictEqual(response.match, 'unique');
+    // A claimed body is not handed out again
+    assert.strictEqual(ask(background, START + 100).success, false);
+});
+
+test('a single stale candidate is not attached to the request', () => {
+    const background = loadBackground();
+    capture(background, '1', '{"QueryText":"stale"}', START);
+    assert.strictEqual(ask(background, START + 60 * 1000).success, false);
+
+    // It stays unclaimed for the request it belongs to
+    assert.strictEqual(ask(background, START).match, 'unique');
+});
+
+test('candidates that are all stale are not used', () => {
+    const background = loadBackground();
+    capture(background, '1', '{"QueryText":"a"}', START);
+    capture(background, '2', '{"QueryText":"b"}', START + 10);
+    assert.strictEqual(ask(background, START + 60 * 1000).success, false);
+});
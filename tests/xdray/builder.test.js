@@ -0,0 +1,67 @@
+﻿// Checks how the script builder chains values from earlier responses into later requests
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { loadPanel } = require('./harness');
+
+const API = 'https://security.microsoft.com/apiproxy';
+const DEVICE_ID = 'a1b2c3d4e5f6a7b8c9d0';
+
+function captureChain(panel) {
+    return [
+        panel.captureRequest({ method: 'GET', url: `${API}/mtp/widgets/list`, response: { results: [{ IncidentId: 12345, 'Device Id': DEVICE_ID }] } }),
+        panel.captureRequest({ method: 'GET', url: `${API}/mtp/incidentQueue/incidents/12345`, response: { IncidentId: 12345 } }),
+        panel.captureRequest({ method: 'POST', url: `${API}/mtp/widgets/${DEVICE_ID}/run?incident=12345`, body: { DeviceIds: [DEVICE_ID] } })
+    ];
+}
+
+test('values of an earlier response become variables of later requests', () => {
+    const panel = loadPanel();
+    const steps = panel.planScriptChain(captureChain(panel));
+
+    assert.strictEqual(steps[0].resultVariable, 'response');
+    assert.deepStrictEqual(Array.from(steps[0].assignments, a => `${a.name} = ${a.expression}`), [
+        'IncidentId = $response.results[0].IncidentId',
+        'WidgetId = $response.results[0]."Device Id"'
+    ]);
+    // Step 2 returns 12345 as well, but the value is already bound to $IncidentId
+    assert.strictEqual(steps[1].resultVariable, null);
+    assert.deepStrictEqual(Array.from(steps[2].variables, ([value, name]) => `${value} -> ${name}`), ['12345 -> IncidentId', `${DEVICE_ID} -> WidgetId`]);
+});
+
+test('the script binds the variables in cmdlet parameters, URIs and bodies', () => {
+    const panel = loadPanel();
+    const lines = panel.buildChainedScript(captureChain(panel)).split('\n');
+
+    assert.ok(lines.includes('$response = Invoke-XdrRestMethod -Uri "https://security.microsoft.com/apiproxy/mtp/widgets/list" -Method GET'));
+    assert.ok(lines.includes('$IncidentId = $response.results[0].IncidentId'));
+    assert.ok(lines.includes('Get-XdrIncident -IncidentId $IncidentId'));
+    assert.ok(lines.includes('    DeviceIds = @($WidgetId)'));
+    assert.ok(lines.includes('Invoke-XdrRestMethod -Uri "https://security.microsoft.com/apiproxy/mtp/widgets/$($WidgetId)/run?incident=$($IncidentId)" -Method POST -Body ($body | ConvertTo-Json -Depth 10)'));
+});
+
+test('values no earlier response returned stay literals', () => {
+    const panel = loadPanel();
+    const [list] = captureChain(panel);
+    const missing = panel.captureRequest({ method: 'GET', url: `${API}/mtp/incidentQueue/incidents/99999` });
+    // A later response does not feed an earlier request
+    const later = panel.captureRequest({ method: 'GET', url: `${API}/mtp/widgets/other`, response: { IncidentId: 99999 } });
+
+    const steps = panel.planScriptChain([list, missing, later]);
+    assert.deepStrictEqual(Array.from(steps, step => step.assignments.length), [0, 0, 0]);
+    assert.strictEqual(steps[1].variables.size, 0);
+
+    const script = panel.buildChainedScript([list, missing, later]);
+    assert.ok(script.split('\n').includes('Get-XdrIncident -IncidentId 99999'));
+    assert.doesNotMatch(script, /\$IncidentId/);
+});
+
+test('short strings, small numbers and redacted values are not chained', () => {
+    const panel = loadPanel();
+    assert.strictEqual(panel.isChainableValue(12345), true);
+    assert.strictEqual(panel.isChainableValue(42), false);
+    assert.strictEqual(panel.isChainableValue('abc'), false);
+    assert.strictEqual(panel.isChainableValue('a1b2c3d4e5f6a7b8c9d0'), true);
+    assert.strictEqual(panel.isChainableValue('<redacted>'), false);
+    assert.strictEqual(panel.isChainableValue('Enabled'), false);
+});
@@ -0,0 +1,19 @@
+﻿// Checks the coverage report and the mapping stubs it suggests
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { loadPanel } = require('./harness');
+
+test('stubs keep the host of the captured requests', () => {
+    const panel = loadPanel([]);
+    const report = panel.buildCoverageReport([
+        { cmdlet: 'Invoke-XdrRestMethod', method: 'GET', url: 'https://security.microsoft.com/apiproxy/mtp/widgets/123', body: null },
+        { cmdlet: 'Invoke-XdrRestMethod', method: 'GET', url: 'https://mto.security.microsoft.com/apiproxy/mtp/widgets/456', body: null },
+        { cmdlet: 'Invoke-XdrRestMethod', method: 'GET', url: 'https://mto.security.microsoft.com/apiproxy/mtp/widgets/789?top=5', body: null }
+    ]);
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(report.map(group => [group.hits, panel.createMappingStubs(group)]))), [
+        [2, [{ Cmdlet: 'Get-XdrMtpWidget', ApiUri: 'https://mto.security.microsoft.com/apiproxy/mtp/widgets/{WidgetId}', Method: 'GET' }]],
+        [1, [{ Cmdlet: 'Get-XdrMtpWidget', ApiUri: 'https://security.microsoft.com/apiproxy/mtp/widgets/{WidgetId}', Method: 'GET' }]]
+    ]);
+});
@@ -0,0 +1,60 @@
+﻿// Checks the structural JSON diff behind the compare action
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { loadPanel } = require('./harness');
+
+const API = 'https://security.microsoft.com/apiproxy';
+
+const describe = (panel, before, after) => Array.from(panel.diffJson(before, after), change => panel.describeChange(change));
+
+test('objects are compared key by key', () => {
+    const panel = loadPanel();
+    assert.deepStrictEqual(describe(panel,
+        { a: 1, nested: { on: false, keep: 'x' }, gone: 'y', 'odd key': 1 },
+        { a: 1, nested: { on: true, keep: 'x' }, added: [1], 'odd key': 2 }), [
+        '~ nested.on: false → true',
+        '- gone: "y"',
+        '~ ["odd key"]: 1 → 2',
+        '+ added: [1]'
+    ]);
+    assert.deepStrictEqual(describe(panel, { a: [1, 2] }, { a: [1, 2] }), []);
+    assert.deepStrictEqual(describe(panel, 'x', 'y'), ['~ (root): "x" → "y"']);
+});
+
+test('arrays are matched by an identity key when every item has one', () => {
+    const panel = loadPanel();
+    assert.deepStrictEqual(describe(panel,
+        [{ Name: 'AutoResolve', Enabled: false }, { Name: 'Tamper', Enabled: true }],
+        [{ Name: 'Tamper', Enabled: true }, { Name: 'AutoResolve', Enabled: true }, { Name: 'New', Enabled: false }]), [
+        '~ [Name="AutoResolve"].Enabled: false → true',
+        '+ [Name="New"]: {"Name":"New","Enabled":false}'
+    ]);
+    assert.deepStrictEqual(describe(panel, [1, 2, 3], [1, 5]), ['~ [1]: 2 → 5', '- [2]: 3']);
+});
+
+test('captures are compared by query string, body and response', () => {
+    const panel = loadPanel();
+    const capture = (url, body, response) => panel.captureRequest({
+        method: 'POST', url: `${API}${url}`, body: body, response: response
+    });
+
+    const before = capture('/mtp/settings/SaveAdvancedFeaturesSetting?x=1', { AutoResolveInvestigatedAlerts: false }, { ok: true });
+    const after = capture('/mtp/settings/SaveAdvancedFeaturesSetting?x=2', { AutoResolveInvestigatedAlerts: true }, { ok: true });
+    const comparison = panel.compareCaptures(before, after);
+
+    assert.strictEqual(comparison.sameEndpoint, true);
+    assert.strictEqual(panel.formatComparison(comparison), [
+        '# Query string',
+        '~ x: "1" → "2"',
+        '',
+        '# Request body',
+        '~ AutoResolveInvestigatedAlerts: false → true',
+        '',
+        '# Response',
+        '(no differences)'
+    ].join('\n'));
+
+    const other = capture('/mtp/settings/SavePreviewExperienceSetting', { IsOptIn: true });
+    assert.strictEqual(panel.compareCaptures(before, other).sameEndpoint, false);
+});
@@ -0,0 +1,85 @@
+﻿// Checks the response shapes and drift report behind the drift view
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { loadPanel } = require('./harness');
+
+const API = 'https://security.microsoft.com/apiproxy';
+
+const compare = (panel, samples, value) => {
+    const shape = samples.reduce((node, sample) => panel.mergeShape(node, sample), undefined);
+    return Array.from(panel.compareShape(shape, value), change => panel.describeDrift(Object.assign({ section: 'response' }, change)));
+};
+
+test('shapes report added, removed and retyped fields', () => {
+    const panel = loadPanel();
+    assert.deepStrictEqual(compare(panel,
+        [{ Id: 1, Name: 'a', Tags: ['x'], Note: 'n' }, { Id: 2, Name: null, Tags: [] }],
+        { Id: '3', Name: 'c', Tags: [1], Extra: { On: true } }), [
+        '~ response: Id: number → string',
+        '~ response: Tags[]: string → number',
+        '+ response: Extra (object)'
+    ]);
+    // Note was optional, Name may be null and Tags may be empty
+    assert.deepStrictEqual(compare(panel, [{ Id: 1, Name: 'a', Tags: ['x'] }], { Id: 2, Name: null, Tags: [] }), []);
+    assert.deepStrictEqual(compare(panel, [{ Id: 1, Name: 'a' }], { Name: 'b' }), ['- response: Id (number)']);
+});
+
+test('keys that are identifiers share one field', () => {
+    const panel = loadPanel();
+    const tenant = '72f988bf-86f1-41af-91ab-2d7cd011db47';
+    assert.deepStrictEqual(compare(panel,
+        [{ byTenant: { [tenant]: { Enabled: true } } }],
+        { byTenant: { '0c0bbab5-8ef0-4c6b-b9c7-d5b0c0a7c0fa': { Enabled: false }, 12345: { Enabled: 'yes' } } }), [
+        '~ response: byTenant.{}.Enabled: boolean → string'
+    ]);
+});
+
+test('captures of mapped endpoints are learned and then compared', () => {
+    const panel = loadPanel();
+    const url = `${API}/mtp/settings/GetAdvancedFeaturesSetting`;
+    const capture = (query, response, status) => panel.captureRequest({ method: 'GET', url: url + query, response: response, status: status });
+
+    for (let i = 0; i < panel.evaluate('DRIFT_LEARNING_SAMPLES'); i++) {
+        capture('?_=1', { AutoResolveInvestigatedAlerts: true, EnableWdavAuditMode: false });
+    }
+    capture('', { Error: 'Forbidden' }, 403);
+    let report = panel.buildDriftReport(panel.evaluate('driftBaselines'), panel.evaluate('capturedRequests'));
+    assert.deepStrictEqual([report.cmdlets.length, report.checked, report.learning], [0, 1, 0]);
+
+    capture('?_=2&tenantIds=1', { AutoResolveInvestigatedAlerts: 'On', NewSwitch: false });
+    const requests = panel.evaluate('capturedRequests');
+    report = panel.buildDriftReport(panel.evaluate('driftBaselines'), requests);
+    assert.deepStrictEqual(Array.from(report.cmdlets, group => group.cmdlet), ['Get-XdrEndpointConfigurationAdvancedFeatures']);
+    assert.strictEqual(panel.formatDriftReport(report), [
+        '# XDRay Drift Report',
+        '',
+        '## Get-XdrEndpointConfigurationAdvancedFeatures',
+        '',
+        `GET ${url}`,
+        '',
+        '```',
+        '+ query: tenantIds (new parameter, the cmdlet may have to send it)',
+        '~ response: AutoResolveInvestigatedAlerts: boolean → string',
+        '+ response: NewSwitch (boolean)',
+        '- response: EnableWdavAuditMode (boolean)',
+        '```',
+        ''
+    ].join('\n'));
+
+    // Accepted drift is part of the baseline from then on
+    panel.acceptDrift(panel.evaluate('driftBaselines'), report.cmdlets[0].endpoints[0].requests);
+    assert.strictEqual(panel.buildDriftReport(panel.evaluate('driftBaselines'), requests).cmdlets.length, 0);
+});
+
+test('baseline files are exported and imported', () => {
+    const panel = loadPanel();
+    panel.captureRequest({ method: 'GET', url: `${API}/mtp/settings/GetAdvancedFeaturesSetting`, response: { On: true } });
+    const exported = JSON.parse(JSON.stringify(panel.exportDriftBaselines(panel.evaluate('driftBaselines'))));
+    assert.strictEqual(Object.keys(exported.baselines).length, 1);
+
+    const result = panel.importDriftBaselines({ broken: { cmdlet: 'Get-XdrX' } }, exported);
+    assert.deepStrictEqual(Array.from(Object.keys(result.baselines)), Object.keys(exported.baselines));
+    assert.strictEqual(result.imported, 1);
+    assert.throws(() => panel.importDriftBaselines({}, { format: 'XDRay.Session' }), /Not an XDRay baseline file/);
+});
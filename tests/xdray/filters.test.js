@@ -0,0 +1,80 @@
+﻿// Checks the filters and grouping of the request list
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { loadPanel } = require('./harness');
+
+const API = 'https://security.microsoft.com/apiproxy';
+const TENANT = 'aaaaaaaa-0000-0000-0000-000000000001';
+
+function captureAll(panel) {
+    return [
+        panel.captureRequest({ method: 'GET', url: `${API}/mtp/incidentQueue/incidents/12345`, headers: { 'x-tid': TENANT } }),
+        panel.captureRequest({ method: 'POST', url: `${API}/mtp/huntingService/queries/encode`, body: { QueryText: 'DeviceInfo | take 10' } }),
+        panel.captureRequest({ method: 'GET', url: `${API}/aatp/api/sensors?top=5` }),
+        panel.captureRequest({ method: 'post', url: `${API}/radius/api/widgets`, body: { Name: 'Contoso' } })
+    ];
+}
+
+const filtered = (panel, requests, values) => {
+    const filter = Object.assign(panel.createRequestFilter(), values);
+    return requests.filter(data => panel.matchesRequestFilter(data, filter)).map(data => new URL(data.url).pathname.replace('/apiproxy', ''));
+};
+
+test('each filter narrows the list on its own', () => {
+    const panel = loadPanel();
+    const requests = captureAll(panel);
+
+    assert.strictEqual(filtered(panel, requests, {}).length, 4);
+    assert.deepStrictEqual(filtered(panel, requests, { method: 'POST' }), ['/mtp/huntingService/queries/encode', '/radius/api/widgets']);
+    assert.deepStrictEqual(filtered(panel, requests, { mapping: 'unmapped' }), ['/aatp/api/sensors', '/radius/api/widgets']);
+    assert.deepStrictEqual(filtered(panel, requests, { mapping: 'mapped' }), ['/mtp/incidentQueue/incidents/12345', '/mtp/huntingService/queries/encode']);
+    assert.deepStrictEqual(filtered(panel, requests, { cmdlet: 'incident' }), ['/mtp/incidentQueue/incidents/12345']);
+    assert.deepStrictEqual(filtered(panel, requests, { tenant: TENANT }), ['/mtp/incidentQueue/incidents/12345']);
+});
+
+test('text searches the URL and the payload, case-insensitively', () => {
+    const panel = loadPanel();
+    const requests = captureAll(panel);
+
+    assert.deepStrictEqual(filtered(panel, requests, { text: 'TOP=5' }), ['/aatp/api/sensors']);
+    assert.deepStrictEqual(filtered(panel, requests, { text: 'deviceinfo' }), ['/mtp/huntingService/queries/encode']);
+    assert.deepStrictEqual(filtered(panel, requests, { text: 'no such value' }), []);
+});
+
+test('filters combine: a request must pass all of them', () => {
+    const panel = loadPanel();
+    const requests = captureAll(panel);
+
+    assert.deepStrictEqual(filtered(panel, requests, { method: 'POST', mapping: 'unmapped' }), ['/radius/api/widgets']);
+    assert.deepStrictEqual(filtered(panel, requests, { method: 'POST', text: 'contoso' }), ['/radius/api/widgets']);
+    assert.deepStrictEqual(filtered(panel, requests, { method: 'GET', text: 'contoso' }), []);
+    assert.deepStrictEqual(filtered(panel, requests, { mapping: 'mapped', cmdlet: 'huntingquery', text: 'take 10' }), ['/mtp/huntingService/queries/encode']);
+
+    assert.strictEqual(panel.isFilterActive(panel.createRequestFilter()), false);
+    assert.strictEqual(panel.isFilterActive(Object.assign(panel.createRequestFilter(), { groupBy: 'cmdlet' })), false);
+    assert.strictEqual(panel.isFilterActive(Object.assign(panel.createRequestFilter(), { text: 'x' })), true);
+});
+
+test('text matches the displayed values, so redacted values are not found', () => {
+    const panel = loadPanel();
+    const data = panel.captureRequest({ method: 'POST', url: `${API}/mtp/users/search`, body: { upn: 'john@contoso.com' } });
+    const filter = Object.assign(panel.createRequestFilter(), { text: 'john@' });
+
+    assert.strictEqual(panel.matchesRequestFilter(data, filter), true);
+    assert.strictEqual(panel.matchesRequestFilter(panel.displayData(data), filter), false);
+});
+
+test('requests group by cmdlet or service in capture order', () => {
+    const panel = loadPanel();
+    const requests = captureAll(panel);
+
+    const services = panel.groupRequests(requests, 'service');
+    assert.deepStrictEqual(Array.from(services, group => `${group.name}: ${group.requests.length}`), [
+        'aatp: 1', 'mtp/huntingService: 1', 'mtp/incidentQueue: 1', 'radius: 1'
+    ]);
+
+    const cmdlets = panel.groupRequests(requests, 'cmdlet');
+    const unmapped = cmdlets.find(group => group.name === 'Invoke-XdrRestMethod');
+    assert.deepStrictEqual(Array.from(unmapped.requests, data => data.url), [requests[2].url, requests[3].url]);
+});
@@ -0,0 +1,36 @@
+﻿// Runs every fixture in ./fixtures through processRequest and generatePowerShellCode.
+// A fixture holds the request as DevTools and the background script would report it and the
+// expected cmdlet, path parameters and generated code (one array item per line). Optional
+// targets hold the expected output of other code generators, keyed by generator ID.
+
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const { readText, loadPanel } = require('./harness');
+
+const FIXTURES_ROOT = path.join(__dirname, 'fixtures');
+
+for (const file of fs.readdirSync(FIXTURES_ROOT).filter(name => name.endsWith('.json')).sort()) {
+    const fixture = JSON.parse(readText(path.join(FIXTURES_ROOT, file)));
+
+    test(`${file}: ${fixture.name}`, () => {
+        const panel = loadPanel();
+        const captured = panel.captureRequest(fixture.request);
+
+        assert.strictEqual(captured.cmdlet, fixture.expected.cmdlet);
+        if (fixture.expected.pathParameters) {
+            assert.deepStrictEqual({ ...captured.pathParameters }, fixture.expected.pathParameters);
+        }
+        if (fixture.expected.bodyMatch) {
+            assert.strictEqual(captured.bodyMatch, fixture.expected.bodyMatch);
+        }
+        assert.strictEqual(panel.generatePowerShellCode(captured), fixture.expected.code.join('\n'));
+
+        for (const [id, lines] of Object.entries(fixture.expected.targets || {})) {
+            const generator = panel.getCodeGenerator(id);
+            assert.strictEqual(generator.id, id, `unknown code generator ${id}`);
+            assert.strictEqual(generator.generate(captured), lines.join('\n'), `target ${id}`);
+        }
+    });
+}
@@ -0,0 +1,17 @@
+﻿// Checks the setup the code targets share across the requests of a saved script
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { loadPanel } = require('./harness');
+
+test('the Python session sends its cookies to both portal hosts', () => {
+    const panel = loadPanel();
+    const preamble = panel.getCodeGenerator('python').preamble;
+    for (const line of [
+        'for host in ("security.microsoft.com", "mto.security.microsoft.com"):',
+        '    session.cookies.set("sccauth", SCCAUTH, domain=host)',
+        '    session.cookies.set("XSRF-TOKEN", XSRF_TOKEN, domain=host)'
+    ]) {
+        assert.ok(preamble.split('\n').includes(line), line);
+    }
+});
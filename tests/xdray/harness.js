@@ -0,0 +1,163 @@
+﻿// Test helpers for the XDRay scripts:
+// - loadPanel runs the XDRay panel scripts in a Node VM, with just enough of the DevTools,
+//   extension and DOM APIs stubbed for the mapping and code generation to run
+// - loadBackground runs the background script with its listeners recorded
+// The mapping file helpers are shared with the build scripts (build/xdray-mapping.js).
+
+const path = require('path');
+const vm = require('vm');
+const { XDRAY_ROOT, readText, readMapping } = require('../../build/xdray-mapping');
+
+// Stand-in for the DOM elements the panel creates; records nothing, only keeps the calls from failing
+class FakeElement {
+    constructor() {
+        this.style = {};
+        this.dataset = {};
+        this.options = [];
+        this.children = [];
+        this.firstChild = null;
+        this.textContent = '';
+        this.value = '';
+        this.className = '';
+        this.classList = { add() { }, remove() { }, toggle() { }, contains() { return false; } };
+    }
+
+    appendChild(child) { this.children.push(child); return child; }
+    insertBefore(child) { this.children.unshift(child); return child; }
+    replaceWith() { }
+    remove() { }
+    addEventListener() { }
+    setAttribute() { }
+    click() { }
+    querySelector() { return new FakeElement(); }
+    querySelectorAll() { return []; }
+}
+
+// Elements the panel starts hidden (coverage view, settings, ...) must report display: none
+function createDocument(html) {
+    const elements = new Map();
+    const hidden = new Set(Array.from(html.matchAll(/id="([^"]+)"[^>]*style="display: none;?"/g), m => m[1]));
+
+    return {
+        body: new FakeElement(),
+        createElement: () => new FakeElement(),
+        addEventListener() { },
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        getElementById(id) {
+            if (!elements.has(id)) {
+                const element = new FakeElement();
+                if (hidden.has(id)) element.style.display = 'none';
+                elements.set(id, element);
+            }
+            return elements.get(id);
+        }
+    };
+}
+
+// Load the scripts of panel.html in order. The mapping is injected directly instead of fetched.
+// Returns the VM context; top-level functions are properties of it, let/const globals are
+// reachable through context.evaluate('name').
+function loadPanel(mapping = readMapping()) {
+    const html = readText(path.join(XDRAY_ROOT, 'panel.html'));
+    const pendingBodies = [];
+
+    const context = {
+        console: console,
+        URL: URL,
+        URLSearchParams: URLSearchParams,
+        TextEncoder: TextEncoder,
+        TextDecoder: TextDecoder,
+        atob: atob,
+        btoa: btoa,
+        // Timers only batch UI and storage work, which the tests do not need
+        setTimeout: () => 0,
+        clearTimeout: () => { },
+        fetch: () => new Promise(() => { }),
+        document: createDocument(html),
+        navigator: {},
+        chrome: {
+            devtools: { network: { onRequestFinished: { addListener() { } } } },
+            runtime: {
+                lastError: null,
+                sendMessage(message, callback) {
+                    const body = pendingBodies.shift();
+                    callback(body === undefined ? { success: false } : { success: true, body: body, match: 'unique' });
+                }
+            },
+            storage: {
+                local: { get(keys, callback) { callback({}); }, set() { }, remove() { }, getBytesInUse(keys, callback) { callback(0); } },
+                onChanged: { addListener() { } }
+            },
+            cookies: { getAll() { } }
+        }
+    };
+    context.window = context;
+    vm.createContext(context);
+
+    for (const [, script] of html.matchAll(/<script src="([^"]+)"><\/script>/g)) {
+        vm.runInContext(readText(path.join(XDRAY_ROOT, script)), context, { filename: script });
+    }
+
+    context.evaluate = (code) => vm.runInContext(code, context);
+    context.setMapping = (entries) => {
+        context.__mapping = entries;
+        vm.runInContext('cmdletMapping = __mapping', context);
+    };
+    context.setMapping(mapping);
+
+    // Run a request through processRequest as if DevTools had reported it and return the captured data.
+    // requestBody is what the background script would hand out for it.
+    context.captureRequest = (request) => {
+        const entry = {
+            request: {
+                method: request.method,
+                url: request.url,
+                headers: Object.entries(request.headers || {}).map(([name, value]) => ({ name: name, value: value }))
+            },
+            response: { status: request.status || 200, statusText: 'OK' },
+            time: 0,
+            startedDateTime: '2024-01-01T00:00:00.000Z',
+            getContent: (callback) => callback(request.response === undefined ? '' : JSON.stringify(request.response), '')
+        };
+        if (request.body !== undefined && request.body !== null) {
+            pendingBodies.push(typeof request.body === 'string' ? request.body : JSON.stringify(request.body));
+        }
+
+        context.processRequest(entry);
+        const captured = vm.runInContext('capturedRequests', context);
+        return captured[captured.length - 1];
+    };
+
+    return context;
+}
+
+// Load background.js with its webRequest and runtime listeners recorded.
+// beforeRequest(details) feeds a captured request, getRequestBody(message) asks for a body like the panel does.
+function loadBackground() {
+    const listeners = {};
+    const event = (name) => ({ addListener(listener) { listeners[name] = listener; } });
+    const context = {
+        console: { log() { }, warn: console.warn, error: console.error },
+        TextDecoder: TextDecoder,
+        setInterval: () => 0,
+        chrome: {
+            webRequest: { onBeforeRequest: event('beforeRequest'), onSendHeaders: event('sendHeaders') },
+            runtime: { onMessage: event('message'), openOptionsPage() { } }
+        }
+    };
+    vm.createContext(context);
+    vm.runInContext(readText(path.join(XDRAY_ROOT, 'background.js')), context, { filename: 'background.js' });
+
+    context.beforeRequest = (details) => listeners.beforeRequest(details);
+    context.getRequestBody = (message) => {
+        let result = null;
+        listeners.message(Object.assign({ type: 'GET_REQUEST_BODY' }, message), {}, (response) => {
+            result = response;
+        });
+        return result;
+    };
+    return context;
+}
+
+module.exports = { XDRAY_ROOT, readText, readMapping, loadPanel, loadBackground };
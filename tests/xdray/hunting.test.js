@@ -0,0 +1,90 @@
+﻿// Checks the extraction and formatting of advanced hunting queries
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { loadPanel } = require('./harness');
+
+const API = 'https://security.microsoft.com/apiproxy';
+
+test('single-line KQL is split at top-level pipes and statements only', () => {
+    const panel = loadPanel();
+
+    assert.strictEqual(
+        panel.formatKql('let n = 5; DeviceEvents | where FileName == "a|b;c" and Path has @"C:\\x|" | join (DeviceInfo | take n) on DeviceId | take 10'),
+        [
+            'let n = 5;',
+            'DeviceEvents',
+            '| where FileName == "a|b;c" and Path has @"C:\\x|"',
+            '| join (DeviceInfo | take n) on DeviceId',
+            '| take 10'
+        ].join('\n'));
+    assert.strictEqual(panel.formatKql("T | where A has 'x\\'|y' | take 1;"), "T\n| where A has 'x\\'|y'\n| take 1;");
+});
+
+test('multi-line KQL keeps its layout', () => {
+    const panel = loadPanel();
+    assert.strictEqual(panel.formatKql('DeviceInfo  \r\n| take 10\r\n'), 'DeviceInfo\n| take 10');
+});
+
+test('query, time range and scenario headers are extracted', () => {
+    const panel = loadPanel();
+    const captured = panel.captureRequest({
+        method: 'POST',
+        url: `${API}/mtp/huntingService/queryExecutor?useFanOut=false`,
+        headers: { 'x-ms-scenario-name': 'DeviceTimeline-Page', 'x-xsrf-token': 'secret' },
+        body: { QueryText: 'DeviceInfo | take 10', StartTime: '2024-01-01T00:00:00Z', EndTime: '2024-01-08T00:00:00Z' }
+    });
+
+    const hunting = panel.extractHuntingQuery(captured);
+    assert.strictEqual(hunting.query, 'DeviceInfo | take 10');
+    assert.strictEqual(hunting.startTime, '2024-01-01T00:00:00Z');
+    assert.strictEqual(hunting.endTime, '2024-01-08T00:00:00Z');
+    assert.deepStrictEqual({ ...hunting.context }, { 'x-ms-scenario-name': 'DeviceTimeline-Page' });
+
+    assert.strictEqual(panel.createKqlFile([captured]), [
+        `// POST ${API}/mtp/huntingService/queryExecutor`,
+        '// Time range: 2024-01-01T00:00:00Z - 2024-01-08T00:00:00Z',
+        '// x-ms-scenario-name: DeviceTimeline-Page',
+        'DeviceInfo',
+        '| take 10',
+        ''
+    ].join('\n'));
+
+    assert.strictEqual(panel.createHuntingFunctionCode(captured, hunting, panel.huntingFunctionName(hunting)), [
+        '$query = @\'',
+        'DeviceInfo',
+        '| take 10',
+        '\'@',
+        'New-XdrAdvancedHuntingFunction -Name "DeviceTimelinePage" -KQLQuery $query -Description "Captured by XDRay from DeviceTimeline-Page"'
+    ].join('\n'));
+});
+
+test('only hunting endpoints with a query are hunting requests', () => {
+    const panel = loadPanel();
+    const capture = (url, body) => panel.captureRequest({ method: 'POST', url: `${API}${url}`, body: body });
+
+    assert.ok(panel.isHuntingRequest(capture('/mtp/xspmatlas/attacksurface/query', { query: 'ExposureGraphNodes' })));
+    assert.ok(panel.isHuntingRequest(capture('/mtp/huntingService/savedFunctions', { Name: 'F', Body: 'DeviceInfo' })));
+    assert.ok(!panel.isHuntingRequest(capture('/mtp/huntingService/reports/userHistory', { startTime: '2024-01-01T00:00:00Z' })));
+    assert.ok(!panel.isHuntingRequest(capture('/mtp/alertsApiService/alerts', { query: 'DeviceInfo' })));
+    assert.ok(!panel.isHuntingRequest(capture('/mtp/huntingService/rules/validateQuery', { QueryText: '  ' })));
+});
+
+test('the report groups repeated queries', () => {
+    const panel = loadPanel();
+    const capture = (query, scenario) => panel.captureRequest({
+        method: 'POST',
+        url: `${API}/mtp/huntingService/queryExecutor`,
+        headers: { 'x-ms-scenario-name': scenario },
+        body: { QueryText: query }
+    });
+
+    const report = panel.buildHuntingReport([
+        capture('DeviceInfo | take 10', 'A'),
+        capture('DeviceInfo\n| take 10', 'B'),
+        capture('DeviceEvents', 'A')
+    ]);
+    assert.strictEqual(report.length, 2);
+    assert.strictEqual(report[0].requests.length, 2);
+    assert.deepStrictEqual([...report[0].scenarios], ['A', 'B']);
+});
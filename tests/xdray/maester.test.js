@@ -0,0 +1,87 @@
+﻿// Checks the Maester checks generated from captured settings pages
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { loadPanel } = require('./harness');
+
+const API = 'https://security.microsoft.com/apiproxy';
+
+test('scalar fields are listed with a PowerShell expression', () => {
+    const panel = loadPanel();
+    const fields = Array.from(panel.listMaesterFields({
+        Aad: { isDisabled: false, reasons: ['Noise'] },
+        Features: [{ Name: 'TamperProtection', Value: true }, { Name: 'LiveResponse', Value: null }],
+        'odd key': 1
+    }), field => [field.path, field.expression, field.value]);
+
+    assert.deepStrictEqual(fields, [
+        ['Aad.isDisabled', '$Settings.Aad.isDisabled', false],
+        ['Aad.reasons[0]', '$Settings.Aad.reasons[0]', 'Noise'],
+        ['Features[Name="TamperProtection"].Value', '($Settings.Features | Where-Object Name -EQ "TamperProtection").Value', true],
+        ['Features[Name="LiveResponse"].Value', '($Settings.Features | Where-Object Name -EQ "LiveResponse").Value', null],
+        ['["odd key"]', '$Settings.\'odd key\'', 1]
+    ]);
+    assert.deepStrictEqual(Array.from(panel.listMaesterFields('text')), []);
+});
+
+test('redacted values are not offered as settings', () => {
+    const panel = loadPanel();
+    const fields = Array.from(panel.listMaesterFields({
+        Enabled: true,
+        Owner: '<redacted>',
+        Note: 'Set by <redacted>',
+        TenantId: panel.redactTenantId('72f988bf-86f1-41af-91ab-2d7cd011db47')
+    }), field => field.path);
+    assert.deepStrictEqual(fields, ['Enabled']);
+});
+
+test('only GET requests with fields in their response are candidates', () => {
+    const panel = loadPanel();
+    const capture = (method, response) => panel.captureRequest({ method: method, url: `${API}/mtp/alertsApiService/workloads/disabled?includeDetails=true`, response: response });
+
+    assert.ok(panel.isMaesterCandidate(capture('GET', { Aad: { isDisabled: false } })));
+    assert.ok(!panel.isMaesterCandidate(capture('GET', [])));
+    assert.ok(!panel.isMaesterCandidate(capture('GET', null)));
+    assert.ok(!panel.isMaesterCandidate(capture('POST', { Aad: { isDisabled: false } })));
+});
+
+test('the check reads the endpoint and compares the picked fields', () => {
+    const panel = loadPanel();
+    const captured = panel.captureRequest({
+        method: 'GET',
+        url: `${API}/mtp/alertsApiService/workloads/disabled?includeDetails=true`,
+        response: { Aad: { isDisabled: false } }
+    });
+
+    assert.strictEqual(panel.maesterCheckTitle(captured), 'Configuration Alert Service Setting');
+    const check = panel.createMaesterCheck(captured, {
+        id: 'XDRInternal.105',
+        title: 'Alert Service Settings',
+        severity: 'High',
+        checks: [
+            { path: 'Aad.isDisabled', expression: '$Settings.Aad.isDisabled', expected: panel.parseMaesterValue('false') },
+            { path: 'Aad.note', expression: '$Settings.Aad.note', expected: panel.parseMaesterValue('line 1\nline 2') }
+        ]
+    });
+
+    const lines = check.code.split('\n');
+    assert.strictEqual(lines[0], '    It "XDRInternal.105: Alert Service Settings" -Tag "XDRInternal.105" {');
+    assert.ok(lines.includes('        $Settings = Get-XdrConfigurationAlertServiceSetting'));
+    assert.ok(check.code.includes('                Name     = "Aad.isDisabled"\n                Actual   = $Settings.Aad.isDisabled\n                Expected = $false\n'));
+    assert.ok(check.code.includes("                Expected = @'\nline 1\nline 2\n'@\n            }"));
+    assert.ok(lines.includes('        Add-MtTestResultDetail -Description "Alert Service Settings" -Result $CheckList'));
+    assert.strictEqual(lines[lines.length - 1], '    }');
+    assert.deepStrictEqual({ ...check.config }, { Id: 'XDRInternal.105', Severity: 'High', Title: 'Alert Service Settings' });
+});
+
+test('requests without a cmdlet read the endpoint directly', () => {
+    const panel = loadPanel([]);
+    const captured = panel.captureRequest({ method: 'GET', url: `${API}/mtp/widgets/settings?top=1`, response: { On: true } });
+    const check = panel.createMaesterCheck(captured, {
+        id: 'XDRInternal.106',
+        title: 'Widget Settings',
+        severity: 'Low',
+        checks: [{ path: 'On', expression: '$Settings.On', expected: true }]
+    });
+    assert.ok(check.code.includes(`        $Settings = Invoke-XdrRestMethod -Uri "${API}/mtp/widgets/settings?top=1" -Method "GET"\n`));
+});
@@ -0,0 +1,92 @@
+﻿// Checks the bundled CmdletApiMapping.json and the rules of the mapping validator itself
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { readMapping } = require('./harness');
+const { parsePowerShellFunctions, loadFunctions, validateMapping } = require('../../build/xdray-mapping');
+
+const API = 'https://security.microsoft.com/apiproxy';
+
+const SAMPLE_FUNCTIONS = parsePowerShellFunctions(`
+function Get-XdrSample {
+    <#
+    .PARAMETER Id
+        param ( is mentioned in the help as well
+    #>
+    [CmdletBinding(DefaultParameterSetName = 'Default')]
+    param (
+        [Parameter(Mandatory, ParameterSetName = 'ById')]
+        [Alias('SampleId', "ObjectId")]
+        [string]$Id,
+
+        [Parameter()]
+        [ValidateSet('a', 'b')]
+        [string]$Mode = 'a',
+
+        [switch]$Force
+    )
+}
+`);
+
+function validate(mapping) {
+    return validateMapping(mapping, SAMPLE_FUNCTIONS).map(problem => problem.message);
+}
+
+test('the bundled mapping is valid', () => {
+    assert.deepStrictEqual(validateMapping(readMapping(), loadFunctions()), []);
+});
+
+test('parameters, aliases and attributes with arguments are parsed', () => {
+    const sample = SAMPLE_FUNCTIONS.get('get-xdrsample');
+    assert.deepStrictEqual([...sample.parameters].sort(), ['force', 'id', 'mode', 'objectid', 'sampleid']);
+});
+
+test('a valid entry passes', () => {
+    assert.deepStrictEqual(validate([
+        { Cmdlet: 'Get-XdrSample', ApiUri: `${API}/mtp/samples/{Id}`, Method: 'GET', Parameters: { Mode: 'query:mode', Force: 'fixed:true' } }
+    ]), []);
+});
+
+test('unknown cmdlets and parameters are reported', () => {
+    assert.deepStrictEqual(validate([
+        { Cmdlet: 'Get-XdrMissing', ApiUri: `${API}/mtp/missing`, Method: 'GET' },
+        { Cmdlet: 'Get-XdrSample', ApiUri: `${API}/mtp/samples/{SampleKey}`, Method: 'GET', Parameters: { Top: 'body.options.top' } }
+    ]), [
+        'Cmdlet Get-XdrMissing does not exist under XDRInternals/functions',
+        'Parameter Top does not exist on Get-XdrSample',
+        'Placeholder {SampleKey} binds to -SampleKey, which does not exist on Get-XdrSample'
+    ]);
+});
+
+test('malformed placeholders and sources are reported', () => {
+    assert.deepStrictEqual(validate([
+        { Cmdlet: 'Get-XdrSample', ApiUri: `${API}/mtp/samples/id-{Id}`, Method: 'GET' },
+        { Cmdlet: 'Get-XdrSample', ApiUri: `${API}/mtp/other/{Id}/{Id}`, Method: 'GET' },
+        { Cmdlet: 'Get-XdrSample', ApiUri: `${API}/mtp/third?x=1`, Method: 'GET', Parameters: { Id: 'path:Missing', Mode: 'cookie:a' } }
+    ]), [
+        "Malformed placeholder segment 'id-{Id}', expected {Name} spanning the whole segment",
+        'Placeholder {Id} is used more than once',
+        'ApiUri must not contain a query string or fragment, use Query discriminators instead',
+        'Parameter Id reads {Missing}, which is not a placeholder of the ApiUri',
+        "Parameter Mode has an invalid source 'cookie:a'"
+    ]);
+});
+
+test('entries that only file order tells apart are ambiguous', () => {
+    const problems = validate([
+        { Cmdlet: 'Get-XdrSample', ApiUri: `${API}/mtp/samples/{Id}`, Method: 'GET' },
+        { Cmdlet: 'Get-XdrSample', ApiUri: `${API}/mtp/Samples/{Id}/`, Method: 'GET' }
+    ]);
+    assert.strictEqual(problems.length, 1);
+    assert.match(problems[0], /^Ambiguous with entry #0/);
+});
+
+test('method, specificity and exclusive discriminators resolve overlaps', () => {
+    assert.deepStrictEqual(validate([
+        { Cmdlet: 'Get-XdrSample', ApiUri: `${API}/mtp/samples/{Id}`, Method: 'GET' },
+        { Cmdlet: 'Get-XdrSample', ApiUri: `${API}/mtp/samples/{Id}`, Method: 'DELETE' },
+        { Cmdlet: 'Get-XdrSample', ApiUri: `${API}/mtp/samples/all`, Method: 'GET' },
+        { Cmdlet: 'Get-XdrSample', ApiUri: `${API}/mtp/samples`, Method: 'POST', Body: { kind: 'a' } },
+        { Cmdlet: 'Get-XdrSample', ApiUri: `${API}/mtp/samples`, Method: 'POST', Body: { kind: 'b' } }
+    ]), []);
+});
@@ -0,0 +1,98 @@
+﻿// Checks the validation, merging and import of user mapping overrides
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { readMapping, loadPanel } = require('./harness');
+
+const API = 'https://security.microsoft.com/apiproxy';
+
+const incident = {
+    Cmdlet: 'Get-XdrIncident',
+    ApiUri: `${API}/mtp/incidentQueue/incidents/{IncidentId}`,
+    Method: 'GET'
+};
+const wrapper = {
+    Cmdlet: 'Get-ContosoIncident',
+    ApiUri: `${API}/mtp/incidentQueue/incidents/{Id}`,
+    Method: 'GET',
+    Parameters: { Tenant: 'header:x-tid' }
+};
+
+test('entries are checked before they are merged', () => {
+    const panel = loadPanel();
+    assert.deepStrictEqual(Array.from(panel.validateMappingEntry(wrapper)), []);
+    assert.deepStrictEqual(Array.from(panel.validateMappingEntry({
+        Cmdlet: 'NoVerb',
+        ApiUri: 'https://example.com/api/{id',
+        Method: 'get',
+        Parameters: { Id: 'body:id' },
+        Extra: 1
+    })), [
+        "Unknown key 'Extra'",
+        'Cmdlet must be a Verb-Noun name',
+        'ApiUri must start with https://security.microsoft.com/apiproxy/ or https://mto.security.microsoft.com/apiproxy/',
+        'Method must be one of GET, POST, PUT, PATCH, DELETE or left out',
+        'Parameter Id: source must be body.<path>, header:<name>, path:<Placeholder>, query:<name> or fixed:<value>'
+    ]);
+    assert.deepStrictEqual(Array.from(panel.validateMappingEntry({ ...wrapper, ApiUri: `${API}/mtp/{bad name}` })), ['Placeholders must look like {Name}']);
+});
+
+test('overrides replace, disable and add to the bundled entries', () => {
+    const panel = loadPanel();
+    const bundled = [incident, { Cmdlet: 'Get-XdrAlert', ApiUri: `${API}/mtp/alerts`, Method: 'GET' }];
+    const edited = { ...incident, Parameters: { IncidentId: 'path:IncidentId' } };
+
+    const merged = panel.mergeMappingOverrides(bundled, [
+        { target: panel.mappingKey(incident), disabled: false, entry: edited },
+        { target: panel.mappingKey(bundled[1]), disabled: true, entry: null },
+        { target: null, disabled: false, entry: wrapper },
+        { target: null, disabled: true, entry: { ...wrapper, Cmdlet: 'Get-ContosoOld' } },
+        { target: null, disabled: false, entry: { Cmdlet: 'Broken' } }
+    ]);
+    assert.deepStrictEqual(merged.map(entry => entry.Cmdlet), ['Get-ContosoIncident', 'Get-XdrIncident']);
+    assert.strictEqual(merged[1], edited);
+
+    // Equally specific: the user's entry wins
+    panel.setMapping(merged);
+    const captured = panel.captureRequest({ method: 'GET', url: `${API}/mtp/incidentQueue/incidents/42` });
+    assert.strictEqual(captured.cmdlet, 'Get-ContosoIncident');
+    assert.deepStrictEqual({ ...captured.pathParameters }, { Id: '42' });
+});
+
+test('an edit equal to the bundled entry is no override', () => {
+    const panel = loadPanel();
+    const target = panel.mappingKey(incident);
+    const edited = panel.putMappingOverride([], { target: target, disabled: false, entry: { ...incident, Method: 'POST' } }, [incident]);
+    assert.strictEqual(edited.length, 1);
+    assert.strictEqual(panel.putMappingOverride(edited, { target: target, disabled: false, entry: { ...incident } }, [incident]).length, 0);
+});
+
+test('exported overrides import into another set', () => {
+    const panel = loadPanel();
+    const mapping = readMapping();
+    const exported = JSON.parse(JSON.stringify(panel.exportMappingOverrides([
+        { target: panel.mappingKey(mapping[0]), disabled: true, entry: null },
+        { target: null, disabled: false, entry: wrapper }
+    ])));
+    exported.overrides.push({ target: null, entry: { Cmdlet: 'Get-Broken' } });
+
+    const result = panel.importMappingOverrides([{ target: null, disabled: false, entry: { ...wrapper, Parameters: {} } }], exported);
+    assert.strictEqual(result.imported, 2);
+    assert.strictEqual(result.skipped, 1);
+    assert.strictEqual(result.overrides.length, 2);
+    assert.deepStrictEqual({ ...result.overrides[1].entry.Parameters }, wrapper.Parameters);
+    assert.strictEqual(panel.mergeMappingOverrides(mapping, result.overrides).length, mapping.length);
+
+    assert.throws(() => panel.importMappingOverrides([], { format: 'XDRay.Session' }), /Not an XDRay mapping override file/);
+});
+
+test('an imported edit equal to the bundled entry removes the override', () => {
+    const panel = loadPanel();
+    const target = panel.mappingKey(incident);
+    const current = [{ target: target, disabled: false, entry: { ...incident, Method: 'POST' } }];
+    const exported = JSON.parse(JSON.stringify(panel.exportMappingOverrides([{ target: target, disabled: false, entry: { ...incident } }])));
+
+    const result = panel.importMappingOverrides(current, exported, [incident]);
+    assert.strictEqual(result.imported, 1);
+    assert.strictEqual(result.overrides.length, 0);
+});
@@ -0,0 +1,72 @@
+﻿// Checks what the panel writes to chrome.storage.local to keep captures across DevTools sessions
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { loadPanel } = require('./harness');
+
+const API = 'https://security.microsoft.com/apiproxy';
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2024-06-10T00:00:00.000Z');
+
+const capture = (id, timestamp, extra = {}) => Object.assign({
+    method: 'GET',
+    url: `${API}/mtp/alerts/${id}`,
+    headers: { Accept: 'application/json' },
+    body: null,
+    response: { id: id },
+    status: 200,
+    timestamp: timestamp
+}, extra);
+
+test('sensitive headers are removed and bodies and responses are redacted', () => {
+    const panel = loadPanel([]);
+    const redactor = panel.createRedactor({ headers: ['x-custom-secret'] });
+    const request = capture('1', '2024-06-09T00:00:00.000Z', {
+        method: 'POST',
+        url: `${API}/mtp/users?upn=john%40contoso.com`,
+        headers: { Cookie: 'sccauth=secret', 'X-XSRF-TOKEN': 'token', 'x-custom-secret': 's', Accept: 'application/json' },
+        body: { userPrincipalName: 'john@contoso.com' },
+        response: { devices: [{ ipAddress: '10.0.0.1', name: 'laptop' }] }
+    });
+
+    const session = panel.createStoredSession([request], redactor, panel.normalizePersistenceSettings(), NOW);
+    const stored = JSON.parse(JSON.stringify(session.requests[0]));
+    assert.deepStrictEqual(stored.request.headers, { Accept: 'application/json' });
+    assert.strictEqual(stored.request.url, `${API}/mtp/users?upn=<redacted>`);
+    assert.deepStrictEqual(stored.request.body, { userPrincipalName: '<redacted>' });
+    assert.deepStrictEqual(stored.response.body, { devices: [{ ipAddress: '<redacted>', name: 'laptop' }] });
+
+    // The captures in the panel keep their values
+    assert.strictEqual(request.headers.Cookie, 'sccauth=secret');
+    assert.strictEqual(request.body.userPrincipalName, 'john@contoso.com');
+});
+
+test('captures past the retention period are dropped, then the oldest until the size limit fits', () => {
+    const panel = loadPanel([]);
+    const old = capture('old', new Date(NOW - 8 * DAY).toISOString());
+    const filler = 'lorem ipsum '.repeat(34 * 1024);
+    const requests = ['a', 'b', 'c', 'd'].map((id, index) => capture(id, new Date(NOW - (4 - index) * DAY).toISOString(), { response: { id: id, filler: filler } }));
+
+    const settings = panel.normalizePersistenceSettings({ retentionDays: 7, maxSizeMb: 1 });
+    const session = panel.createStoredSession([old].concat(requests), panel.createRedactor(), settings, NOW);
+    assert.deepStrictEqual(Array.from(session.requests, entry => entry.response.body.id), ['c', 'd']);
+
+    const larger = panel.pruneStoredSession(session, panel.normalizePersistenceSettings({ maxSizeMb: 8 }), NOW);
+    assert.strictEqual(larger.requests.length, 2);
+});
+
+test('settings are clamped to their limits', () => {
+    const panel = loadPanel([]);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(panel.normalizePersistenceSettings({ retentionDays: 0, maxSizeMb: 50 }))), { enabled: true, retentionDays: 1, maxSizeMb: 8 });
+    assert.strictEqual(panel.normalizePersistenceSettings({ retentionDays: 'x' }).retentionDays, 7);
+    assert.strictEqual(panel.normalizePersistenceSettings({ enabled: false }).enabled, false);
+});
+
+test('stored sessions restore as captures matched against the mapping', () => {
+    const panel = loadPanel();
+    const stored = panel.createStoredSession([capture('42', '2024-06-09T00:00:00.000Z')], panel.createRedactor(), panel.normalizePersistenceSettings(), NOW);
+    const restored = panel.importSession(JSON.parse(JSON.stringify(stored)));
+    assert.strictEqual(restored.length, 1);
+    assert.strictEqual(restored[0].url, `${API}/mtp/alerts/42`);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(restored[0].response)), { id: '42' });
+});
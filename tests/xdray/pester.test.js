@@ -0,0 +1,49 @@
+﻿// Checks the Pester tests generated from captured requests
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { loadPanel } = require('./harness');
+
+const API = 'https://security.microsoft.com/apiproxy';
+
+test('unmapped requests get no test', () => {
+    const panel = loadPanel();
+    const captured = panel.captureRequest({ method: 'GET', url: `${API}/mtp/notMapped/anywhere` });
+    assert.strictEqual(panel.createPesterTest(captured), null);
+});
+
+test('the test mocks the REST call and checks URI, method and body', () => {
+    const panel = loadPanel();
+    const captured = panel.captureRequest({
+        method: 'GET',
+        url: `${API}/mtp/incidentQueue/incidents/12345`,
+        response: { IncidentId: 12345, Alerts: [1, 2, 3, 4, 5] }
+    });
+
+    const code = panel.createPesterTest(captured);
+    const lines = code.split('\n');
+    assert.strictEqual(panel.pesterTestFileName(captured), 'Get-XdrIncident.Tests.ps1');
+    assert.strictEqual(lines[2], 'Describe "Get-XdrIncident" {');
+    assert.ok(lines.includes('\t\tMock -CommandName $restCommand -ModuleName XDRInternals -MockWith { $capturedResponse }'));
+    assert.ok(lines.includes('\t\t$expectedUri = "https://security.microsoft.com/apiproxy/mtp/incidentQueue/incidents/12345"'));
+    assert.ok(lines.includes('\t\t$result = Get-XdrIncident -IncidentId 12345'));
+    assert.ok(code.includes('"Alerts": [\n\t\t1,\n\t\t2,\n\t\t3\n\t]\n}\n\'@ | ConvertFrom-Json\n'));
+    assert.ok(code.includes('It "Returns the response"'));
+    assert.ok(!code.includes('It "Sends the captured body"'));
+});
+
+test('here-strings stay at the line start', () => {
+    const panel = loadPanel();
+    const captured = panel.captureRequest({
+        method: 'POST',
+        url: 'https://mto.security.microsoft.com/apiproxy/mtoapi/mtp/huntingService/queryExecutor',
+        body: { QueryText: 'DeviceInfo\n| take 10', TenantIds: ['11111111-1111-1111-1111-111111111111'] }
+    });
+
+    const code = panel.createPesterTest(captured);
+    assert.ok(code.includes("\t\t$result = Invoke-XdrMtoAdvancedHunting -QueryText @'\nDeviceInfo\n| take 10\n'@ -TenantIds"));
+    assert.ok(code.includes("\t\t$expectedBody = @'\n{\n\t\"QueryText\": \"DeviceInfo\\n| take 10\",\n"));
+    assert.ok(code.includes('It "Sends the captured body"'));
+    assert.ok(!code.includes('It "Returns the response"'));
+    assert.ok(!/^\s+'@/m.test(code));
+});
@@ -0,0 +1,107 @@
+﻿// Checks the redaction engine every copied, saved and exported file goes through
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { loadPanel } = require('./harness');
+
+const API = 'https://security.microsoft.com/apiproxy';
+const TENANT = 'aaaaaaaa-0000-0000-0000-000000000001';
+
+// The redacted values are created in the panel's realm
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('the default sensitive headers are always redacted', () => {
+    const panel = loadPanel([]);
+    const redactor = panel.createRedactor({ headers: ['X-Custom'] });
+    const headers = panel.redactHeaders({
+        Cookie: 'sccauth=secret',
+        'X-XSRF-TOKEN': 'token',
+        authorization: 'Bearer eyJ0eXAi',
+        'x-custom': 'value',
+        Accept: 'application/json'
+    }, redactor);
+    assert.deepStrictEqual(plain(headers), {
+        Cookie: '<redacted>',
+        'X-XSRF-TOKEN': '<redacted>',
+        authorization: '<redacted>',
+        'x-custom': '<redacted>',
+        Accept: 'application/json'
+    });
+
+    // User rules only add to the defaults
+    assert.strictEqual(panel.redactHeaders({ cookie: 'a=b' }, panel.createRedactor({ headers: [] })).cookie, '<redacted>');
+});
+
+test('**. paths match at any depth, other paths only from the root', () => {
+    const panel = loadPanel([]);
+    const redactor = panel.createRedactor({ paths: ['**.secret.value', 'settings.*.key'] });
+    const body = {
+        TenantId: TENANT,
+        items: [{ tid: 'x', upn: null }, { nested: { secret: { value: 's', other: 'o' } } }],
+        settings: { a: { key: 'k1' }, b: { key: 'k2', name: 'n' } },
+        inner: { settings: { a: { key: 'kept' } } }
+    };
+    assert.deepStrictEqual(plain(panel.redactJson(body, redactor)), {
+        TenantId: '<redacted>',
+        items: [{ tid: '<redacted>', upn: null }, { nested: { secret: { value: '<redacted>', other: 'o' } } }],
+        settings: { a: { key: '<redacted>' }, b: { key: '<redacted>', name: 'n' } },
+        inner: { settings: { a: { key: 'kept' } } }
+    });
+});
+
+test('custom patterns mask matches inside strings and invalid patterns are skipped', () => {
+    const panel = loadPanel([]);
+    const warn = console.warn;
+    console.warn = () => { };
+    let redactor;
+    try {
+        redactor = panel.createRedactor({ patterns: ['DEV-\\d+', '([unclosed'] });
+    } finally {
+        console.warn = warn;
+    }
+    assert.strictEqual(panel.redactJson('Host DEV-1234 by admin@contoso.com from 10.0.0.1', redactor), 'Host <redacted> by <redacted> from <redacted>');
+    assert.strictEqual(panel.redactJson('unchanged', redactor), 'unchanged');
+});
+
+test('redactUrl decodes path segments and query values before matching and keeps the rest encoded', () => {
+    const panel = loadPanel([]);
+    const redactor = panel.createRedactor();
+    assert.strictEqual(
+        panel.redactUrl(`${API}/mtp/users?upn=a%40contoso.com&filter=name%20eq%20john%40contoso.com&TenantId=${TENANT}&top=10`, redactor),
+        `${API}/mtp/users?upn=<redacted>&filter=name%20eq%20<redacted>&TenantId=<redacted>&top=10`
+    );
+    assert.strictEqual(panel.redactUrl(`${API}/mtp/users/john%40contoso.com/devices`, redactor), `${API}/mtp/users/<redacted>/devices`);
+    assert.strictEqual(panel.redactUrl(`${API}/mtp/users/john@contoso.com`, redactor), `${API}/mtp/users/<redacted>`);
+    // Malformed escapes fall back to the patterns on the raw text
+    assert.strictEqual(panel.redactUrl(`${API}/x?q=%E0%A4%A&ip=10.0.0.1`, redactor), `${API}/x?q=%E0%A4%A&ip=<redacted>`);
+});
+
+test('redactRequestData redacts the URL, headers, body and response without changing the capture', () => {
+    const panel = loadPanel([]);
+    const redactor = panel.createRedactor();
+    const data = {
+        method: 'POST',
+        url: `${API}/mtp/users/john@contoso.com?tid=${TENANT}`,
+        headers: { cookie: 'sccauth=secret', 'x-tid': TENANT, Accept: 'application/json' },
+        pathParameters: { UserId: 'john@contoso.com' },
+        body: { userPrincipalName: 'john@contoso.com', comment: 'seen at 192.168.0.1' },
+        response: { value: [{ ipAddress: '10.1.1.1', name: 'laptop' }] },
+        tenantId: TENANT,
+        targetTenantIds: [TENANT]
+    };
+    const original = plain(data);
+
+    const redacted = plain(panel.redactRequestData(data, redactor));
+    const alias = panel.redactTenantId(TENANT);
+    assert.deepStrictEqual(redacted, {
+        method: 'POST',
+        url: `${API}/mtp/users/<redacted>?tid=<redacted>`,
+        headers: { cookie: '<redacted>', 'x-tid': '<redacted>', Accept: 'application/json' },
+        pathParameters: { UserId: '<redacted>' },
+        body: { userPrincipalName: '<redacted>', comment: 'seen at <redacted>' },
+        response: { value: [{ ipAddress: '<redacted>', name: 'laptop' }] },
+        tenantId: alias,
+        targetTenantIds: [alias]
+    });
+    assert.deepStrictEqual(plain(data), original);
+});
@@ -0,0 +1,132 @@
+﻿// Checks the request matching of the apiproxy replay server
+
+const assert = require('node:assert');
+const http = require('node:http');
+const { test } = require('node:test');
+const { ID_SEGMENT_PATTERNS, pathTemplate, loadRecordings, createReplayer, createReplayServer } = require('../../XDRayReplay/server');
+const { loadPanel } = require('./harness');
+
+const API = 'https://security.microsoft.com/apiproxy';
+
+const record = (method, url, body, response, status = 200) => ({ method: method, url: `${API}${url}`, body: body, status: status, response: response });
+
+test('identifiers in the path become template placeholders', () => {
+    assert.strictEqual(pathTemplate('/apiproxy/mtp/incidents/12345/alerts/'), '/mtp/incidents/{}/alerts');
+    assert.strictEqual(pathTemplate('/apiproxy/mtp/users/jane%40contoso.com'), '/mtp/users/{}');
+    assert.strictEqual(pathTemplate('/apiproxy/mtp/machines/5c2e0f1a9b3d4e6f7a8b9c0d1e2f3a4b5c6d7e8f'), '/mtp/machines/{}');
+    assert.strictEqual(pathTemplate('/apiproxy/MTP/Settings'), '/mtp/settings');
+});
+
+test('identifier rules are those of the coverage report', () => {
+    // The server is shipped without the extension, so it keeps a copy of the rules
+    const panel = loadPanel([]);
+    const coverage = Array.from(panel.evaluate('ID_SEGMENT_PATTERNS'), String);
+    const redacted = ID_SEGMENT_PATTERNS.filter(pattern => pattern.test(panel.evaluate('REDACTED_VALUE')));
+    assert.deepStrictEqual(redacted.map(String), ['/^<redacted>$/']);
+    assert.deepStrictEqual(ID_SEGMENT_PATTERNS.filter(pattern => !redacted.includes(pattern)).map(String), coverage);
+});
+
+test('HAR files, sessions and plain lists are loaded', () => {
+    const har = loadRecordings({
+        log: {
+            entries: [
+                {
+                    request: { method: 'get', url: `${API}/mtp/k8s/cloud/settings` },
+                    response: { status: 200, content: { text: Buffer.from('{"on":true}').toString('base64'), encoding: 'base64' } }
+                },
+                { request: { method: 'GET', url: 'https://security.microsoft.com/v2/index.html' }, response: { status: 200, content: {} } }
+            ]
+        }
+    });
+    assert.strictEqual(har.length, 1);
+    assert.strictEqual(har[0].method, 'GET');
+    assert.deepStrictEqual(har[0].response, { on: true });
+
+    const session = loadRecordings({
+        format: 'XDRay.Session',
+        version: 1,
+        requests: [{ request: { method: 'POST', url: `${API}/mtp/a`, body: { x: 1 } }, response: { status: 201, body: 'created' } }]
+    });
+    assert.deepStrictEqual(session.map(r => [r.status, r.body, r.response]), [[201, { x: 1 }, 'created']]);
+
+    assert.strictEqual(loadRecordings([record('POST', '/mtp/a', '{"x":1}', null)])[0].body.x, 1);
+    assert.throws(() => loadRecordings({ requests: [] }), /Not a HAR file/);
+});
+
+test('the closest recording of the same endpoint answers, volatile fields aside', () => {
+    const replayer = createReplayer(loadRecordings([
+        record('GET', '/mtp/incidents/1', null, { id: 1 }),
+        record('GET', '/mtp/incidents/2', null, { id: 2 }),
+        record('POST', '/mtp/huntingService/queryExecutor', { QueryText: 'DeviceInfo', StartTime: '2024-01-01T00:00:00Z' }, { rows: 'info' }),
+        record('POST', '/mtp/huntingService/queryExecutor', { QueryText: 'DeviceEvents', StartTime: '2024-01-01T00:00:00Z' }, { rows: 'events' }),
+        record('GET', '/mtp/devices?pageSize=10&_=1700000000', null, { page: 'small' }),
+        record('GET', '/mtp/devices?pageSize=100&_=1700000000', null, { page: 'large' })
+    ]));
+    const answer = (method, url, body) => {
+        const found = replayer.match(method, url, body);
+        return found && { response: found.recording.response, exact: found.exact };
+    };
+
+    assert.deepStrictEqual(answer('GET', '/apiproxy/mtp/incidents/2'), { response: { id: 2 }, exact: true });
+    assert.deepStrictEqual(answer('GET', '/apiproxy/mtp/incidents/3'), { response: { id: 1 }, exact: false });
+    assert.deepStrictEqual(answer('POST', '/apiproxy/mtp/huntingService/queryExecutor',
+        '{"StartTime":"2026-10-19T08:00:00Z","queryText":"x","QueryText":"DeviceEvents"}').response, { rows: 'events' });
+    assert.deepStrictEqual(answer('POST', '/apiproxy/mtp/huntingService/queryExecutor',
+        '{"QueryText":"DeviceEvents","StartTime":"2026-10-19T08:00:00Z"}'), { response: { rows: 'events' }, exact: true });
+    assert.deepStrictEqual(answer('GET', '/apiproxy/mtp/devices?_=1&pageSize=100'), { response: { page: 'large' }, exact: true });
+    assert.strictEqual(answer('DELETE', '/apiproxy/mtp/incidents/1'), null);
+    assert.strictEqual(answer('GET', '/apiproxy/mtp/unknown'), null);
+
+    const strict = createReplayer(loadRecordings([record('GET', '/mtp/incidents/1', null, { id: 1 })]), { strict: true });
+    assert.strictEqual(strict.match('GET', '/apiproxy/mtp/incidents/3'), null);
+    assert.ok(strict.match('GET', '/apiproxy/mtp/incidents/1'));
+});
+
+test('recordings only answer requests for their own host', () => {
+    const replayer = createReplayer(loadRecordings([
+        record('GET', '/mtp/settings', null, { host: 'portal' }),
+        { method: 'GET', url: 'https://mto.security.microsoft.com/apiproxy/mtp/settings', status: 200, response: { host: 'mto' } },
+        { method: 'GET', url: 'https://example.com/apiproxy/mtp/settings', status: 200, response: { host: 'other' } }
+    ]));
+    assert.deepStrictEqual(replayer.match('GET', '/apiproxy/mtp/settings').recording.response, { host: 'portal' });
+    assert.deepStrictEqual(replayer.match('GET', '/mto/apiproxy/mtp/settings').recording.response, { host: 'mto' });
+
+    const portalOnly = createReplayer(loadRecordings([record('GET', '/mtp/settings', null, { host: 'portal' })]));
+    assert.strictEqual(portalOnly.match('GET', '/mto/apiproxy/mtp/settings'), null);
+    assert.strictEqual(portalOnly.match('GET', '/other/apiproxy/mtp/settings'), null);
+});
+
+test('repeated requests get the recorded pages in order', () => {
+    const replayer = createReplayer(loadRecordings([
+        record('GET', '/mtp/alerts?page=1', null, { page: 1 }),
+        record('GET', '/mtp/alerts?page=1', null, { page: 2 })
+    ]));
+    const pages = [1, 2, 3].map(() => replayer.match('GET', '/apiproxy/mtp/alerts?page=1').recording.response.page);
+    assert.deepStrictEqual(pages, [1, 2, 2]);
+});
+
+test('the server answers with the recorded status and body', async () => {
+    const server = createReplayServer(createReplayer(loadRecordings([
+        record('POST', '/mtp/settings/Save', { on: true }, { saved: true }, 201)
+    ])));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const send = (method, path, body) => new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port: server.address().port, method: method, path: path }, res => {
+            let text = '';
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(text) }));
+        });
+        req.on('error', reject);
+        req.end(body);
+    });
+
+    try {
+        assert.deepStrictEqual(await send('POST', '/apiproxy/mtp/settings/Save', '{"on":false}'), { status: 201, body: { saved: true } });
+        const missing = await send('GET', '/apiproxy/mtp/settings/Save');
+        assert.strictEqual(missing.status, 404);
+        assert.match(missing.body.error, /No recorded response/);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
@@ -0,0 +1,36 @@
+﻿// Checks the cmdlet skeletons generated for unmapped captures
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { loadPanel } = require('./harness');
+
+const API = 'https://security.microsoft.com/apiproxy';
+
+test('colliding parameter names keep their naming rule and get a counter', () => {
+    const panel = loadPanel([]);
+    const data = { method: 'POST', url: `${API}/mtp/widgets/search?page_size=10`, body: { pageSize: 5, PageSize: 6, '1st': 'a', first: 'b' } };
+    const parameters = Array.from(panel.inferCmdletParameters(data, panel.normalizePathTemplate(data.url)), p => `${p.source}:${p.key}=${p.name}`);
+    assert.deepStrictEqual(parameters, ['query:page_size=PageSize', 'body:pageSize=PageSize2', 'body:PageSize=PageSize3', 'body:1st=Value1st', 'body:first=First']);
+
+    const twice = { method: 'POST', url: `${API}/mtp/widgets/search`, body: { '1a': 1, '1A': 2 } };
+    assert.deepStrictEqual(Array.from(panel.inferCmdletParameters(twice, '/mtp/widgets/search'), p => p.name), ['Value1a', 'Value1A2']);
+});
+
+test('skeletons describe the endpoint instead of a TODO', () => {
+    const panel = loadPanel([]);
+    const get = panel.generateCmdletSkeleton({ method: 'GET', url: `${API}/mtp/widgets/123`, body: null });
+    assert.match(get.code, /\.SYNOPSIS\n {8}Gets \/mtp\/widgets\/\{WidgetId\} from the Microsoft Defender XDR portal API\.\n/);
+    assert.doesNotMatch(get.code, /TODO/);
+
+    const post = panel.generateCmdletSkeleton({ method: 'POST', url: `${API}/mtp/widgets/run`, body: { On: true } }, 'Invoke-XdrWidgetRun');
+    assert.match(post.code, /Invokes \/mtp\/widgets\/run of the Microsoft Defender XDR portal API\./);
+});
+
+test('OData query keys are escaped so PowerShell does not expand them as variables', () => {
+    const panel = loadPanel([]);
+    const data = { method: 'GET', url: `${API}/mtp/widgets?$top=10&$filter=${encodeURIComponent("Name eq 'a'")}`, body: null };
+    const skeleton = panel.generateCmdletSkeleton(data, 'Get-XdrWidget');
+    assert.ok(skeleton.code.includes(`if ($PSBoundParameters.ContainsKey('Top')) { $queryParams += "\`$top=$Top" }`), skeleton.code);
+    assert.ok(skeleton.code.includes(`if ($PSBoundParameters.ContainsKey('Filter')) { $queryParams += "\`$filter=$([System.Uri]::EscapeDataString($Filter))" }`));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(skeleton.mapping.Parameters)), { Top: 'query:$top', Filter: 'query:$filter' });
+});
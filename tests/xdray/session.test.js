@@ -0,0 +1,69 @@
+﻿// Checks HAR import and the round trip of XDRay session files
+
+const assert = require('node:assert');
+const path = require('path');
+const { test } = require('node:test');
+const { readText, loadPanel } = require('./harness');
+
+const API = 'https://security.microsoft.com/apiproxy';
+const HAR_FILE = path.join(__dirname, 'fixtures', 'portal-session.har');
+
+// The captures are created in the panel's realm
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test('HAR entries of the portal API are imported in the order they started', () => {
+    const panel = loadPanel();
+    const imported = plain(panel.importHar(JSON.parse(readText(HAR_FILE))));
+
+    assert.deepStrictEqual(imported.map(data => `${data.method} ${data.url} -> ${data.cmdlet}`), [
+        `GET ${API}/mtp/incidentQueue/incidents/12345 -> Get-XdrIncident`,
+        `POST ${API}/mtp/huntingService/queries/encode -> ConvertTo-XdrEncodedAdvancedHuntingQuery`,
+        `GET ${API}/radius/api/widgets?top=5 -> Invoke-XdrRestMethod`
+    ]);
+
+    const [incident, encode, widgets] = imported;
+    assert.deepStrictEqual(incident.pathParameters, { IncidentId: '12345' });
+    assert.deepStrictEqual(incident.response, { IncidentId: 12345, Title: 'Suspicious sign-in' });
+    assert.strictEqual(incident.duration, 45);
+    assert.strictEqual(incident.timestamp, '2024-05-01T10:00:00.000Z');
+
+    // Headers are keyed in lower case, the tenant is taken from them
+    assert.deepStrictEqual(encode.headers, { 'content-type': 'application/json', 'x-tid': 'aaaaaaaa-0000-0000-0000-000000000001' });
+    assert.strictEqual(encode.tenantId, 'aaaaaaaa-0000-0000-0000-000000000001');
+    assert.deepStrictEqual(encode.body, { QueryText: 'DeviceInfo | take 10' });
+    assert.deepStrictEqual(encode.response, { EncodedQuery: 'H4sIAAAA' });
+    assert.strictEqual(encode.duration, 121);
+
+    assert.strictEqual(widgets.status, 404);
+    assert.strictEqual(widgets.response, 'Not found');
+});
+
+test('a file without log.entries is no HAR file', () => {
+    const panel = loadPanel();
+    assert.throws(() => panel.importHar({ log: {} }), /Not a HAR file/);
+});
+
+test('a saved session loads back into the same captures', () => {
+    const panel = loadPanel();
+    const captured = panel.importHar(JSON.parse(readText(HAR_FILE)));
+
+    const saved = JSON.parse(JSON.stringify(panel.exportSession(captured)));
+    assert.strictEqual(saved.format, 'XDRay.Session');
+    assert.strictEqual(saved.requests.length, 3);
+
+    const loaded = plain(panel.importSession(saved));
+    for (const data of loaded) {
+        // The mapping at save time is kept next to the one matched again on load
+        assert.deepStrictEqual(data.recordedMapping, data.mapping);
+        delete data.recordedMapping;
+    }
+    assert.deepStrictEqual(loaded, plain(captured));
+});
+
+test('sessions of a newer format version are refused', () => {
+    const panel = loadPanel();
+    const saved = plain(panel.exportSession([]));
+    saved.version += 1;
+    assert.throws(() => panel.importSession(saved), /Unsupported session version/);
+    assert.throws(() => panel.importSession({ log: { entries: [] } }), /Not an XDRay session file/);
+});
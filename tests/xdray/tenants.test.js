@@ -0,0 +1,96 @@
+﻿// Checks tenant detection, redaction aliases and tenant selection in generated scripts
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { loadPanel } = require('./harness');
+
+const API = 'https://security.microsoft.com/apiproxy';
+const TENANT_A = 'aaaaaaaa-0000-0000-0000-000000000001';
+const TENANT_B = 'bbbbbbbb-0000-0000-0000-000000000002';
+
+const captureIn = (panel, tenantId, url = '/mtp/incidentQueue/incidents/1') => panel.captureRequest({
+    method: 'GET',
+    url: `${API}${url}`,
+    headers: { 'x-tid': tenantId.toUpperCase() }
+});
+
+test('the tenant is taken from the headers or the query string', () => {
+    const panel = loadPanel();
+    assert.strictEqual(captureIn(panel, TENANT_A).tenantId, TENANT_A);
+    assert.strictEqual(panel.detectTenantId({}, `${API}/mtp/alerts?tid=${TENANT_B}`), TENANT_B);
+    assert.strictEqual(panel.detectTenantId({ 'tenant-id': 'not-a-tenant' }, `${API}/mtp/alerts`), null);
+    assert.deepStrictEqual([...panel.detectTargetTenantIds({}, { TenantIds: [TENANT_A, TENANT_A.toUpperCase(), TENANT_B] })], [TENANT_A, TENANT_B]);
+});
+
+test('redacted tenant IDs become stable aliases that keep filtering working', () => {
+    const panel = loadPanel();
+    const a = captureIn(panel, TENANT_A);
+    const b = captureIn(panel, TENANT_B);
+    const redactor = panel.evaluate('redactor');
+
+    const alias = panel.redactTenantId(TENANT_A);
+    assert.match(alias, /^<tenant [0-9a-f]{8}>$/);
+    assert.strictEqual(panel.redactRequestData(a, redactor).tenantId, alias);
+    assert.notStrictEqual(panel.redactRequestData(b, redactor).tenantId, alias);
+    assert.strictEqual(panel.redactTenantId(alias), alias);
+
+    const filter = { ...panel.createRequestFilter(), tenant: alias };
+    assert.ok(panel.matchesRequestFilter(panel.redactRequestData(a, redactor), filter));
+    assert.ok(!panel.matchesRequestFilter(panel.redactRequestData(b, redactor), filter));
+    assert.strictEqual(panel.requestGroupName(b, 'tenant'), TENANT_B);
+});
+
+test('tenant names come from the tenant picker response', () => {
+    const panel = loadPanel();
+    const names = new Map();
+    const picker = panel.captureRequest({
+        method: 'GET',
+        url: `${API}/mtoapi/tenants/TenantPicker`,
+        response: { tenantInfoList: [{ tenantId: TENANT_A, name: 'Contoso', selected: true }] }
+    });
+
+    assert.strictEqual(panel.collectTenantNames(picker, names), true);
+    assert.strictEqual(panel.collectTenantNames(picker, names), false);
+    assert.strictEqual(panel.formatTenant(TENANT_A, names), `Contoso (${TENANT_A})`);
+    assert.strictEqual(names.get(panel.redactTenantId(TENANT_A)), 'Contoso');
+});
+
+test('scripts check the tenant or switch between tenants', () => {
+    const panel = loadPanel();
+    const generator = panel.getCodeGenerator('xdrinternals');
+
+    const single = panel.generateCodeScript(generator, [captureIn(panel, TENANT_A), captureIn(panel, TENANT_A)]);
+    assert.ok(single.includes(`$TenantId = "${TENANT_A}"\nif ((Get-XdrTenantContext -Force).AuthInfo.TenantId -ne $TenantId) {`));
+    assert.strictEqual(single.match(/^Set-XdrConnectionSettings /m), null);
+
+    const names = new Map([[TENANT_B, 'Fabrikam']]);
+    const multi = panel.generateCodeScript(generator, [
+        captureIn(panel, TENANT_A),
+        captureIn(panel, TENANT_A),
+        captureIn(panel, TENANT_B)
+    ], names);
+    assert.ok(multi.includes(`$TenantId2 = "${TENANT_B}" # Fabrikam\n`));
+    assert.deepStrictEqual(multi.match(/^Set-XdrConnectionSettings .*$/gm), [
+        'Set-XdrConnectionSettings -SccAuth $SccAuth -Xsrf $Xsrf -TenantId $TenantId1',
+        'Set-XdrConnectionSettings -SccAuth $SccAuth -Xsrf $Xsrf -TenantId $TenantId2'
+    ]);
+
+    const curl = panel.generateCodeScript(panel.getCodeGenerator('curl'), [captureIn(panel, TENANT_A)]);
+    assert.ok(!curl.includes('TenantId'));
+});
+
+test('saved scripts do not check or select redacted tenant IDs', () => {
+    const panel = loadPanel();
+    const generator = panel.getCodeGenerator('xdrinternals');
+    const redactor = panel.createRedactor({ headers: [], paths: [], patterns: [] });
+    const redacted = (tenantId) => panel.redactRequestData(captureIn(panel, tenantId), redactor);
+
+    const single = panel.generateCodeScript(generator, [redacted(TENANT_A)]);
+    assert.ok(single.includes(`# Captured in tenant ${panel.redactTenantId(TENANT_A)}\n# The tenant ID is redacted`));
+    assert.ok(!single.includes('Get-XdrTenantContext'));
+    assert.ok(!single.includes('$TenantId'));
+
+    const multi = panel.generateCodeScript(generator, [redacted(TENANT_A), redacted(TENANT_B)], new Map([[panel.redactTenantId(TENANT_B), 'Fabrikam']]));
+    assert.ok(multi.includes(`$TenantId1 = Read-Host -Prompt "Tenant ID of ${panel.redactTenantId(TENANT_A)}"\n`));
+    assert.ok(multi.includes(`$TenantId2 = Read-Host -Prompt "Tenant ID of ${panel.redactTenantId(TENANT_B)}" # Fabrikam\n`));
+});
@@ -0,0 +1,100 @@
+﻿// Checks the mapping generator that reads the Invoke-XdrRestMethod calls of the function sources
+
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { parsePowerShellFunctions } = require('../../build/xdray-mapping');
+const { analyzeFunction, mergeMapping } = require('../../build/update-cmdlet-mapping');
+
+const API = 'https://security.microsoft.com/apiproxy';
+
+// The function sources as loadFunctionSources reads them
+function functionsOf(...sources) {
+    const functions = new Map();
+    for (const source of sources) {
+        for (const fn of parsePowerShellFunctions(source).values()) {
+            functions.set(fn.name.toLowerCase(), Object.assign({ source: source }, fn));
+        }
+    }
+    return functions;
+}
+
+const analyze = (source) => {
+    const fn = functionsOf(source).values().next().value;
+    return JSON.parse(JSON.stringify(analyzeFunction(source, fn)));
+};
+
+test('interpolated path segments become placeholders and query lists parameters', () => {
+    const result = analyze(`
+function Get-XdrSample {
+    param (
+        [Parameter(Mandatory)]
+        [string]$Id,
+        [int]$PageSize = 25
+    )
+    # Invoke-XdrRestMethod -Uri "https://security.microsoft.com/apiproxy/commented"
+    $Uri = "https://security.microsoft.com/apiproxy/mtp/samples/$Id/items?pageSize=$PageSize&fixed=1"
+    Invoke-XdrRestMethod -Uri $Uri -Method Get
+}`);
+    assert.deepStrictEqual(result, {
+        entries: [{
+            Cmdlet: 'Get-XdrSample',
+            ApiUri: `${API}/mtp/samples/{Id}/items`,
+            Method: 'GET',
+            Parameters: { PageSize: 'query:pageSize' }
+        }],
+        skipped: []
+    });
+});
+
+test('body hashtables, member assignments and method variables are followed', () => {
+    const result = analyze(`
+function Set-XdrSample {
+    param (
+        [string]$Name,
+        [bool]$Enabled,
+        [switch]$Remove
+    )
+    $body = @{
+        Name     = $Name
+        Settings = @{ IsEnabled = $Enabled }
+    }
+    if ($Remove) {
+        $body.Action = $Remove.ToString()
+    }
+    $method = "PATCH"
+    Invoke-XdrRestMethod -Uri "$script:ApiBase/apiproxy/mtp/samples/settings" -Method $method -Body ($body | ConvertTo-Json -Depth 5)
+}`);
+    assert.deepStrictEqual(result.entries, [{
+        Cmdlet: 'Set-XdrSample',
+        ApiUri: `${API}/mtp/samples/settings`,
+        Method: 'PATCH',
+        Parameters: { Name: 'body.Name', Enabled: 'body.Settings.IsEnabled', Remove: 'body.Action' }
+    }]);
+});
+
+test('merging keeps hand-written parameters and adds the missing ones', () => {
+    const functions = functionsOf(`
+function Get-XdrSample {
+    param ([string]$Id, [int]$Top, [string]$Filter)
+}
+function Remove-XdrSample {
+    param ([string]$Id)
+}`);
+    const mapping = [
+        { Cmdlet: 'Get-XdrSample', ApiUri: `${API}/mtp/samples/{Id}`, Method: 'GET', Parameters: { Top: 'query:$top' } },
+        { Cmdlet: 'Get-XdrRetired', ApiUri: `${API}/mtp/retired`, Method: 'GET' }
+    ];
+    const generated = [
+        { Cmdlet: 'Get-XdrSample', ApiUri: `${API}/mtp/samples/{SampleId}`, Method: 'GET', Parameters: { Top: 'query:top', Filter: 'query:filter' } },
+        { Cmdlet: 'Remove-XdrSample', ApiUri: `${API}/mtp/samples/{Id}`, Method: 'DELETE' }
+    ];
+
+    const result = mergeMapping(mapping, generated, functions);
+    assert.deepStrictEqual(result.mapping, [
+        { Cmdlet: 'Get-XdrSample', ApiUri: `${API}/mtp/samples/{Id}`, Method: 'GET', Parameters: { Top: 'query:$top', Filter: 'query:filter' } },
+        { Cmdlet: 'Remove-XdrSample', ApiUri: `${API}/mtp/samples/{Id}`, Method: 'DELETE' }
+    ]);
+    assert.deepStrictEqual(result.removed.map(entry => entry.Cmdlet), ['Get-XdrRetired']);
+    assert.deepStrictEqual(result.updated.map(entry => entry.Cmdlet), ['Get-XdrSample']);
+    assert.deepStrictEqual(result.added.map(entry => entry.Cmdlet), ['Remove-XdrSample']);
+});
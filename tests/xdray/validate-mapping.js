@@ -0,0 +1,30 @@
+﻿// Validates XDRay/CmdletApiMapping.json against the XDRInternals functions:
+// - every Cmdlet exists under XDRInternals/functions
+// - every parameter the mapping binds (Parameters keys and implicitly bound placeholders) exists on the function
+// - {Placeholder} segments and parameter sources are well-formed
+// - no two entries match the same request with the same specificity, where file order would decide
+//
+// Usage: node tests/xdray/validate-mapping.js [path/to/CmdletApiMapping.json]
+
+const path = require('path');
+const { XDRAY_ROOT, readMapping, loadFunctions, validateMapping } = require('../../build/xdray-mapping');
+
+function main() {
+    const file = process.argv[2] || path.join(XDRAY_ROOT, 'CmdletApiMapping.json');
+    const mapping = readMapping(file);
+    const problems = validateMapping(mapping, loadFunctions());
+
+    for (const problem of problems) {
+        console.error(`#${problem.index} ${problem.cmdlet || ''}: ${problem.message}`);
+    }
+    if (problems.length > 0) {
+        console.error(`${problems.length} problem(s) in ${file}`);
+        process.exitCode = 1;
+    } else {
+        console.log(`${mapping.length} mapping entries in ${file} are valid`);
+    }
+}
+
+if (require.main === module) {
+    main();
+}